@@ -0,0 +1,85 @@
+/**
+ * Access Control
+ * The project is deployed as a web app (appsscript.json) for the lobby kiosk and the QR scan
+ * station. A web app that executes as the deployer lets its visitors call ANY public global
+ * function through google.script.run, so:
+ *
+ *   - Helpers end in "_" (Apps Script keeps those private: google.script.run cannot call them
+ *     and they are hidden from the Run list).
+ *   - Public functions are only the entry points: menu commands, sidebar and dialog calls,
+ *     trigger handlers and the web app endpoints. Every one of them except doGet, onOpen and the
+ *     web app's endpoints starts with requireSpreadsheetEditor_() or requireTriggerOrEditor_(e).
+ *   - The web app's endpoints (kioskSearch, kioskCheckIn, kioskAdminSummary, kioskAdminUndo and
+ *     recordQrCheckIn) start by checking a station token: a secret that is only in the links an
+ *     editor copies to the kiosk or scan station (see getStationToken_). The kiosk's admin
+ *     calls also need the PIN.
+ *
+ * The web app's access is "ANYONE", which means anyone signed in to a Google account, never
+ * anonymous visitors. "DOMAIN" would be tighter, but most churches use personal Gmail accounts
+ * rather than one Workspace domain. Do not change it to "ANYONE_ANONYMOUS".
+ */
+
+const ACCESS_CACHE_SECONDS = 600;
+const ACCESS_DENIED_MESSAGE = "This action is only available to editors of the attendance spreadsheet.";
+
+/**
+ * Throws unless the person running the script is the owner or an editor of this spreadsheet.
+ * Web app visitors from outside the deployer's domain have no visible email and are refused.
+ * @returns {string} The editor's email address.
+ */
+function requireSpreadsheetEditor_() {
+  const email = String(Session.getActiveUser().getEmail() || "").trim().toLowerCase();
+  if (!email) throw new Error(ACCESS_DENIED_MESSAGE);
+
+  const cache = CacheService.getScriptCache();
+  const cacheKey = `SPREADSHEET_EDITOR_${email}`;
+  if (cache.get(cacheKey)) return email;
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const allowed = [ss.getOwner()].concat(ss.getEditors())
+    .filter(Boolean)
+    .some(user => String(user.getEmail() || "").toLowerCase() === email);
+  if (!allowed) {
+    Logger.log(`⚠️ Refused a call from ${email}: not an editor of the spreadsheet.`);
+    throw new Error(ACCESS_DENIED_MESSAGE);
+  }
+  cache.put(cacheKey, "1", ACCESS_CACHE_SECONDS);
+  return email;
+}
+
+/**
+ * For trigger handlers: passes when the event comes from one of this project's installed
+ * triggers, otherwise (a manual run) requires an editor like requireSpreadsheetEditor_().
+ * @param {Object} e The trigger's event object, if any.
+ */
+function requireTriggerOrEditor_(e) {
+  const triggerUid = e && e.triggerUid ? String(e.triggerUid) : "";
+  if (triggerUid && ScriptApp.getProjectTriggers().some(trigger => trigger.getUniqueId() === triggerUid)) return;
+  requireSpreadsheetEditor_();
+}
+
+/**
+ * @param {string} property The script property holding the station's token.
+ * @returns {string} The station token, created on first use.
+ */
+function getStationToken_(property) {
+  const properties = PropertiesService.getScriptProperties();
+  let token = properties.getProperty(property);
+  if (!token) {
+    token = Utilities.getUuid();
+    properties.setProperty(property, token);
+  }
+  return token;
+}
+
+function isStationToken_(property, token) {
+  const expected = PropertiesService.getScriptProperties().getProperty(property);
+  return Boolean(expected) && String(token || "") === expected;
+}
+
+/**
+ * Replaces the station token. Devices using the old link stop working.
+ */
+function resetStationToken_(property) {
+  PropertiesService.getScriptProperties().setProperty(property, Utilities.getUuid());
+}
@@ -1,4 +1,13 @@
-function updateActivityLevels() {
+/**
+ * Run list and time-driven trigger entry point for updateActivityLevels_.
+ * @param {Object} e The trigger's event object, if any.
+ */
+function updateActivityLevels(e) {
+  requireTriggerOrEditor_(e);
+  updateActivityLevels_();
+}
+
+function updateActivityLevels_() {
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("attendance stats");
   if (!sheet) {
     Logger.log("Sheet 'attendance stats' not found.");
@@ -0,0 +1,182 @@
+/**
+ * Aliases
+ * Keeps every name a person has been known by, so a marriage or a spelling fix does
+ * not split their history. Old rows in Service Attendance keep the old spelling; the
+ * Person Registry still resolves that spelling to the same ID.
+ *
+ * "Aliases" sheet: A=Person ID, B=Name, C=Used From, D=Used Until, E=Note
+ *   - One row per name. The row with a blank "Used Until" is the current display name.
+ *   - The Person Registry checks these names before any other source.
+ *   - The dates record when each name was used; lookups accept every listed name.
+ * Rows are added by "Rename Person" from the 👥 People menu and may also be typed in by hand.
+ */
+
+const ALIASES_SHEET_NAME = "Aliases";
+const ALIASES_HEADERS = ["Person ID", "Name", "Used From", "Used Until", "Note"];
+
+/**
+ * Reads the Aliases sheet. IDs merged with "Merge People" count as their surviving ID.
+ * @returns {Array<{id: string, fullName: string, from: Date|null, until: Date|null, row: number}>}
+ */
+function loadPersonAliases_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(ALIASES_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const redirects = loadMergedIdRedirects_();
+  const aliases = [];
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, ALIASES_HEADERS.length).getValues().forEach((row, index) => {
+    let id = normalizeLegacyPersonId_(String(row[0] || "").trim());
+    const fullName = String(row[1] || "").trim();
+    if (!id || !fullName) return;
+    if (redirects.has(id)) id = redirects.get(id);
+    aliases.push({ id: id, fullName: fullName, from: getDateValue_(row[2]), until: getDateValue_(row[3]), row: index + 2 });
+  });
+  return aliases;
+}
+
+/**
+ * Picks each person's current name: the alias with no end date, latest start date first.
+ * @param {Array<Object>} aliases From loadPersonAliases_().
+ * @returns {Map<string, string>} Person ID -> current full name.
+ */
+function getCurrentAliasNames_(aliases) {
+  const current = new Map();
+  const startedOn = new Map();
+  aliases.forEach(alias => {
+    if (alias.until) return;
+    const from = alias.from ? alias.from.getTime() : 0;
+    if (!current.has(alias.id) || from >= startedOn.get(alias.id)) {
+      current.set(alias.id, alias.fullName);
+      startedOn.set(alias.id, from);
+    }
+  });
+  return current;
+}
+
+/**
+ * Menu command: gives a person a new display name and keeps the old one as an alias.
+ */
+function renamePerson() {
+  requireSpreadsheetEditor_();
+  const ui = SpreadsheetApp.getUi();
+
+  const idResponse = ui.prompt('Rename Person (1/2)', 'Enter the Person ID of the person to rename:', ui.ButtonSet.OK_CANCEL);
+  if (idResponse.getSelectedButton() !== ui.Button.OK) return;
+  const personId = normalizeLegacyPersonId_(idResponse.getResponseText().trim());
+  if (extractNumericBel_(personId) === null) {
+    ui.alert('Invalid ID', `"${personId}" is not a valid Person ID.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const registry = getPersonRegistry_();
+  const oldName = registry.currentName(personId);
+  if (!oldName) {
+    ui.alert('Person Not Found', `No sheet has a person with ID ${personId}.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const nameResponse = ui.prompt('Rename Person (2/2)', `Current name: ${oldName}\n\nEnter the new full name:`, ui.ButtonSet.OK_CANCEL);
+  if (nameResponse.getSelectedButton() !== ui.Button.OK) return;
+  const newName = nameResponse.getResponseText().trim().replace(/\s+/g, " ");
+  if (!newName) {
+    ui.alert('No Name Entered', 'The new name cannot be blank.', ui.ButtonSet.OK);
+    return;
+  }
+  if (normalizePersonName_(newName) === normalizePersonName_(oldName)) {
+    ui.alert('Nothing to Change', `${personId} is already called "${oldName}".`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const otherPerson = registry.resolve(newName);
+  if (otherPerson.id && otherPerson.id !== personId && otherPerson.matchedBy === "name") {
+    const proceed = ui.alert(
+      'Name Already in Use',
+      `"${newName}" already belongs to ${otherPerson.id}. After the rename this name will resolve to ${personId}.\n\n` +
+      'If they are the same person, use "🔗 Merge People…" instead. Continue with the rename?',
+      ui.ButtonSet.YES_NO
+    );
+    if (proceed !== ui.Button.YES) return;
+  }
+
+  recordPersonRename_(personId, oldName, newName);
+  const updatedCount = updatePersonDisplayName_(personId, newName);
+  ui.alert(
+    'Person Renamed',
+    `${personId} is now "${newName}". "${oldName}" is kept in the "${ALIASES_SHEET_NAME}" sheet and still resolves to ${personId}.\n\n` +
+    `${updatedCount} stats row(s) updated. The Directory is not edited; update it there when convenient.`,
+    ui.ButtonSet.OK
+  );
+}
+
+/**
+ * Closes the person's current alias and adds the new name as the open one.
+ * The first rename of a person also records the name they had until now.
+ * @param {string} personId
+ * @param {string} oldName The name in use until today.
+ * @param {string} newName The name in use from today.
+ */
+function recordPersonRename_(personId, oldName, newName) {
+  const sheet = getOrCreateAliasesSheet_();
+  const today = new Date();
+  const aliasRows = loadPersonAliases_().filter(alias => alias.id === personId);
+
+  if (aliasRows.length === 0) {
+    sheet.appendRow([personId, oldName, "", today, "Name before first rename"]);
+  }
+  aliasRows.filter(alias => !alias.until).forEach(alias => {
+    sheet.getRange(alias.row, 4).setValue(today);
+  });
+  sheet.appendRow([personId, newName, today, "", ""]);
+  sheet.getRange(2, 3, sheet.getLastRow() - 1, 2).setNumberFormat("MM/dd/yyyy");
+  Logger.log(`✅ (Aliases) ${personId} renamed from "${oldName}" to "${newName}".`);
+}
+
+/**
+ * Writes the new name into Attendance Stats and Service Stats so the change shows
+ * right away; later recalculations pick it up from the Aliases sheet.
+ * @param {string} personId
+ * @param {string} newName
+ * @returns {number} The number of stats rows changed.
+ */
+function updatePersonDisplayName_(personId, newName) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const { firstName, lastName } = splitFullName_(newName);
+  let updatedCount = 0;
+
+  // Both stats sheets: A=Person ID, B=Full Name, C=First Name, D=Last Name
+  [{ sheetName: "Attendance Stats", firstDataRow: 2 }, { sheetName: "Service Stats", firstDataRow: 3 }].forEach(config => {
+    const sheet = ss.getSheetByName(config.sheetName);
+    if (!sheet || sheet.getLastRow() < config.firstDataRow) return;
+    const range = sheet.getRange(config.firstDataRow, 1, sheet.getLastRow() - config.firstDataRow + 1, 4);
+    const values = range.getValues();
+    let sheetChanged = false;
+    values.forEach(row => {
+      if (String(row[0]).trim() !== personId) return;
+      row[1] = newName;
+      row[2] = firstName;
+      row[3] = lastName;
+      sheetChanged = true;
+      updatedCount++;
+    });
+    if (sheetChanged) range.setValues(values);
+  });
+
+  Logger.log(`✅ (Aliases) Updated ${updatedCount} stats rows for ${personId}.`);
+  return updatedCount;
+}
+
+function getOrCreateAliasesSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(ALIASES_SHEET_NAME);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(ALIASES_SHEET_NAME);
+  sheet.getRange(1, 1, 1, ALIASES_HEADERS.length).setValues([ALIASES_HEADERS])
+    .setFontWeight("bold").setBackground("#e3f2fd").setFontColor("#202124");
+  sheet.getRange("A:A").setNumberFormat("@");
+  sheet.setColumnWidth(1, 100); sheet.setColumnWidth(2, 200); sheet.setColumnWidth(3, 110);
+  sheet.setColumnWidth(4, 110); sheet.setColumnWidth(5, 200);
+  sheet.setFrozenRows(1);
+  Logger.log(`✅ "${ALIASES_SHEET_NAME}" sheet created.`);
+  return sheet;
+}
@@ -0,0 +1,342 @@
+/**
+ * Attendance Import
+ * Brings in attendance kept on paper or in an offline spreadsheet while the network was down.
+ * "📄 Import Attendance from CSV…" (📊 Data Transfer menu) opens a dialog that takes a CSV,
+ * pasted or from a Drive file, and previews every row before anything is written:
+ *
+ *   - Match      the name (or email) resolves to a known person ID;
+ *   - New ID     nobody is known by that name, a new ID is allocated on import;
+ *   - Ambiguous  several IDs share the name, or a new name is close to a known person
+ *                (see scorePersonNamePair_). Only imported when ticked in the preview;
+ *   - Duplicate  already recorded for the same service or event, by the same name-plus-date
+ *                key as pullSundayServiceToServiceAttendance (attendanceEntryKey_), or twice in the CSV;
+ *   - Error      no name, or a date that cannot be read.
+ *
+ * The first CSV row holds the headers (see ATTENDANCE_IMPORT_COLUMNS); a name and a date are
+ * required. Rows go to Service Attendance or Event Attendance, through the same row builders
+ * as the registration sheets. Tab-separated text, as pasted from a spreadsheet, also works.
+ */
+
+const ATTENDANCE_IMPORT_COLUMNS = {
+  fullName: ["full name", "name"],
+  firstName: ["first name", "first"],
+  lastName: ["last name", "last", "surname"],
+  date: ["date", "service date", "event date"],
+  time: ["time", "timestamp", "check-in time"],
+  email: ["email", "e-mail", "email address"],
+  service: ["service"],
+  event: ["event", "event name"],
+  role: ["role"],
+  notes: ["notes", "note"]
+};
+const ATTENDANCE_IMPORT_NOTE = "Imported from CSV";
+const ATTENDANCE_IMPORT_STATUS = { MATCH: "Match", NEW: "New ID", AMBIGUOUS: "Ambiguous", DUPLICATE: "Duplicate", ERROR: "Error" };
+
+/**
+ * Menu command: opens the import dialog.
+ */
+function openAttendanceImportDialog() {
+  requireSpreadsheetEditor_();
+  const template = HtmlService.createTemplateFromFile("AttendanceImport");
+  template.services = loadServices_().map(s => s.name);
+  template.defaultService = findServiceForTime_(new Date());
+  SpreadsheetApp.getUi().showModalDialog(template.evaluate().setWidth(820).setHeight(620), "📄 Import Attendance from CSV");
+}
+
+/**
+ * Called by the dialog: classifies every CSV row without writing anything or allocating IDs.
+ * @param {{source: string, csvText: string, driveFile: string, target: string, service: string, eventName: string}} form
+ * @returns {{target: string, rows: Array<Object>, counts: Object<string, number>}}
+ */
+function previewAttendanceImport(form) {
+  requireSpreadsheetEditor_();
+  const entries = analyseAttendanceImport_(form, getPersonRegistry_());
+  const counts = {};
+  Object.values(ATTENDANCE_IMPORT_STATUS).forEach(status => { counts[status] = 0; });
+  entries.forEach(entry => { counts[entry.status]++; });
+  Logger.log(`(Import) Preview of ${entries.length} CSV row(s): ${JSON.stringify(counts)}`);
+  return {
+    target: attendanceImportSheetName_(form.target),
+    counts: counts,
+    rows: entries.map(entry => ({
+      line: entry.line, csvName: entry.csvName, fullName: entry.fullName, id: entry.id, email: entry.email,
+      date: entry.formattedDate, group: entry.group, status: entry.status, reason: entry.reason
+    }))
+  };
+}
+
+/**
+ * Called by the dialog: analyses the CSV again and appends the importable rows.
+ * Rows marked Ambiguous are only imported when their line is listed in form.includeLines.
+ * @param {Object} form As for previewAttendanceImport, plus includeLines: Array<number>.
+ * @returns {string} The summary shown in the dialog.
+ */
+function commitAttendanceImport(form) {
+  requireSpreadsheetEditor_();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = attendanceImportSheetName_(form.target);
+  const sheet = ss.getSheetByName(sheetName);
+  if (!sheet) throw new Error(`'${sheetName}' sheet not found.`);
+
+  const registry = getPersonRegistry_();
+  const entries = analyseAttendanceImport_(form, registry);
+  const includeLines = (form.includeLines || []).map(Number);
+  const toImport = entries.filter(entry =>
+    entry.status === ATTENDANCE_IMPORT_STATUS.MATCH || entry.status === ATTENDANCE_IMPORT_STATUS.NEW ||
+    (entry.status === ATTENDANCE_IMPORT_STATUS.AMBIGUOUS && includeLines.includes(entry.line))
+  );
+  if (toImport.length === 0) throw new Error("Nothing to import: every row is a duplicate, an error, or an ambiguous row that was not ticked.");
+
+  // IDs are resolved before taking the lock; allocating a new ID takes it itself.
+  const newIds = new Set();
+  const rows = toImport.map(entry => {
+    const person = resolvePersonIdAndDetails_(entry.fullName, entry.email, registry);
+    if (!entry.id) newIds.add(person.id);
+    const firstName = person.firstName || entry.firstName;
+    const lastName = person.lastName || entry.lastName;
+    if (form.target === "event") {
+      const row = buildEventAttendanceRow_(person.id, firstName, lastName, entry.group, "", entry.formattedDate, entry.email || person.email || "", entry.role);
+      if (entry.timestamp) row[13] = entry.timestamp;
+      return row;
+    }
+    const notes = entry.notes ? `${ATTENDANCE_IMPORT_NOTE}: ${entry.notes}` : ATTENDANCE_IMPORT_NOTE;
+    const row = buildServiceAttendanceRow_(person.id, firstName, lastName, entry.formattedDate, entry.email || person.email || "", notes, entry.group, entry.role);
+    if (entry.timestamp) row[8] = entry.timestamp;
+    return row;
+  });
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(PERSON_ID_LOCK_TIMEOUT_MS)) {
+    throw new Error("Attendance is being saved by someone else. Please try again.");
+  }
+  try {
+    if (form.target === "event") {
+      appendEventAttendanceRows_(sheet, rows);
+    } else {
+      appendServiceAttendanceRows_(sheet, rows);
+    }
+    SpreadsheetApp.flush();
+  } finally {
+    lock.releaseLock();
+  }
+
+  const count = status => entries.filter(entry => entry.status === status).length;
+  const leftOut = count(ATTENDANCE_IMPORT_STATUS.AMBIGUOUS) - toImport.filter(entry => entry.status === ATTENDANCE_IMPORT_STATUS.AMBIGUOUS).length;
+  const summary = `Imported ${rows.length} row(s) into ${sheetName} (${newIds.size} new ID(s)). ` +
+    `Skipped ${count(ATTENDANCE_IMPORT_STATUS.DUPLICATE)} duplicate(s), ${count(ATTENDANCE_IMPORT_STATUS.ERROR)} error(s) and ${leftOut} unticked ambiguous row(s).`;
+  Logger.log(`✅ (Import) ${summary}`);
+  return summary;
+}
+
+/**
+ * Reads the CSV and classifies each row. Shared by the preview and the import, so both agree.
+ * @param {Object} form See previewAttendanceImport.
+ * @param {Object} registry From getPersonRegistry_().
+ * @returns {Array<{line: number, csvName: string, fullName: string, firstName: string, lastName: string, id: string, email: string,
+ *     formattedDate: string, timestamp: Date|null, group: string, role: string, notes: string, status: string, reason: string}>}
+ *     group is the service (Service Attendance) or event name (Event Attendance).
+ */
+function analyseAttendanceImport_(form, registry) {
+  const isEvent = form.target === "event";
+  const values = readAttendanceImportCsv_(form);
+  const columns = mapAttendanceImportColumns_(values[0]);
+  const timeZone = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone();
+  const existingKeys = loadAttendanceImportKeys_(isEvent);
+  const namesake = buildAttendanceImportNamesakes_(registry);
+  const cell = (row, key) => columns[key] >= 0 ? String(row[columns[key]] === undefined ? "" : row[columns[key]]).trim() : "";
+
+  const entries = [];
+  values.slice(1).forEach((row, index) => {
+    if (row.every(value => String(value).trim() === "")) return;
+    const csvName = cell(row, "fullName") || `${cell(row, "firstName")} ${cell(row, "lastName")}`.trim();
+    const entry = {
+      line: index + 2, csvName: csvName, fullName: csvName, firstName: "", lastName: "", id: "",
+      email: cell(row, "email"), formattedDate: "", timestamp: null, group: "",
+      role: cell(row, "role"), notes: cell(row, "notes"), status: ATTENDANCE_IMPORT_STATUS.ERROR, reason: ""
+    };
+    entries.push(entry);
+
+    const date = parseAttendanceImportDate_(cell(row, "date"));
+    entry.timestamp = date ? parseAttendanceImportTime_(date, cell(row, "time")) : null;
+    entry.group = isEvent
+      ? cell(row, "event") || String(form.eventName || "").trim()
+      : cell(row, "service") || (entry.timestamp ? findServiceForTime_(entry.timestamp) : serviceNameOrDefault_(form.service));
+    if (!csvName) { entry.reason = "No name"; return; }
+    if (!date) { entry.reason = `Unreadable date "${cell(row, "date")}"`; return; }
+    if (!entry.group) { entry.reason = "No event name (add an Event column or fill in the event name)"; return; }
+    entry.formattedDate = Utilities.formatDate(date, timeZone, "MM/dd/yyyy");
+
+    const person = registry.resolve(csvName, entry.email);
+    entry.id = person.id;
+    entry.fullName = person.fullName;
+    entry.firstName = person.firstName;
+    entry.lastName = person.lastName;
+
+    const writtenName = `${person.firstName || ""} ${person.lastName || ""}`.trim() || person.fullName;
+    const key = attendanceImportKey_(writtenName, entry.formattedDate, entry.group);
+    if (existingKeys.has(key)) {
+      entry.status = ATTENDANCE_IMPORT_STATUS.DUPLICATE;
+      entry.reason = existingKeys.get(key) || "Already recorded";
+      return;
+    }
+    existingKeys.set(key, `Repeats CSV line ${entry.line}`);
+
+    const ambiguity = namesake(csvName, person);
+    if (ambiguity) {
+      entry.status = ATTENDANCE_IMPORT_STATUS.AMBIGUOUS;
+      entry.reason = ambiguity;
+    } else if (person.id) {
+      entry.status = ATTENDANCE_IMPORT_STATUS.MATCH;
+      entry.reason = `Found in ${person.source} by ${person.matchedBy}`;
+    } else {
+      entry.status = ATTENDANCE_IMPORT_STATUS.NEW;
+      entry.reason = "New person";
+    }
+  });
+  return entries;
+}
+
+/**
+ * @param {Object} form See previewAttendanceImport.
+ * @returns {Array<Array<string>>} The CSV values, header row first.
+ */
+function readAttendanceImportCsv_(form) {
+  let text;
+  if (form.source === "drive") {
+    const match = String(form.driveFile || "").match(/[-\w]{25,}/);
+    if (!match) throw new Error("Please paste the Drive link or file ID of the CSV file.");
+    const file = DriveApp.getFileById(match[0]);
+    if (file.getMimeType() === MimeType.GOOGLE_SHEETS) {
+      throw new Error(`"${file.getName()}" is a Google Sheet. Download it as CSV, or copy its cells and paste them here.`);
+    }
+    text = file.getBlob().getDataAsString();
+  } else {
+    text = String(form.csvText || "");
+  }
+  text = text.replace(/^\uFEFF/, "").trim();
+  if (!text) throw new Error("The CSV is empty.");
+
+  const firstLine = text.split(/\r?\n/)[0];
+  const values = firstLine.includes("\t") && !firstLine.includes(",") ? Utilities.parseCsv(text, "\t") : Utilities.parseCsv(text);
+  if (values.length < 2) throw new Error("The CSV has a header row but no attendance rows.");
+  return values;
+}
+
+/**
+ * @param {Array<string>} headers The CSV header row.
+ * @returns {Object<string, number>} Column index per ATTENDANCE_IMPORT_COLUMNS key (-1 when absent).
+ */
+function mapAttendanceImportColumns_(headers) {
+  const normalized = headers.map(header => String(header || "").trim().toLowerCase());
+  const columns = {};
+  Object.keys(ATTENDANCE_IMPORT_COLUMNS).forEach(key => {
+    columns[key] = normalized.findIndex(header => ATTENDANCE_IMPORT_COLUMNS[key].includes(header));
+  });
+  if ((columns.fullName < 0 && columns.firstName < 0) || columns.date < 0) {
+    throw new Error('The first CSV row must name the columns, with at least "Name" (or "First Name" and "Last Name") and "Date". ' +
+      `Found: ${headers.join(", ")}`);
+  }
+  return columns;
+}
+
+/**
+ * @param {boolean} isEvent
+ * @returns {Map<string, string>} Duplicate keys (see attendanceImportKey_) of the rows already recorded.
+ */
+function loadAttendanceImportKeys_(isEvent) {
+  const keys = new Map();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(isEvent ? "Event Attendance" : "Service Attendance");
+  if (!sheet || sheet.getLastRow() < 2) return keys;
+  const width = isEvent ? 11 : Math.min(SERVICE_ATTENDANCE_SERVICE_COL, sheet.getMaxColumns());
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues().forEach((row, index) => {
+    const date = isEvent ? row[10] : row[4];
+    if (!row[1] || !date) return;
+    const group = isEvent ? row[2] : serviceNameOrDefault_(row[SERVICE_ATTENDANCE_SERVICE_COL - 1]);
+    keys.set(attendanceImportKey_(row[1], date, group), `Already recorded (row ${index + 2})`);
+  });
+  return keys;
+}
+
+/**
+ * attendanceEntryKey_, plus the service or event name (one person may attend two services or events a day).
+ */
+function attendanceImportKey_(fullName, date, group) {
+  return `${attendanceEntryKey_(fullName, date)}_${String(group || "").trim().toLowerCase()}`;
+}
+
+/**
+ * Prepares the ambiguity check for imported names.
+ * @param {Object} registry From getPersonRegistry_().
+ * @returns {function(string, Object): string} (CSV name, resolved person) -> why the row is ambiguous, or "".
+ */
+function buildAttendanceImportNamesakes_(registry) {
+  const idsByName = new Map();  // normalized name -> Set of IDs
+  const peopleByToken = new Map(); // canonical name word -> [{id, fullName}]
+  const indexed = new Set();
+  registry.records.forEach(record => {
+    if (!record.id || extractNumericBel_(record.id) === null) return;
+    const key = normalizePersonName_(record.fullName);
+    if (!idsByName.has(key)) idsByName.set(key, new Set());
+    idsByName.get(key).add(record.id);
+    if (indexed.has(record.id)) return;
+    indexed.add(record.id);
+    const person = { id: record.id, fullName: registry.currentName(record.id) || record.fullName };
+    canonicalNameTokens_(person.fullName).filter(token => token.length > 1).forEach(token => {
+      if (!peopleByToken.has(token)) peopleByToken.set(token, []);
+      peopleByToken.get(token).push(person);
+    });
+  });
+
+  return (csvName, person) => {
+    if (person.id) {
+      const ids = idsByName.get(normalizePersonName_(person.fullName)) || new Set();
+      return ids.size > 1 ? `${ids.size} people are named ${person.fullName} (${Array.from(ids).join(", ")})` : "";
+    }
+    const close = new Map();
+    canonicalNameTokens_(csvName).filter(token => token.length > 1).forEach(token => {
+      (peopleByToken.get(token) || []).forEach(candidate => {
+        if (!close.has(candidate.id) && scorePersonNamePair_(csvName, candidate.fullName).score >= DUPLICATE_SCORE_THRESHOLD) {
+          close.set(candidate.id, candidate);
+        }
+      });
+    });
+    if (close.size === 0) return "";
+    const names = Array.from(close.values()).slice(0, 3).map(candidate => `${candidate.fullName} (${candidate.id})`);
+    return `New name, but close to ${names.join(", ")}. Ticking it allocates a new ID; fix the spelling to use theirs.`;
+  };
+}
+
+/**
+ * @param {string} text E.g. "03/02/2025", "2025-03-02" or "March 2, 2025".
+ * @returns {Date|null} Midnight of that day in the script time zone.
+ */
+function parseAttendanceImportDate_(text) {
+  if (!text) return null;
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/); // new Date() reads these as UTC
+  const date = iso ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) : getDateValue_(text);
+  if (!date) return null;
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * @param {Date} date From parseAttendanceImportDate_.
+ * @param {string} text A time ("9:30", "10:15 AM") or a full timestamp; may be blank.
+ * @returns {Date|null} The check-in time on that date, or null when no time was given.
+ */
+function parseAttendanceImportTime_(date, text) {
+  if (!text) return null;
+  const match = text.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i);
+  if (!match) {
+    const timestamp = getDateValue_(text);
+    return timestamp && timestamp.toDateString() === date.toDateString() ? timestamp : null;
+  }
+  let hours = Number(match[1]) % (match[4] ? 12 : 24);
+  if (match[4] && match[4].toLowerCase().startsWith("p")) hours += 12;
+  const when = new Date(date);
+  when.setHours(hours, Number(match[2]), Number(match[3] || 0), 0);
+  return when;
+}
+
+function attendanceImportSheetName_(target) {
+  return target === "event" ? "Event Attendance" : "Service Attendance";
+}
@@ -0,0 +1,136 @@
+/**
+ * Attendance Submission Sync
+ * "✅ Submit Attendance" on the Sunday and Event Registration sheets applies only the
+ * difference against what is already recorded for the same date and service (Service
+ * Attendance) or event name and date (Event Attendance):
+ *
+ *   - ticked people who are not recorded yet are added;
+ *   - ticked people who are already recorded are skipped, so a second click or a second
+ *     greeter submitting the same list adds nothing;
+ *   - recorded people who are on the list but not ticked are removed only when the user
+ *     confirms it. People recorded from elsewhere (kiosk, forms) who are not on the list
+ *     are never touched.
+ *
+ * "📂 Load Attendance for Date" goes the other way: it ticks everyone already recorded for
+ * the date on the sheet (tickRecordedAttendance_), so a past Sunday or event can be corrected
+ * and submitted again.
+ *
+ * A person is the same attendee when the Person IDs match, or, without an ID, the names do.
+ * Roles (column F, see Roles.js) travel with the rows: a role picked for someone already
+ * recorded replaces the recorded role, while a blank role leaves it as it is.
+ */
+
+/**
+ * @param {Array<{personId: string, fullName: string, checked: boolean, role: string}>} listed Everyone on the registration sheet.
+ * @param {Array<{row: number, personId: string, fullName: string, role: string}>} recorded Attendance rows already recorded for the same date and service/event.
+ * @returns {{toAdd: Array<Object>, alreadyRecorded: Array<Object>, toRemove: Array<Object>, roleChanges: Array<{row: number, role: string, fullName: string}>}}
+ *     toAdd and alreadyRecorded hold listed entries; toRemove holds recorded rows of listed people who are not ticked;
+ *     roleChanges holds recorded rows whose role differs from the role now picked for them.
+ */
+function compareWithRecordedAttendance_(listed, recorded) {
+  const toAdd = [];
+  const alreadyRecorded = [];
+  const roleChanges = [];
+  listed.filter(person => person.checked).forEach(person => {
+    if (toAdd.some(added => isSameAttendee_(added, person)) || alreadyRecorded.some(other => isSameAttendee_(other, person))) return; // Listed twice
+    const entry = recorded.find(recordedEntry => isSameAttendee_(recordedEntry, person));
+    if (!entry) {
+      toAdd.push(person);
+      return;
+    }
+    alreadyRecorded.push(person);
+    const role = String(person.role || "").trim();
+    if (role && role !== String(entry.role || "").trim()) roleChanges.push({ row: entry.row, role: role, fullName: entry.fullName });
+  });
+
+  const unticked = listed.filter(person => !person.checked && !listed.some(other => other.checked && isSameAttendee_(other, person)));
+  const toRemove = recorded.filter(entry => unticked.some(person => isSameAttendee_(entry, person)));
+  return { toAdd: toAdd, alreadyRecorded: alreadyRecorded, toRemove: toRemove, roleChanges: roleChanges };
+}
+
+function isSameAttendee_(a, b) {
+  const idA = String(a.personId || "").trim();
+  const idB = String(b.personId || "").trim();
+  if (idA && idB) return idA === idB;
+  return normalizePersonName_(a.fullName) === normalizePersonName_(b.fullName);
+}
+
+/**
+ * Asks whether the recorded rows of unticked people should be removed.
+ * @param {Array<{fullName: string}>} toRemove
+ * @param {string} label E.g. "9am Service on 03/02/2025".
+ * @returns {boolean}
+ */
+function confirmAttendanceRemovals_(toRemove, label) {
+  const ui = SpreadsheetApp.getUi();
+  const names = toRemove.map(entry => entry.fullName);
+  const response = ui.alert(
+    'Remove Unticked People?',
+    `${names.length} person(s) on this list are already recorded for ${label} but are not ticked now:\n\n` +
+    `${names.slice(0, 15).join("\n")}${names.length > 15 ? `\n… and ${names.length - 15} more` : ""}\n\n` +
+    'YES removes them from the attendance records. NO keeps them and only adds the newly ticked people.',
+    ui.ButtonSet.YES_NO
+  );
+  return response === ui.Button.YES;
+}
+
+/**
+ * Deletes whole attendance rows, bottom-up so the remaining row numbers stay valid.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {Array<{row: number}>} entries
+ */
+function deleteAttendanceRows_(sheet, entries) {
+  entries.map(entry => entry.row).sort((a, b) => b - a).forEach(row => sheet.deleteRow(row));
+}
+
+/**
+ * @returns {string} The summary shown after a submission.
+ */
+function formatSubmissionSummary_(added, alreadyRecorded, removed, label, roleChanges = []) {
+  const lines = [`Attendance for ${label}:`, "", `➕ Added: ${added.length}`, `⏭️ Already recorded (skipped): ${alreadyRecorded.length}`];
+  if (removed.length > 0) lines.push(`➖ Removed: ${removed.length}`);
+  if (roleChanges.length > 0) lines.push(`🙋 Roles updated: ${roleChanges.length}`);
+  if (added.length > 0 && added.length <= 10) lines.push("", `Added: ${added.map(person => person.fullName).join(", ")}`);
+  if (removed.length > 0 && removed.length <= 10) lines.push("", `Removed: ${removed.map(entry => entry.fullName).join(", ")}`);
+  return lines.join("\n");
+}
+
+/**
+ * Ticks everyone already recorded, so a past date can be reviewed and corrected, and shows their recorded roles.
+ * Recorded people who are not on the list (kiosk walk-ins, form entries) are added as ticked rows.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} regSheet A registration sheet (data from row 6).
+ * @param {Array<{personId: string, fullName: string, role: string}>} recorded
+ * @returns {{ticked: number, added: number}}
+ */
+function tickRecordedAttendance_(regSheet, recorded) {
+  const lastRow = regSheet.getLastRow();
+  const rows = lastRow >= 6 ? regSheet.getRange(6, 1, lastRow - 5, REGISTRATION_COLUMN_COUNT).getValues() : [];
+  const listed = rows.map(row => ({ personId: String(row[0] || "").trim(), fullName: `${row[1] || ""} ${row[2] || ""}`.trim() }));
+
+  const matches = listed.map(person => person.fullName ? recorded.find(entry => isSameAttendee_(entry, person)) : undefined);
+  const present = listed.map((person, i) => !!person.fullName && !!matches[i]);
+  if (rows.length > 0) {
+    regSheet.getRange(6, REGISTRATION_PRESENT_COL, rows.length, 1)
+      .setValues(present.map((value, i) => [listed[i].fullName ? value : rows[i][REGISTRATION_PRESENT_COL - 1]]));
+    regSheet.getRange(6, REGISTRATION_ROLE_COL, rows.length, 1)
+      .setValues(matches.map((entry, i) => [entry ? String(entry.role || "") : rows[i][REGISTRATION_ROLE_COL - 1]]));
+  }
+
+  const missing = [];
+  recorded.forEach(entry => {
+    if (listed.some(person => isSameAttendee_(entry, person)) || missing.some(other => isSameAttendee_(entry, other))) return;
+    missing.push(entry);
+  });
+  if (missing.length > 0) {
+    const startRow = Math.max(lastRow + 1, 6);
+    const newRows = missing.map(entry => {
+      const { firstName, lastName } = splitFullName_(entry.fullName);
+      return [entry.personId, firstName, lastName, true, "", String(entry.role || "")];
+    });
+    regSheet.getRange(startRow, 1, newRows.length, REGISTRATION_COLUMN_COUNT).setValues(newRows);
+    regSheet.getRange(startRow, REGISTRATION_PRESENT_COL, newRows.length, 1).setDataValidation(SpreadsheetApp.newDataValidation().requireCheckbox().build());
+    regSheet.getRange(startRow, 1, newRows.length, REGISTRATION_COLUMN_COUNT).setBorder(true, true, true, true, true, true);
+    refreshRowFormatting_(regSheet, startRow, newRows.length);
+  }
+  return { ticked: present.filter(Boolean).length + missing.length, added: missing.length };
+}
@@ -1,11 +1,25 @@
+const GUEST_STATS_KEY_PREFIX = "GUEST:"; // Groups the attendance of people without an ID by name
+
 /**
  * Extracts a purely numeric ID if the input is already a number or a string representing a non-negative integer.
  * It NO LONGER parses "BEL" prefixes. Any string containing non-numeric characters (like "BEL123")
  * will be treated as an invalid/missing ID.
+ * When a check-digit ID scheme is active (PersonIdScheme.js), only IDs in that format with a
+ * matching check digit are accepted, and the person number without the check digit is returned.
  * @param {any} codeValue The value from the sheet that might be a numeric ID.
  * @returns {number|null} The extracted number, or null if not a valid purely numeric ID.
  */
-function extractNumericBel(codeValue) {
+function extractNumericBel_(codeValue) {
+  const scheme = getPersonIdScheme_();
+  if (scheme.checkDigit) {
+    if (codeValue === null || codeValue === undefined || String(codeValue).trim() === '') return null;
+    const parsed = parseSchemePersonId_(codeValue, scheme);
+    if (parsed.number === null) {
+      Logger.log(`ℹ️ extractNumericBel_: Input "${codeValue}" ${parsed.error}. Will treat as missing/invalid ID.`);
+    }
+    return parsed.number;
+  }
+
   if (typeof codeValue === 'number' && Number.isInteger(codeValue) && codeValue >= 0) {
     return codeValue;
   }
@@ -17,7 +31,7 @@ function extractNumericBel(codeValue) {
     }
 
     if (!/^\d+$/.test(numStr)) {
-      Logger.log(`ℹ️ extractNumericBel: Input "${codeValue}" is not a purely numeric string. Will treat as missing/invalid ID.`);
+      Logger.log(`ℹ️ extractNumericBel_: Input "${codeValue}" is not a purely numeric string. Will treat as missing/invalid ID.`);
       return null;
     }
 
@@ -25,7 +39,7 @@ function extractNumericBel(codeValue) {
     if (!isNaN(num) && num >= 0) {
       return num;
     } else {
-      Logger.log(`⚠️ extractNumericBel: Could not parse valid non-negative number from numeric string "${numStr}". Parsed: ${num}`);
+      Logger.log(`⚠️ extractNumericBel_: Could not parse valid non-negative number from numeric string "${numStr}". Parsed: ${num}`);
       return null;
     }
   }
@@ -33,126 +47,44 @@ function extractNumericBel(codeValue) {
 }
 
 /**
- * Fetches data using getDataFromSheets, matches/assigns purely NUMERIC IDs,
+ * Fetches data using getDataFromSheets_, matches/assigns purely NUMERIC IDs,
  * and formats attendance records into a standardized 11-column structure.
  *
- * This function first collects all existing PURELY NUMERIC IDs from the Directory,
- * Event Attendance (Column A), and Service Attendance (Column A) sheets using the modified extractNumericBel.
- * It builds a comprehensive name-to-NUMERIC_ID mapping (belMap). It then finds
- * the highest number among these numeric codes and generates new unique NUMERIC IDs
- * sequentially from the next number when a person doesn't have an existing valid numeric code.
+ * Each attendance row is matched by email, phone (Event Attendance only) or name through the shared Person Registry,
+ * which checks the Directory, new member form and every local sheet in its documented
+ * lookup order. No ID is ever allocated here: a person with no ID anywhere gets a blank ID and
+ * is counted as a guest (grouped by name in calculateAttendanceStats_).
  *
- * Assumes data object from getDataFromSheets contains:
+ * Assumes data object from getDataFromSheets_ contains:
  * - sData: Array of rows from Service Attendance
  * - eData: Array of rows from Event Attendance
- * - dData: Array of rows from Directory (now correctly assumed ID in row[0], Name in row[1])
  *
  * The function returns an array of arrays, where each inner array has
  * at least 11 elements, conforming to the "Event Attendance" column structure:
  * [0: Numeric ID (number), 1: Full Name, ..., 10: Timestamp]
+ * Service Attendance rows also carry 11: the service name (DEFAULT_SERVICE_NAME when blank),
+ * and 12: their Notes; their Role (column K) goes in 9 like the Event Attendance Role.
  *
  * @returns {Array<Array<any>>} An array of formatted attendance records, or empty array if data loading fails.
  */
-function matchOrAssignBelCodes() {
-  const data = getDataFromSheets();
+function matchOrAssignBelCodes_() {
+  const data = getDataFromSheets_();
   if (!data) {
-    Logger.log("❌ No data loaded from sheets in matchOrAssignBelCodes. Exiting.");
+    Logger.log("❌ No data loaded from sheets in matchOrAssignBelCodes_. Exiting.");
     return [];
   }
 
-  const { sData, eData, dData } = data;
+  const { sData, eData } = data;
 
-  const belMap = new Map();
-  const allUsedCodes = new Set();
+  const registry = getPersonRegistry_();
   const normalize = name => name?.toString().trim().toLowerCase();
 
-  // --- Step 1: Populate belMap and allUsedCodes (with NUMBERS) from the Directory sheet ---
-  // FIX APPLIED HERE: Corrected column indices for Directory data (dData)
-  if (dData && dData.length > 1) {
-    dData.slice(1).forEach((row, index) => {
-      // Based on your confirmation:
-      // Column A (index 0): Person ID
-      // Column B (index 1): Full Name
-      if (row.length > 1) { // Ensure at least Column A (ID) and Column B (Full Name) exist
-        const originalBel = row[0]; // **FIXED: Person ID from Column A (index 0)**
-        const name = normalize(row[1]); // **FIXED: Full Name from Column B (index 1)**
-        const numericBel = extractNumericBel(originalBel);
-
-        if (name) {
-          if (numericBel !== null) {
-            if (!belMap.has(name)) {
-              belMap.set(name, numericBel);
-            }
-            allUsedCodes.add(numericBel);
-          } else if (originalBel && originalBel.toString().trim() !== '') {
-            // This log should now ONLY appear if column A of your Directory has non-numeric (non-ID) data
-            Logger.log(`ℹ️ Directory: Row ${index + 2}: Value "${originalBel}" in Person ID column is not a plain number and will be ignored. A new numeric ID may be generated for "${name}" if needed.`);
-          }
-        } else {
-          Logger.log(`⚠️ Directory: Row ${index + 2}: Skipping row due to missing Full Name in Column B. Row data: ${JSON.stringify(row)}`);
-        }
-      } else {
-        Logger.log(`⚠️ Directory: Row ${index + 2}: Skipping row due to insufficient columns (${row.length} found). Expected at least 2 (Person ID, Full Name). Row data (partial): ${JSON.stringify(row.slice(0,2))}`);
-      }
-    });
-    Logger.log(`✅ Populated numeric ID map and used codes from Directory (${dData.length > 1 ? dData.length - 1 : 0} data rows processed).`);
-  } else {
-    Logger.log("⚠️ matchOrAssignBelCodes: Directory data (dData) is empty or missing headers.");
-  }
-
-  // --- Step 2: Add existing NUMERIC IDs from Attendance sheets and update belMap ---
   const attendanceDataRaw = [];
-  if (eData && eData.length > 1) attendanceDataRaw.push(...eData.slice(1));
+  const eventRows = new Set(); // Only Event Attendance has a phone column (H)
+  if (eData && eData.length > 1) eData.slice(1).forEach(row => { attendanceDataRaw.push(row); eventRows.add(row); });
   if (sData && sData.length > 1) attendanceDataRaw.push(...sData.slice(1));
 
-  attendanceDataRaw.forEach((row, idx) => {
-    if (row.length > 1) {
-      // Column A (Person ID) and Column B (Full Name) in attendance sheets are correctly read here
-      const originalBelFromRow = row[0];
-      const name = normalize(row[1]);
-      const numericBelFromRow = extractNumericBel(originalBelFromRow);
-
-      if (numericBelFromRow !== null) {
-        allUsedCodes.add(numericBelFromRow);
-        if (name && !belMap.has(name)) {
-          belMap.set(name, numericBelFromRow);
-        }
-      } else if (originalBelFromRow && originalBelFromRow.toString().trim() !== '' && name) {
-          Logger.log(`ℹ️ Attendance Sheets (Source Row approx. ${idx + 1}): Value "${originalBelFromRow}" for name "${name}" in ID column is not a plain number and will be ignored. A new ID may be generated.`);
-      }
-    }
-  });
-  Logger.log(`✅ Added existing numeric IDs from Attendance sheets to used codes set. Total unique used NUMERIC codes found: ${allUsedCodes.size}. Total NUMERIC ID mappings found: ${belMap.size}`);
-
-  // --- Step 3: Initialize NUMERIC ID Code generator ---
-  let highestFoundNum = 0;
-  allUsedCodes.forEach(code => {
-    if (typeof code === 'number' && code > highestFoundNum) {
-      highestFoundNum = code;
-    }
-  });
-
-  let codeCounter = highestFoundNum + 1;
-  Logger.log(`✅ Initialized NUMERIC ID code counter to: ${codeCounter}. Highest valid number found among existing ID codes was ${highestFoundNum}.`);
-
-  // --- Step 4: Define the function to generate the next unique NUMERIC ID code ---
-  const generateBEL = () => {
-    while (true) {
-      const currentNumericCode = codeCounter;
-      if (!allUsedCodes.has(currentNumericCode)) {
-        allUsedCodes.add(currentNumericCode);
-        codeCounter++;
-        return currentNumericCode;
-      }
-      codeCounter++;
-      if (codeCounter > highestFoundNum + 20000) {
-        Logger.log(`ERROR: ID code counter (${codeCounter}) significantly exceeds highest found number (${highestFoundNum}). Potential issue.`);
-        throw new Error("ID code counter exceeded a safe threshold, potential infinite loop or too many users without pre-existing IDs.");
-      }
-    }
-  };
-
-  // --- Step 5: Process Attendance Data and Assign Final NUMERIC IDs ---
+  // --- Process Attendance Data and Assign Final NUMERIC IDs ---
   const results = [];
   attendanceDataRaw.forEach(row => {
     if (row.length < 2) {
@@ -165,19 +97,20 @@ function matchOrAssignBelCodes() {
       return;
     }
 
-    let numericBel;
-    if (belMap.has(name)) {
-      numericBel = belMap.get(name);
-    } else {
-      numericBel = generateBEL();
-      belMap.set(name, numericBel);
-      Logger.log(`✅ Generated new NUMERIC ID ${numericBel} for name "${row[1]}".`);
-    }
+    // Column G holds the email in both Event Attendance and Service Attendance.
+    const email = row.length > 6 ? row[6] : "";
+    const phone = eventRows.has(row) ? row[7] : "";
+    // Stats only look IDs up: allocating here would burn a new ID on every run for rows
+    // that never get it written back. Unmatched rows are counted as guests, by name.
+    const personId = registry.resolve(row[1], email, phone).id;
+    const numericBel = personId ? extractNumericBel_(personId) : "";
 
     let formattedRow = Array(11).fill("");
-    formattedRow[0] = numericBel;
+    // Plain IDs stay numbers as before; check-digit IDs keep their written form; guests stay blank.
+    formattedRow[0] = personId && getPersonIdScheme_().checkDigit ? personId : numericBel;
 
-    if (row.length >= 11 && typeof row[10] !== 'undefined') {
+    // Service Attendance now has a Service column (J), so the source sheet, not the row length, decides the layout.
+    if (eventRows.has(row) && row.length >= 11 && typeof row[10] !== 'undefined') {
       formattedRow[1] = row[1];
       formattedRow[2] = row[2];
       formattedRow[3] = row[3];
@@ -195,8 +128,10 @@ function matchOrAssignBelCodes() {
       formattedRow[4] = row[2];
       formattedRow[5] = row[3];
       formattedRow[6] = row[6];
-      formattedRow[9] = "";
+      formattedRow[9] = row[10] || ""; // Volunteer role (Service Attendance column K)
       formattedRow[10] = row[4];
+      formattedRow[11] = serviceNameOrDefault_(row[9]); // Which service of the day (Service Attendance column J)
+      formattedRow[12] = row[7] || ""; // Notes: older rows mark volunteering there
     } else {
       Logger.log(`⚠️ Processing Attendance: Skipping row for "${name}" (ID: ${numericBel}) with unrecognized structure. Row data: ${JSON.stringify(row)}`);
       return;
@@ -214,7 +149,7 @@ function matchOrAssignBelCodes() {
  *
  * @returns {Array<Array<any>>} An array of arrays representing the data, or empty array if sheet not found.
  */
-function getServiceAttendanceData() {
+function getServiceAttendanceData_() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheetName = "Service Attendance"; // Confirmed: This is the name of your Service Attendance tab
   const sheet = ss.getSheetByName(sheetName);
@@ -244,33 +179,16 @@ function getServiceAttendanceData() {
 }
 
 /**
- * Helper function to retrieve all data from the specified sheets.
- * It now distinguishes between the active spreadsheet for attendance data
- * and an external spreadsheet for directory data, whose ID is fetched from PropertiesService.
+ * Helper function to retrieve all data from the attendance sheets.
+ * Directory data is read through the shared snapshot instead (getDirectoryPeople_ in DirectoryCache.js).
  *
- * @returns {Object} An object containing arrays of data for dData, eData, and sData.
+ * @returns {Object} An object containing arrays of data for eData and sData.
  */
-function getDataFromSheets() {
-  Logger.log("ℹ️ getDataFromSheets: Fetching data from spreadsheet sheets, including external directory.");
+function getDataFromSheets_() {
+  Logger.log("ℹ️ getDataFromSheets_: Fetching data from the attendance sheets.");
   const ss = SpreadsheetApp.getActiveSpreadsheet();
 
-  const scriptProperties = PropertiesService.getScriptProperties();
-  const directorySheetId = scriptProperties.getProperty("DIRECTORY_SPREADSHEET_ID"); // <<< CORRECT KEY NAME
-
-  let externalDirectorySs = null;
-  if (directorySheetId) {
-    try {
-      externalDirectorySs = SpreadsheetApp.openById(directorySheetId);
-      Logger.log(`✅ Opened external Directory spreadsheet with ID: ${directorySheetId}`);
-    } catch (e) {
-      Logger.log(`❌ Failed to open external Directory spreadsheet with ID "${directorySheetId}": ${e.message}`);
-      // Proceed without external directory data if it fails
-    }
-  } else {
-    Logger.log("⚠️ No 'DIRECTORY_SPREADSHEET_ID' found in script properties. Directory data will be empty.");
-  }
-
-  const getSheetData = (sheetName, spreadsheet = ss) => {
+  const getSheetData_ = (sheetName, spreadsheet = ss) => {
     const targetSs = spreadsheet;
     if (!targetSs) {
       Logger.log(`❌ Cannot get data from sheet "${sheetName}" because the target spreadsheet is not available.`);
@@ -288,10 +206,8 @@ function getDataFromSheets() {
   };
 
   return {
-    // This is the new, corrected line
-dData: externalDirectorySs ? getSheetData("Directory", externalDirectorySs) : [],
-    eData: getSheetData("Event Attendance", ss),
-    sData: getSheetData("Service Attendance", ss)
+    eData: getSheetData_("Event Attendance", ss),
+    sData: getSheetData_("Service Attendance", ss)
   };
 }
 
@@ -302,7 +218,7 @@ dData: externalDirectorySs ? getSheetData("Directory", externalDirectorySs) : []
  * @returns {Map<number, Object>} A map where key is Person ID (numeric) and value is an object
  * containing existing stats (quarter, month, volunteer, lastDate, lastEvent, total, lastYearServiceCount).
  */
-function getExistingAttendanceStatsCounts() {
+function getExistingAttendanceStatsCounts_() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = ss.getSheetByName("Attendance Stats");
   const existingStats = new Map(); // Map: Person ID -> {quarter, month, volunteer, lastDate, lastEvent, total, lastYearServiceCount}
@@ -317,7 +233,7 @@ function getExistingAttendanceStatsCounts() {
   const values = dataRange.getValues();
 
   values.forEach(row => {
-    const personId = extractNumericBel(row[0]); // Column A: Person ID
+    const personId = extractNumericBel_(row[0]); // Column A: Person ID
 
     if (personId !== null) {
       existingStats.set(personId, {
@@ -337,19 +253,31 @@ function getExistingAttendanceStatsCounts() {
 // --- END NEW HELPER ---
 
 
+/**
+ * Run list entry point for calculateAttendanceStats_.
+ * @param {Object} e The trigger's event object, if any.
+ */
+function calculateAttendanceStats(e) {
+  requireTriggerOrEditor_(e);
+  return calculateAttendanceStats_();
+}
+
 /**
  * Calculates attendance statistics based on formatted raw data.
  * Groups entries by BEL code and summarizes attendance
  * for the current month, the last 3 months, and year,
  * including volunteer instances and last attended date.
+ * Volunteer Count (G) counts this year's services and events with a volunteer role (see Roles.js);
+ * each row then carries the same count per role, in roleNames order, after column K.
  *
+ * @param {Array<string>=} roleNames The per-role columns; see listRoleNamesInUse_.
  * @returns {Array<Array<any>>} An array of arrays containing summarized attendance statistics per individual, or empty array if no data to process.
  */
-function calculateAttendanceStats() {
-  const rawData = matchOrAssignBelCodes();
+function calculateAttendanceStats_(roleNames = listRoleNamesInUse_()) {
+  const rawData = matchOrAssignBelCodes_();
 
   if (!rawData || rawData.length === 0) {
-    Logger.log("❌ No data received from matchOrAssignBelCodes or data is empty after formatting.");
+    Logger.log("❌ No data received from matchOrAssignBelCodes_ or data is empty after formatting.");
     return [];
   }
 
@@ -368,13 +296,13 @@ function calculateAttendanceStats() {
   const previousCalendarYear = currentYear - 1;
   Logger.log(`Debug: Calculating last year's attendance for calendar year: ${previousCalendarYear}`);
 
-  const serviceAttendanceData = getServiceAttendanceData();
+  const serviceAttendanceData = getServiceAttendanceData_();
   const serviceAttendanceLastYear = new Map(); // Map: Person ID (numeric) -> Set of unique date strings (YYYY-MM-DD)
 
  // --- NEW LOGIC TO HANDLE DATE STRINGS ---
   if (serviceAttendanceData && serviceAttendanceData.length > 0) {
     serviceAttendanceData.forEach(row => {
-      const personId = extractNumericBel(row[0]);
+      const personId = extractNumericBel_(row[0]);
       // row[4] is now a string like "7/13/2025" thanks to getDisplayValues()
       const dateString = row[4]; 
 
@@ -402,8 +330,8 @@ function calculateAttendanceStats() {
         if (!serviceAttendanceLastYear.has(personId)) {
           serviceAttendanceLastYear.set(personId, new Set());
         }
-        // Add the original date string as the unique key. It's already unique for a given day.
-        serviceAttendanceLastYear.get(personId).add(dateString);
+        // Date plus service (column J) is the unique key, so two services on one day count as two.
+        serviceAttendanceLastYear.get(personId).add(`${dateString}|${serviceNameOrDefault_(row[9])}`);
       }
     });
   }
@@ -411,13 +339,14 @@ function calculateAttendanceStats() {
   Logger.log(`✅ Processed Service Attendance for previous calendar year (${previousCalendarYear}). Found data for ${serviceAttendanceLastYear.size} individuals.`);
   Logger.log(`✅ Processed Service Attendance for previous calendar year (${previousCalendarYear}). Found data for ${serviceAttendanceLastYear.size} individuals.`);
 
-  const existingStatsFromSheet = getExistingAttendanceStatsCounts(); // Renamed for clarity
+  const existingStatsFromSheet = getExistingAttendanceStatsCounts_(); // Renamed for clarity
 
+  const currentNames = getCurrentAliasNames_(loadPersonAliases_()); // Renamed people show their current name
   const grouped = new Map();
 
   rawData.forEach(row => {
     if (row.length < 11) {
-      Logger.log(`⚠️ calculateAttendanceStats: Skipping row due to insufficient columns (${row.length} found). Expected at least 11. Row data (partial): ${JSON.stringify(row.slice(0, 11))}`);
+      Logger.log(`⚠️ calculateAttendanceStats_: Skipping row due to insufficient columns (${row.length} found). Expected at least 11. Row data (partial): ${JSON.stringify(row.slice(0, 11))}`);
       return;
     }
 
@@ -444,10 +373,13 @@ if (isNaN(dateForSorting.getTime())) {
 const displayDate = Utilities.formatDate(dateForSorting, "UTC", "MM/dd/yyyy");
 
 const isSundayService = typeof eventName === 'string' && /sunday service/i.test(eventName);
-const isVolunteer = typeof role === 'string' && String(role).toLowerCase().includes("volunteer");
+const volunteerRole = volunteerRoleOf_(role, row[12], roleNames);
 const eventNameKey = typeof eventName === 'string' ? eventName : 'UnknownEvent';
 const eventIdKey = typeof eventId === 'string' ? eventId : 'UnknownID';
-const eventKey = isSundayService ? `sunday service-${displayDate}` : `${eventNameKey}-${eventIdKey}`;
+// Each named service of the day is its own event; the default service keeps the old per-date key.
+const serviceName = row[11] || DEFAULT_SERVICE_NAME;
+const serviceKey = isSundayService && serviceName !== DEFAULT_SERVICE_NAME ? `-${serviceName}` : '';
+const eventKey = isSundayService ? `sunday service-${displayDate}${serviceKey}` : `${eventNameKey}-${eventIdKey}`;
 
 const record = {
   name,
@@ -457,10 +389,10 @@ const record = {
   month: dateForSorting.getMonth(),
   quarter: Math.floor(dateForSorting.getMonth() / 3),
   year: dateForSorting.getFullYear(),
-  isVolunteer,
+  volunteerRole,
   isSundayService,
 };
-    const belString = String(bel);
+    const belString = bel === "" ? `${GUEST_STATS_KEY_PREFIX}${normalizePersonName_(name)}` : String(bel);
     if (!grouped.has(belString)) {
       grouped.set(belString, []);
     }
@@ -474,6 +406,7 @@ const record = {
     const monthEvents = new Set();
     const quarterEvents = new Set();
     let volunteerCount = 0;
+    const volunteerByRole = new Map();
 
     records.forEach(r => {
       uniqueEvents.add(r.eventKey);
@@ -485,8 +418,9 @@ const record = {
         quarterEvents.add(r.eventKey);
       }
       // --- END MODIFICATION ---
-      if (r.isVolunteer && r.year === currentYear) {
+      if (r.volunteerRole && r.year === currentYear) {
         volunteerCount++;
+        volunteerByRole.set(r.volunteerRole, (volunteerByRole.get(r.volunteerRole) || 0) + 1);
       }
     });
 
@@ -499,7 +433,7 @@ let lastDate = ''; // This will now hold our "as-is" string
 let lastEventName = '';
 
 if (mostRecentRecord) {
-  fullName = mostRecentRecord.name;
+  fullName = currentNames.get(String(bel)) || mostRecentRecord.name;
   lastDate = mostRecentRecord.displayDate; // Get the "as-is" string
   const lastEventKey = mostRecentRecord.eventKey;
   const lastEventParts = lastEventKey.split('-');
@@ -508,12 +442,13 @@ if (mostRecentRecord) {
 
     const totalUniqueEvents = uniqueEvents.size;
 
-    const belAsNumber = extractNumericBel(bel);
+    const belAsNumber = extractNumericBel_(bel);
     let lastYearServiceCount = 0;
 
+    const isGuest = bel.startsWith(GUEST_STATS_KEY_PREFIX);
     if (belAsNumber !== null && serviceAttendanceLastYear.has(belAsNumber)) {
       lastYearServiceCount = serviceAttendanceLastYear.get(belAsNumber).size;
-    } else if (belAsNumber === null) {
+    } else if (belAsNumber === null && !isGuest) {
       Logger.log(`⚠️ Person ID (BEL from match script) "${bel}" is not a valid numeric ID. Last Year Service Attendance will be 0 for "${fullName}".`);
     } else {
        Logger.log(`ℹ️ No last year service attendance found for Person ID ${belAsNumber} ("${fullName}") for calendar year ${previousCalendarYear}. Count will be 0.`);
@@ -557,7 +492,7 @@ if (mostRecentRecord) {
     Logger.log(`Debug: Person ID (from match script): ${bel}, Full Name: ${fullName}, Last Year Service Attendance Count: ${_currentLastYearServiceCountValue}`);
 
     summary.push([
-      bel,
+      isGuest ? "" : bel,
       fullName,
       "",
       "",
@@ -567,13 +502,15 @@ if (mostRecentRecord) {
       lastDate,
       lastEventName,
       _currentTotalValue,
-      _currentLastYearServiceCountValue
+      _currentLastYearServiceCountValue,
+      ...roleNames.map(name => volunteerByRole.get(name) || 0)
     ]);
   });
     
   summary.sort((a, b) => {
-    const idA = a[0];
-    const idB = b[0];
+    const idA = extractNumericBel_(a[0]);
+    const idB = extractNumericBel_(b[0]);
+    if (idA === null || idB === null) return (idA === null) - (idB === null) || String(a[1]).localeCompare(String(b[1])); // Guests last, by name
     return idA - idB;
   });
   Logger.log("✅ Summary data sorted numerically by Person ID.");
@@ -584,8 +521,18 @@ if (mostRecentRecord) {
 }
 
 
-function updateAttendanceStatsSheet() {
-  const finalData = calculateAttendanceStats();
+/**
+ * Run list and time-driven trigger entry point for updateAttendanceStatsSheet_.
+ * @param {Object} e The trigger's event object, if any.
+ */
+function updateAttendanceStatsSheet(e) {
+  requireTriggerOrEditor_(e);
+  updateAttendanceStatsSheet_();
+}
+
+function updateAttendanceStatsSheet_() {
+  const roleNames = listRoleNamesInUse_();
+  const finalData = calculateAttendanceStats_(roleNames);
 
   if (!finalData || finalData.length === 0) {
     Logger.log("❌ No final data to update the 'Attendance Stats' sheet.");
@@ -660,9 +607,38 @@ function updateAttendanceStatsSheet() {
     Logger.log(`⚠️ No data to write to 'Attendance Stats' sheet after formatting.`);
   }
 
+  // Volunteer counts per role go after the Activity Level (L) and guest tag (M), from column N.
+  const ROLE_STATS_FIRST_COL = 14;
+  // Only the previous run's role columns are cleared, so notes kept further right survive.
+  if (sheet.getMaxColumns() >= ROLE_STATS_FIRST_COL) {
+    const headers = sheet.getRange(1, ROLE_STATS_FIRST_COL, 1, sheet.getMaxColumns() - ROLE_STATS_FIRST_COL + 1).getValues()[0];
+    let previousWidth = 0;
+    while (previousWidth < headers.length && String(headers[previousWidth]).startsWith("🙋 ")) previousWidth++;
+    if (previousWidth > 0) sheet.getRange(1, ROLE_STATS_FIRST_COL, Math.max(sheet.getLastRow(), 1), previousWidth).clearContent();
+  }
+  const neededColumns = ROLE_STATS_FIRST_COL - 1 + roleNames.length - sheet.getMaxColumns();
+  if (neededColumns > 0) sheet.insertColumnsAfter(sheet.getMaxColumns(), neededColumns);
+  if (roleNames.length > 0) {
+    sheet.getRange(1, ROLE_STATS_FIRST_COL, 1, roleNames.length).setValues([roleNames.map(name => `🙋 ${name}`)]).setFontWeight("bold");
+    if (numRows > 0) sheet.getRange(2, ROLE_STATS_FIRST_COL, numRows, roleNames.length).setValues(finalData.map(row => row.slice(11)));
+  }
+
   // --- THIS IS THE NEW LINE I'VE ADDED ---
   // It runs after everything else to tag and highlight guests.
-  tagAndHighlightGuests();
+  tagAndHighlightGuests_();
+
+  // The rows were just rewritten in ID order, so Activity Level (L) must follow them;
+  // "Hide Archive" and "Hide Inactive" on the registration sheets read it (see RosterOptions.js).
+  updateActivityLevels_();
+}
+
+/**
+ * Run list and time-driven trigger entry point for tagAndHighlightGuests_.
+ * @param {Object} e The trigger's event object, if any.
+ */
+function tagAndHighlightGuests(e) {
+  requireTriggerOrEditor_(e);
+  tagAndHighlightGuests_();
 }
 
 /**
@@ -670,26 +646,33 @@ function updateAttendanceStatsSheet() {
  * tags them as guests in Column M, and highlights the cell.
  * This version uses improved name matching and clears old tags.
  */
-function tagAndHighlightGuests() {
+function tagAndHighlightGuests_() {
   // This improved normalize function handles extra spaces between names for better matching.
   const normalize = name => name?.toString().trim().toLowerCase().replace(/\s+/g, ' ');
 
   // --- Step 1: Get all Full Names from the Directory ---
-  // This part is the same as your original function.
-  const directoryData = getDataFromSheets().dData;
+  // Read through the shared Directory snapshot; the Full Name column is found by its header.
   const directoryNames = new Set();
-  if (directoryData && directoryData.length > 1) {
-    directoryData.slice(1).forEach(row => {
-      const fullName = normalize(row[1]); // Get the name from Column B
-      if (fullName) { // Make sure the name isn't blank
-        directoryNames.add(fullName);
-      }
-    });
-  }
+  (getDirectoryPeople_() || []).forEach(person => {
+    const fullName = normalize(person.fullName);
+    if (fullName) { // Make sure the name isn't blank
+      directoryNames.add(fullName);
+    }
+  });
+
+  // A former or current name of someone in the Directory (see the Aliases sheet) is not a guest either.
+  const aliasesById = new Map();
+  loadPersonAliases_().forEach(alias => {
+    if (!aliasesById.has(alias.id)) aliasesById.set(alias.id, []);
+    aliasesById.get(alias.id).push(normalize(alias.fullName));
+  });
+  aliasesById.forEach(names => {
+    if (names.some(name => directoryNames.has(name))) names.forEach(name => directoryNames.add(name));
+  });
 
   // Safety check: If for some reason the directory names couldn't be read, stop here.
   if (directoryNames.size === 0) {
-    Logger.log("WARNING in tagAndHighlightGuests: The list of names from the Directory is empty. Cannot check for guests.");
+    Logger.log("WARNING in tagAndHighlightGuests_: The list of names from the Directory is empty. Cannot check for guests.");
     return;
   }
 
@@ -0,0 +1,163 @@
+/**
+ * Check-In Sidebar
+ * A searchable sidebar for greeters on the Sunday Registration and Event Registration
+ * sheets: type part of a first name, last name or ID, tap a person to tick "✓ Present"
+ * (column D), and see how many are checked in. Newcomers can be added from the sidebar;
+ * their ID comes from resolvePersonIdAndDetails_ like every other entry point.
+ *
+ * The page itself is CheckInSidebar.html. Rows are identified by sheet row and Person ID,
+ * so a list that was re-sorted while the sidebar was open is found again by ID.
+ */
+
+const CHECK_IN_SHEETS = ["Sunday Registration", "Event Registration"];
+
+function openSundayCheckInSidebar() {
+  requireSpreadsheetEditor_();
+  showCheckInSidebar_("Sunday Registration");
+}
+
+function openEventCheckInSidebar() {
+  requireSpreadsheetEditor_();
+  showCheckInSidebar_("Event Registration");
+}
+
+/**
+ * @param {string} sheetName One of CHECK_IN_SHEETS.
+ */
+function showCheckInSidebar_(sheetName) {
+  const regSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!regSheet) {
+    SpreadsheetApp.getUi().alert("Error", `${sheetName} sheet not found. Please create it first.`, SpreadsheetApp.getUi().ButtonSet.OK);
+    return;
+  }
+  regSheet.activate();
+  const template = HtmlService.createTemplateFromFile("CheckInSidebar");
+  template.sheetName = sheetName;
+  SpreadsheetApp.getUi().showSidebar(template.evaluate().setTitle(`✅ ${sheetName} Check-In`));
+}
+
+/**
+ * Called by the sidebar: everyone on the registration sheet and the current count.
+ * @param {string} sheetName
+ * @returns {{people: Array<{row: number, id: string, firstName: string, lastName: string, household: string, present: boolean}>, checkedIn: number, total: number}}
+ */
+function getCheckInRoster(sheetName) {
+  requireSpreadsheetEditor_();
+  const regSheet = getCheckInSheet_(sheetName);
+  const lastRow = regSheet.getLastRow();
+  const people = [];
+  if (lastRow >= 6) {
+    regSheet.getRange(6, 1, lastRow - 5, REGISTRATION_COLUMN_COUNT).getValues().forEach((row, index) => {
+      const firstName = String(row[1] || "").trim();
+      const lastName = String(row[2] || "").trim();
+      if (!firstName && !lastName) return;
+      people.push({
+        row: index + 6,
+        id: String(row[0] || "").trim(),
+        firstName: firstName,
+        lastName: lastName,
+        household: String(row[REGISTRATION_HOUSEHOLD_COL - 1] || "").trim(),
+        present: row[REGISTRATION_PRESENT_COL - 1] === true
+      });
+    });
+  }
+  return { people: people, checkedIn: people.filter(p => p.present).length, total: people.length };
+}
+
+/**
+ * Called by the sidebar: ticks or clears "✓ Present" for one person.
+ * @param {string} sheetName
+ * @param {number} row The sheet row the sidebar last saw the person on.
+ * @param {string} personId Used to find the person again if the row moved.
+ * @param {boolean} present
+ * @param {string} firstName With lastName, identifies a person without an ID.
+ * @param {string} lastName
+ * @returns {Object} The refreshed roster (see getCheckInRoster).
+ */
+function setCheckInStatus(sheetName, row, personId, present, firstName, lastName) {
+  requireSpreadsheetEditor_();
+  const regSheet = getCheckInSheet_(sheetName);
+  const targetRow = findCheckInRow_(regSheet, row, personId, firstName, lastName);
+  if (!targetRow) {
+    throw new Error("This person is no longer on the list. Tap ↻ to reload.");
+  }
+  regSheet.getRange(targetRow, REGISTRATION_PRESENT_COL).setValue(present === true);
+  Logger.log(`✅ (Check-In) ${sheetName} row ${targetRow} (${personId}) ${present ? "checked in" : "unchecked"}.`);
+  return getCheckInRoster(sheetName);
+}
+
+/**
+ * Called by the sidebar: adds a newcomer to the registration sheet and checks them in.
+ * Someone already on the list is simply checked in.
+ * @param {string} sheetName
+ * @param {{firstName: string, lastName: string, email: string}} form
+ * @returns {{roster: Object, message: string}}
+ */
+function addNewcomerFromSidebar(sheetName, form) {
+  requireSpreadsheetEditor_();
+  const regSheet = getCheckInSheet_(sheetName);
+  const firstName = String(form.firstName || "").trim();
+  const lastName = String(form.lastName || "").trim();
+  const email = String(form.email || "").trim();
+  const fullName = `${firstName} ${lastName}`.trim();
+  if (!firstName) throw new Error("Please enter at least a first name.");
+
+  const registry = getPersonRegistry_();
+  const personDetails = resolvePersonIdAndDetails_(fullName, email, registry); // Allocating takes the lock itself
+  const household = getHouseholdAssignments_(registry.records).forPerson(personDetails.id, fullName);
+
+  // Two greeters may add newcomers at once: finding the last row and writing it must not interleave.
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(PERSON_ID_LOCK_TIMEOUT_MS)) {
+    throw new Error("Another newcomer is being added. Please try again.");
+  }
+  try {
+    const existing = getCheckInRoster(sheetName).people.find(p =>
+      (personDetails.id && p.id === personDetails.id) ||
+      normalizePersonName_(`${p.firstName} ${p.lastName}`) === normalizePersonName_(fullName)
+    );
+    if (existing) {
+      regSheet.getRange(existing.row, REGISTRATION_PRESENT_COL).setValue(true);
+      SpreadsheetApp.flush();
+      return { roster: getCheckInRoster(sheetName), message: `${existing.firstName} ${existing.lastName} was already on the list and is now checked in.` };
+    }
+
+    const lastDataRow = regSheet.getLastRow();
+    const nextSheetRow = (lastDataRow < 5) ? 6 : lastDataRow + 1;
+    const newRowData = [personDetails.id, personDetails.firstName || firstName, personDetails.lastName || lastName, true, household ? household.label : "", ""];
+    regSheet.getRange(nextSheetRow, 1, 1, REGISTRATION_COLUMN_COUNT).setValues([newRowData]);
+    regSheet.getRange(nextSheetRow, REGISTRATION_PRESENT_COL).setDataValidation(SpreadsheetApp.newDataValidation().requireCheckbox().build());
+    regSheet.getRange(nextSheetRow, 1, 1, REGISTRATION_COLUMN_COUNT).setBorder(true, true, true, true, true, true);
+    refreshRowFormatting_(regSheet);
+    SpreadsheetApp.flush();
+  } finally {
+    lock.releaseLock();
+  }
+
+  Logger.log(`✅ (Check-In) Added newcomer ${fullName} (ID: ${personDetails.id}) to ${sheetName}.`);
+  return { roster: getCheckInRoster(sheetName), message: `${fullName} was added with ID ${personDetails.id} and checked in.` };
+}
+
+function getCheckInSheet_(sheetName) {
+  if (!CHECK_IN_SHEETS.includes(sheetName)) throw new Error(`Check-in is not available for "${sheetName}".`);
+  const regSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!regSheet) throw new Error(`${sheetName} sheet not found.`);
+  return regSheet;
+}
+
+/**
+ * @returns {number|null} The row that holds the person: the given row if it still does, otherwise the first match.
+ *     A person without an ID is matched by first and last name as well, since many rows have a blank ID.
+ */
+function findCheckInRow_(regSheet, row, personId, firstName, lastName) {
+  const lastRow = regSheet.getLastRow();
+  if (lastRow < 6) return null;
+  const id = String(personId || "").trim();
+  const name = normalizePersonName_(`${firstName || ""} ${lastName || ""}`);
+  if (!id && !name) return null;
+  const values = regSheet.getRange(6, 1, lastRow - 5, 3).getValues();
+  const isPerson = r => String(r[0] || "").trim() === id && (id || normalizePersonName_(`${r[1]} ${r[2]}`) === name);
+  if (row >= 6 && row <= lastRow && isPerson(values[row - 6])) return row;
+  const index = values.findIndex(isPerson);
+  return index === -1 ? null : index + 6;
+}
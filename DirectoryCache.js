@@ -0,0 +1,170 @@
+/**
+ * Directory Cache
+ * Keeps one snapshot of the external Directory spreadsheet so a run opens and reads it at most
+ * once, and later runs reuse the schema-mapped people while the Directory has not changed.
+ *
+ * The snapshot holds the Directory people (the schema-mapped columns only, see
+ * DirectorySchema.js) and the raw "new member form" values. It is stored in the script
+ * cache (CacheService), split into chunks to stay under the 100 KB per-entry limit.
+ * It is reused while its signature still matches:
+ *   - the Directory spreadsheet ID,
+ *   - the size and a content hash of the "Directory" and "new member form" sheets, and
+ *   - the saved Directory schema.
+ * The Directory file's last-updated time would be cheaper to check, but reading it needs
+ * DriveApp, which adds full Drive access to the script's permissions.
+ * CacheService drops entries after 6 hours at the latest; the snapshot is then simply rebuilt.
+ */
+
+const DIRECTORY_CACHE_KEY = "DIRECTORY_SNAPSHOT";
+const DIRECTORY_CACHE_CHUNK_BYTES = 90000; // UTF-8 bytes, not characters: CacheService allows 100 KB per value
+const DIRECTORY_CACHE_TTL_SECONDS = 21600; // CacheService maximum
+
+let directorySnapshotCache = null; // Shared by every Directory reader within one execution
+
+/**
+ * The Directory's people, read through the shared snapshot.
+ * @returns {Array<{row: number, id: string, fullName: string, firstName: string, lastName: string, email: string, phone: string, household: string}>|null}
+ *     null when no Directory is configured or it cannot be opened.
+ * @throws {Error} When the Directory is missing a required column.
+ */
+function getDirectoryPeople_() {
+  const snapshot = getDirectorySnapshot_();
+  return snapshot ? snapshot.people : null;
+}
+
+/**
+ * The raw values of the "new member form" sheet in the Directory spreadsheet.
+ * @returns {Array<Array<string>>} Empty when the Directory is unavailable.
+ */
+function getNewMemberFormValues_() {
+  const snapshot = getDirectorySnapshot_();
+  return snapshot ? snapshot.newMemberForm : [];
+}
+
+/**
+ * Returns the current snapshot, rebuilding it only when the Directory changed.
+ * @returns {{signature: string, people: Array<Object>, newMemberForm: Array<Array<string>>}|null}
+ */
+function getDirectorySnapshot_() {
+  if (directorySnapshotCache) return directorySnapshotCache;
+
+  const directoryId = PropertiesService.getScriptProperties().getProperty('DIRECTORY_SPREADSHEET_ID');
+  if (!directoryId) {
+    Logger.log("⚠️ (Directory Cache) No 'DIRECTORY_SPREADSHEET_ID' found in script properties. Directory data will be empty.");
+    return null;
+  }
+
+  let directorySs;
+  try {
+    directorySs = SpreadsheetApp.openById(directoryId);
+  } catch (err) {
+    Logger.log(`⚠️ (Directory Cache) Directory spreadsheet unavailable: ${err.message}.`);
+    return null;
+  }
+  const directoryValues = getSheetData_(directorySs, "Directory");
+  const newMemberValues = getSheetData_(directorySs, "new member form");
+  const signature = `${directoryId}|${getDirectoryContentSignature_(directoryValues, newMemberValues)}|${JSON.stringify(getDirectorySchemaOverrides_())}`;
+
+  const cached = readDirectorySnapshotFromCache_();
+  if (cached && cached.signature === signature) {
+    directorySnapshotCache = cached;
+    Logger.log(`✅ (Directory Cache) Using cached Directory snapshot (${cached.people.length} people).`);
+    return directorySnapshotCache;
+  }
+
+  directorySnapshotCache = {
+    signature: signature,
+    people: readDirectoryRows_(directoryValues),
+    newMemberForm: newMemberValues.map(row => row.map(value => String(value === null || value === undefined ? "" : value)))
+  };
+  writeDirectorySnapshotToCache_(directorySnapshotCache);
+  Logger.log(`✅ (Directory Cache) Directory changed or not cached; snapshot rebuilt with ${directorySnapshotCache.people.length} people.`);
+  return directorySnapshotCache;
+}
+
+/**
+ * Forgets the snapshot, e.g. after this script wrote to the Directory itself.
+ */
+function invalidateDirectoryCache_() {
+  directorySnapshotCache = null;
+  CacheService.getScriptCache().remove(`${DIRECTORY_CACHE_KEY}_META`);
+  Logger.log("ℹ️ (Directory Cache) Snapshot invalidated.");
+}
+
+/**
+ * @returns {string} The sizes of both sheets' values plus an MD5 hash of their contents.
+ */
+function getDirectoryContentSignature_(directoryValues, newMemberValues) {
+  const size = values => `${values.length}x${values.length > 0 ? values[0].length : 0}`;
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5,
+    JSON.stringify([directoryValues, newMemberValues]), Utilities.Charset.UTF_8);
+  return `size:${size(directoryValues)}/${size(newMemberValues)}|md5:${Utilities.base64Encode(digest)}`;
+}
+
+function readDirectorySnapshotFromCache_() {
+  const cache = CacheService.getScriptCache();
+  const meta = cache.get(`${DIRECTORY_CACHE_KEY}_META`);
+  if (!meta) return null;
+  try {
+    const { chunkCount } = JSON.parse(meta);
+    const keys = [];
+    for (let i = 0; i < chunkCount; i++) keys.push(`${DIRECTORY_CACHE_KEY}_${i}`);
+    const chunks = cache.getAll(keys);
+    if (keys.some(key => chunks[key] === undefined || chunks[key] === null)) return null;
+
+    const stored = JSON.parse(keys.map(key => chunks[key]).join(""));
+    return {
+      signature: stored.signature,
+      people: stored.people.map(p => ({ row: p[0], id: p[1], fullName: p[2], firstName: p[3], lastName: p[4], email: p[5], phone: p[6], household: p[7] })),
+      newMemberForm: stored.newMemberForm
+    };
+  } catch (err) {
+    Logger.log(`⚠️ (Directory Cache) Ignoring unreadable cached snapshot: ${err.message}`);
+    return null;
+  }
+}
+
+function writeDirectorySnapshotToCache_(snapshot) {
+  // People are stored as arrays to keep the snapshot compact.
+  const json = JSON.stringify({
+    signature: snapshot.signature,
+    people: snapshot.people.map(p => [p.row, p.id, p.fullName, p.firstName, p.lastName, p.email, p.phone, p.household]),
+    newMemberForm: snapshot.newMemberForm
+  });
+  const entries = {};
+  let chunkCount = 0;
+  splitByUtf8Bytes_(json, DIRECTORY_CACHE_CHUNK_BYTES).forEach(chunk => {
+    entries[`${DIRECTORY_CACHE_KEY}_${chunkCount++}`] = chunk;
+  });
+  entries[`${DIRECTORY_CACHE_KEY}_META`] = JSON.stringify({ chunkCount: chunkCount });
+  try {
+    CacheService.getScriptCache().putAll(entries, DIRECTORY_CACHE_TTL_SECONDS);
+  } catch (err) {
+    Logger.log(`⚠️ (Directory Cache) Could not store the snapshot (${json.length} characters): ${err.message}. It will be read again next run.`);
+  }
+}
+
+/**
+ * Splits text into pieces of at most maxBytes once UTF-8 encoded. Accented and CJK names take
+ * 2-3 bytes per character, so a piece is shortened until it fits; surrogate pairs stay whole.
+ * @param {string} text
+ * @param {number} maxBytes
+ * @returns {Array<string>}
+ */
+function splitByUtf8Bytes_(text, maxBytes) {
+  const pieces = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(text.length, start + maxBytes);
+    let bytes = Utilities.newBlob(text.slice(start, end)).getBytes().length;
+    while (bytes > maxBytes) {
+      end = start + Math.max(1, Math.floor((end - start) * maxBytes / bytes));
+      bytes = Utilities.newBlob(text.slice(start, end)).getBytes().length;
+    }
+    const lastCode = text.charCodeAt(end - 1);
+    if (end < text.length && end - start > 1 && lastCode >= 0xD800 && lastCode <= 0xDBFF) end--;
+    pieces.push(text.slice(start, end));
+    start = end;
+  }
+  return pieces;
+}
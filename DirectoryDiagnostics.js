@@ -0,0 +1,125 @@
+/**
+ * Directory Diagnostics
+ * "⚙️ Config → Test Directory Connection" checks the external Directory step by step and
+ * shows a pass/fail report with a fix for each problem. A wrong DIRECTORY_SPREADSHEET_ID,
+ * a renamed tab or a moved header otherwise just looks like "no members" elsewhere.
+ * The Directory is read directly here, never from the cached snapshot.
+ */
+
+const DIAGNOSTIC_PASS = "✅";
+const DIAGNOSTIC_WARN = "⚠️";
+const DIAGNOSTIC_FAIL = "❌";
+
+/**
+ * Menu command: runs every check and shows the report.
+ */
+function testDirectoryConnection() {
+  requireSpreadsheetEditor_();
+  const results = runDirectoryDiagnostics_();
+  const failed = results.filter(r => r.status === DIAGNOSTIC_FAIL).length;
+  const warned = results.filter(r => r.status === DIAGNOSTIC_WARN).length;
+
+  const report = results.map(r => `${r.status} ${r.check}: ${r.detail}${r.fix ? `\n      Fix: ${r.fix}` : ""}`).join("\n\n");
+  Logger.log(`(Diagnostics) Directory connection test: ${failed} failed, ${warned} warnings.\n${report}`);
+
+  const title = failed > 0 ? '❌ Directory Connection Has Problems' : (warned > 0 ? '⚠️ Directory Connected, with Warnings' : '✅ Directory Connection OK');
+  SpreadsheetApp.getUi().alert(title, report, SpreadsheetApp.getUi().ButtonSet.OK);
+}
+
+/**
+ * Runs the checks in order, stopping at the first one later checks depend on.
+ * @returns {Array<{status: string, check: string, detail: string, fix: string}>}
+ */
+function runDirectoryDiagnostics_() {
+  const results = [];
+  const add = (status, check, detail, fix = "") => results.push({ status: status, check: check, detail: detail, fix: fix });
+
+  // 1. Script property
+  const directoryId = PropertiesService.getScriptProperties().getProperty('DIRECTORY_SPREADSHEET_ID');
+  if (!directoryId) {
+    add(DIAGNOSTIC_FAIL, "Directory ID", "DIRECTORY_SPREADSHEET_ID is not set.", "Use ⚙️ Config → Set Directory Spreadsheet URL… and paste the Directory's URL.");
+    return results;
+  }
+  add(DIAGNOSTIC_PASS, "Directory ID", directoryId);
+
+  // 2. Spreadsheet access
+  let directorySs;
+  try {
+    directorySs = SpreadsheetApp.openById(directoryId);
+    add(DIAGNOSTIC_PASS, "Open spreadsheet", `"${directorySs.getName()}"`);
+  } catch (err) {
+    add(DIAGNOSTIC_FAIL, "Open spreadsheet", err.message,
+      "Check that the saved URL/ID is the Directory spreadsheet and that your account has at least view access to it.");
+    return results;
+  }
+
+  // 3. Tabs
+  const directorySheet = directorySs.getSheetByName("Directory");
+  const tabNames = directorySs.getSheets().map(sheet => `"${sheet.getName()}"`).join(", ");
+  if (!directorySheet) {
+    add(DIAGNOSTIC_FAIL, "\"Directory\" tab", `Not found. Tabs in this spreadsheet: ${tabNames}.`, "Rename the member list tab to exactly \"Directory\".");
+    return results;
+  }
+  add(DIAGNOSTIC_PASS, "\"Directory\" tab", `${Math.max(directorySheet.getLastRow() - 1, 0)} data row(s).`);
+
+  const newMemberSheet = directorySs.getSheetByName("new member form");
+  if (newMemberSheet) {
+    add(DIAGNOSTIC_PASS, "\"new member form\" tab", `${Math.max(newMemberSheet.getLastRow() - 1, 0)} data row(s).`);
+  } else {
+    add(DIAGNOSTIC_WARN, "\"new member form\" tab", "Not found. People who only signed up through the form will not be recognised.",
+      "Rename the form responses tab to exactly \"new member form\", if there is one.");
+  }
+
+  // 4. Headers
+  const values = directorySheet.getDataRange().getValues();
+  let columns;
+  try {
+    columns = getDirectoryColumnMap_(values[0] || []);
+  } catch (err) {
+    add(DIAGNOSTIC_FAIL, "Directory headers", err.message, "Fix the header row, or use ⚙️ Config → Set Directory Columns…");
+    return results;
+  }
+  const found = DIRECTORY_SCHEMA_FIELDS.filter(spec => columns[spec.field] >= 0);
+  const missingOptional = DIRECTORY_SCHEMA_FIELDS.filter(spec => columns[spec.field] < 0);
+  add(DIAGNOSTIC_PASS, "Directory headers", found.map(spec => `${spec.label} = ${columnIndexToLetter_(columns[spec.field])}`).join(", "));
+  if (missingOptional.length > 0) {
+    add(DIAGNOSTIC_WARN, "Optional columns", `Not found: ${missingOptional.map(spec => spec.label).join(", ")}.`,
+      "Only needed for matching by email/phone and for households. Add the columns or map them with ⚙️ Config → Set Directory Columns….");
+  }
+
+  // 5. IDs
+  const people = readDirectoryRows_(values);
+  const withoutId = people.filter(person => !person.id);
+  const invalid = people.filter(person => person.id && extractNumericBel_(normalizeLegacyPersonId_(person.id)) === null);
+  const rowsById = new Map();
+  people.filter(person => person.id).forEach(person => {
+    const id = normalizeLegacyPersonId_(person.id);
+    if (!rowsById.has(id)) rowsById.set(id, []);
+    rowsById.get(id).push(person.row);
+  });
+  const duplicated = Array.from(rowsById.entries()).filter(([, rows]) => rows.length > 1);
+  const sample = list => list.slice(0, 5).join(", ") + (list.length > 5 ? ", …" : "");
+
+  if (people.length === 0) {
+    add(DIAGNOSTIC_FAIL, "Members", "The Directory has no rows with a Full Name.", "Check that the names are in the Full Name column below the header row.");
+    return results;
+  }
+  add(DIAGNOSTIC_PASS, "Members", `${people.length} member(s) with a name.`);
+
+  if (withoutId.length === 0) {
+    add(DIAGNOSTIC_PASS, "Person IDs", "Every member has an ID.");
+  } else {
+    add(DIAGNOSTIC_WARN, "Person IDs", `${withoutId.length} member(s) have no ID (rows ${sample(withoutId.map(p => p.row))}).`,
+      "Fill them in, or use ⚙️ Config → Turn Directory ID Write-Back On/Off… so loaded registration lists write them back.");
+  }
+  if (invalid.length > 0) {
+    add(DIAGNOSTIC_FAIL, "Malformed IDs", `${invalid.length} ID(s) are not valid (${sample(invalid.map(p => `row ${p.row}: "${p.id}"`))}).`,
+      "Correct them by hand; 🩺 Run Identity Audit lists them too.");
+  }
+  if (duplicated.length > 0) {
+    add(DIAGNOSTIC_FAIL, "Duplicate IDs", `${duplicated.length} ID(s) are used on more than one row (${sample(duplicated.map(([id, rows]) => `${id}: rows ${rows.join("/")}`))}).`,
+      "Give each person their own ID, or merge the duplicates with 🔗 Merge People….");
+  }
+
+  return results;
+}
@@ -0,0 +1,144 @@
+/**
+ * Directory ID Write-Back
+ * Directory rows without a Person ID get one from the Person Registry every time a
+ * registration list is built, but only in memory, so the next run could hand out a
+ * different number. When write-back is switched on (script property
+ * DIRECTORY_ID_WRITE_BACK = "true", toggled from the ⚙️ Config menu) those IDs are
+ * written into the Directory's Person ID column.
+ *
+ * Writes happen under the script lock. A cell is only filled when it is still blank and
+ * its row still holds the same person; every filled cell is recorded in the local
+ * "Directory ID Log" sheet.
+ */
+
+const DIRECTORY_ID_WRITE_BACK_PROPERTY = "DIRECTORY_ID_WRITE_BACK";
+const DIRECTORY_ID_LOG_SHEET_NAME = "Directory ID Log";
+const DIRECTORY_ID_LOG_HEADERS = ["Written On", "Directory Cell", "Full Name", "Person ID", "Written By"];
+
+function isDirectoryIdWriteBackEnabled_() {
+  return PropertiesService.getScriptProperties().getProperty(DIRECTORY_ID_WRITE_BACK_PROPERTY) === "true";
+}
+
+/**
+ * Menu command: switches the write-back on or off.
+ */
+function toggleDirectoryIdWriteBack() {
+  requireSpreadsheetEditor_();
+  const ui = SpreadsheetApp.getUi();
+  const enable = !isDirectoryIdWriteBackEnabled_();
+  const confirm = ui.alert(
+    enable ? 'Turn On Directory ID Write-Back?' : 'Turn Off Directory ID Write-Back?',
+    enable
+      ? 'Person IDs given to Directory members who have none will be written into the Directory\'s Person ID column ' +
+        'whenever a registration list is loaded. Every change is logged in the "Directory ID Log" sheet.'
+      : 'IDs will no longer be written to the Directory. IDs already written stay.',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (confirm !== ui.Button.OK) return;
+
+  PropertiesService.getScriptProperties().setProperty(DIRECTORY_ID_WRITE_BACK_PROPERTY, enable ? "true" : "false");
+  Logger.log(`✅ Directory ID write-back turned ${enable ? "on" : "off"}.`);
+  ui.alert(`Directory ID write-back is now ${enable ? "ON" : "OFF"}.`);
+}
+
+/**
+ * Collects the Directory people who had no ID but were given one while resolving.
+ * @param {Object} directoryEntry A Directory record from registry.directoryPeople().
+ * @param {string} resolvedId The ID the registry gave the person.
+ * @param {Array<Object>} pending Collected {row, fullName, id} entries.
+ */
+function notePendingDirectoryId_(directoryEntry, resolvedId, pending) {
+  if (!directoryEntry.id && resolvedId && directoryEntry.row) {
+    pending.push({ row: directoryEntry.row, fullName: directoryEntry.fullName, id: resolvedId });
+  }
+}
+
+/**
+ * Writes the pending IDs to the Directory when write-back is on.
+ * @param {Array<{row: number, fullName: string, id: string}>} pending
+ * @returns {number} The number of Directory cells filled.
+ */
+function syncDirectoryIdsIfEnabled_(pending) {
+  if (pending.length === 0) return 0;
+  if (!isDirectoryIdWriteBackEnabled_()) {
+    Logger.log(`ℹ️ (Directory IDs) ${pending.length} Directory member(s) have no ID; write-back is off.`);
+    return 0;
+  }
+  try {
+    return writeDirectoryIds_(pending);
+  } catch (err) {
+    Logger.log(`❌ (Directory IDs) Write-back failed: ${err.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Fills blank Person ID cells in the Directory and logs each one.
+ * A row that moved since it was read is found again by its name, if that name is on
+ * exactly one row with a blank ID; otherwise the person is left for the next run.
+ * @param {Array<{row: number, fullName: string, id: string}>} pending
+ * @returns {number} The number of cells filled.
+ */
+function writeDirectoryIds_(pending) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(PERSON_ID_LOCK_TIMEOUT_MS)) {
+    throw new Error("Could not write IDs to the Directory: another run is still changing person IDs. Please try again.");
+  }
+
+  const logRows = [];
+  try {
+    const directorySheet = SpreadsheetApp.openById(getDirectorySpreadsheetIdFromProperties_()).getSheetByName("Directory");
+    if (!directorySheet) throw new Error("The 'Directory' sheet was not found in the Directory spreadsheet.");
+    const values = directorySheet.getDataRange().getValues();
+    const columns = getDirectoryColumnMap_(values[0]);
+
+    const blankRowsByName = new Map(); // normalized name -> sheet rows whose ID is blank
+    for (let i = 1; i < values.length; i++) {
+      if (String(values[i][columns.id] || "").trim()) continue;
+      const key = normalizePersonName_(values[i][columns.fullName]);
+      if (!key) continue;
+      if (!blankRowsByName.has(key)) blankRowsByName.set(key, []);
+      blankRowsByName.get(key).push(i + 1);
+    }
+
+    const user = Session.getActiveUser().getEmail() || "(unknown)";
+    pending.forEach(entry => {
+      const key = normalizePersonName_(entry.fullName);
+      const candidates = blankRowsByName.get(key) || [];
+      const row = candidates.includes(entry.row) ? entry.row : (candidates.length === 1 ? candidates[0] : null);
+      if (!row) {
+        Logger.log(`⚠️ (Directory IDs) Skipped "${entry.fullName}": row ${entry.row} changed and no unique blank row has that name.`);
+        return;
+      }
+      directorySheet.getRange(row, columns.id + 1).setValue(entry.id);
+      candidates.splice(candidates.indexOf(row), 1);
+      logRows.push([new Date(), `Directory!${columnIndexToLetter_(columns.id)}${row}`, entry.fullName, entry.id, user]);
+    });
+    SpreadsheetApp.flush();
+  } finally {
+    lock.releaseLock();
+  }
+
+  if (logRows.length > 0) {
+    const logSheet = getOrCreateDirectoryIdLogSheet_();
+    logSheet.getRange(logSheet.getLastRow() + 1, 1, logRows.length, DIRECTORY_ID_LOG_HEADERS.length).setValues(logRows);
+    invalidateDirectoryCache_();
+  }
+  Logger.log(`✅ (Directory IDs) Wrote ${logRows.length} of ${pending.length} IDs to the Directory.`);
+  return logRows.length;
+}
+
+function getOrCreateDirectoryIdLogSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(DIRECTORY_ID_LOG_SHEET_NAME);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(DIRECTORY_ID_LOG_SHEET_NAME);
+  sheet.getRange(1, 1, 1, DIRECTORY_ID_LOG_HEADERS.length).setValues([DIRECTORY_ID_LOG_HEADERS])
+    .setFontWeight("bold").setBackground("#e3f2fd").setFontColor("#202124");
+  sheet.setColumnWidth(1, 160); sheet.setColumnWidth(2, 120); sheet.setColumnWidth(3, 200);
+  sheet.setColumnWidth(4, 100); sheet.setColumnWidth(5, 220);
+  sheet.setFrozenRows(1);
+  Logger.log(`✅ "${DIRECTORY_ID_LOG_SHEET_NAME}" sheet created.`);
+  return sheet;
+}
@@ -0,0 +1,151 @@
+/**
+ * Directory Schema
+ * Finds the columns of the external Directory by their header text instead of their
+ * position, so inserting or moving a column in the Directory does not break check-in.
+ *
+ * Each field below is matched against the Directory's header row (case and extra spaces
+ * ignored). A header saved with "⚙️ Config → Set Directory Columns…" (script property
+ * DIRECTORY_SCHEMA, a JSON object of field -> header) replaces the default header names.
+ * Person ID and Full Name are required: every Directory reader stops with an error that
+ * lists the missing columns instead of reading the wrong ones.
+ */
+
+const DIRECTORY_SCHEMA_PROPERTY = "DIRECTORY_SCHEMA";
+
+// Default header names per field, tried in order. The first header that matches wins.
+const DIRECTORY_SCHEMA_FIELDS = [
+  { field: "id", label: "Person ID", required: true, headers: ["person id", "id", "member id"] },
+  { field: "fullName", label: "Full Name", required: true, headers: ["full name", "name"] },
+  { field: "firstName", label: "First Name", required: false, headers: ["first name"] },
+  { field: "lastName", label: "Last Name", required: false, headers: ["last name"] },
+  { field: "email", label: "Email", required: false, headers: ["email", "email address"] },
+  { field: "phone", label: "Phone", required: false, headers: ["phone", "phone number"] },
+  { field: "household", label: "Household", required: false, headers: ["household", "household id", "family id"] }
+];
+
+/**
+ * Reads the saved header overrides.
+ * @returns {Object<string, string>} field -> header text; fields without an override are absent.
+ */
+function getDirectorySchemaOverrides_() {
+  const saved = PropertiesService.getScriptProperties().getProperty(DIRECTORY_SCHEMA_PROPERTY);
+  if (!saved) return {};
+  try {
+    return JSON.parse(saved);
+  } catch (err) {
+    throw new Error(`🚨 Script property '${DIRECTORY_SCHEMA_PROPERTY}' is not valid JSON (${err.message}). Use ⚙️ Config → Set Directory Columns… to save it again.`);
+  }
+}
+
+/**
+ * Maps each schema field to its column in the Directory.
+ * @param {Array<any>} headerRow The Directory's first row.
+ * @returns {Object<string, number>} field -> 0-based column index, -1 for optional fields that are absent.
+ * @throws {Error} When a required column is missing.
+ */
+function getDirectoryColumnMap_(headerRow) {
+  const normalizeHeader = header => String(header || "").trim().toLowerCase().replace(/\s+/g, " ");
+  const headers = (headerRow || []).map(normalizeHeader);
+  const overrides = getDirectorySchemaOverrides_();
+
+  const columns = {};
+  const missing = [];
+  DIRECTORY_SCHEMA_FIELDS.forEach(spec => {
+    const candidates = overrides[spec.field] ? [normalizeHeader(overrides[spec.field])] : spec.headers;
+    const match = candidates.find(candidate => headers.includes(candidate));
+    columns[spec.field] = match ? headers.indexOf(match) : -1;
+    if (columns[spec.field] === -1 && spec.required) {
+      missing.push(`${spec.label} (looked for: ${candidates.map(c => `"${c}"`).join(", ")})`);
+    }
+  });
+
+  if (missing.length > 0) {
+    throw new Error(
+      `🚨 The Directory is missing required column(s):\n${missing.join("\n")}\n\n` +
+      `Headers found: ${headers.filter(Boolean).map(h => `"${h}"`).join(", ") || "(none)"}\n` +
+      "Rename the Directory headers or use ⚙️ Config → Set Directory Columns… to match them."
+    );
+  }
+  return columns;
+}
+
+/**
+ * Turns the Directory's values (header row included) into person records using the schema.
+ * @param {Array<Array<any>>} values
+ * @returns {Array<{row: number, id: string, fullName: string, firstName: string, lastName: string, email: string, phone: string, household: string}>}
+ * @throws {Error} When a required column is missing.
+ */
+function readDirectoryRows_(values) {
+  if (!values || values.length === 0) return [];
+  const columns = getDirectoryColumnMap_(values[0]);
+  const cell = (row, index) => index >= 0 ? String(row[index] || "").trim() : "";
+
+  const people = [];
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    const fullName = cell(row, columns.fullName);
+    if (!fullName) continue;
+    people.push({
+      row: i + 1,
+      id: cell(row, columns.id),
+      fullName: fullName,
+      firstName: cell(row, columns.firstName),
+      lastName: cell(row, columns.lastName),
+      email: cell(row, columns.email),
+      phone: cell(row, columns.phone),
+      household: cell(row, columns.household)
+    });
+  }
+  return people;
+}
+
+/**
+ * Menu command: asks for the Directory header of each field and saves the mapping.
+ * A blank answer keeps the default header names for that field.
+ */
+function configureDirectorySchema() {
+  requireSpreadsheetEditor_();
+  const ui = SpreadsheetApp.getUi();
+  const overrides = getDirectorySchemaOverrides_();
+  const updated = {};
+
+  for (const spec of DIRECTORY_SCHEMA_FIELDS) {
+    const current = overrides[spec.field] ? `"${overrides[spec.field]}"` : `default: ${spec.headers.map(h => `"${h}"`).join(" or ")}`;
+    const response = ui.prompt(
+      `Directory Columns — ${spec.label}`,
+      `Header of the ${spec.label} column in the Directory${spec.required ? " (required)" : ""}.\n` +
+      `Current: ${current}\n\nLeave blank to use the default.`,
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+    const header = response.getResponseText().trim();
+    if (header) updated[spec.field] = header;
+  }
+
+  PropertiesService.getScriptProperties().setProperty(DIRECTORY_SCHEMA_PROPERTY, JSON.stringify(updated));
+  Logger.log(`✅ Directory schema saved: ${JSON.stringify(updated)}`);
+
+  try {
+    const directorySheet = SpreadsheetApp.openById(getDirectorySpreadsheetIdFromProperties_()).getSheetByName("Directory");
+    if (!directorySheet) throw new Error("The 'Directory' sheet was not found in the Directory spreadsheet.");
+    const columns = getDirectoryColumnMap_(directorySheet.getRange(1, 1, 1, directorySheet.getLastColumn()).getValues()[0]);
+    const found = DIRECTORY_SCHEMA_FIELDS
+      .map(spec => `${spec.label}: ${columns[spec.field] >= 0 ? `column ${columnIndexToLetter_(columns[spec.field])}` : "not found"}`)
+      .join("\n");
+    ui.alert('✅ Directory Columns Saved', found, ui.ButtonSet.OK);
+  } catch (err) {
+    ui.alert('⚠️ Directory Columns Saved, but Not Valid Yet', err.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * @param {number} index 0-based column index.
+ * @returns {string} "A", "B", ..., "AA".
+ */
+function columnIndexToLetter_(index) {
+  let letter = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
@@ -0,0 +1,401 @@
+/**
+ * Duplicate Person Detection
+ * Finds people who are probably the same person recorded under different IDs or
+ * name spellings ("Jon Smith", "John  Smith", "Smith John", "Bill" vs "William").
+ * Candidate pairs are written to the "Possible Duplicates" sheet, where someone picks
+ * Confirmed or Rejected in the Decision column. Decisions are stored in the
+ * "Duplicate Decisions" sheet so the same pair is never raised again.
+ *
+ * SCORING (0-100, pairs at or above DUPLICATE_SCORE_THRESHOLD are listed):
+ *   - Same name after trimming/case/spacing ........ 100
+ *   - Same words in a different order ............... 95
+ *   - Same name once nicknames are expanded ......... 90
+ *   - Otherwise: edit-distance similarity of the sorted, nickname-expanded names
+ *   - Same email +15, different emails on both sides -10
+ */
+
+const POSSIBLE_DUPLICATES_SHEET_NAME = "Possible Duplicates";
+const DUPLICATE_DECISIONS_SHEET_NAME = "Duplicate Decisions";
+const DUPLICATE_SCORE_THRESHOLD = 80;
+const DUPLICATE_DECISION_CONFIRMED = "Confirmed";
+const DUPLICATE_DECISION_REJECTED = "Rejected";
+
+// Possible Duplicates layout: title in row 1, headers in row 2, candidates from row 3.
+const POSSIBLE_DUPLICATES_HEADERS = ["Score", "Person A ID", "Person A Name", "Person B ID", "Person B Name", "Reasons", "Decision", "Pair Key"];
+const POSSIBLE_DUPLICATES_DATA_START_ROW = 3;
+const DUPLICATE_DECISIONS_HEADERS = ["Pair Key", "Person A ID", "Person A Name", "Person B ID", "Person B Name", "Decision", "Decided On"];
+
+// Nickname -> formal first name. Both sides are expanded before comparing.
+const DUPLICATE_NICKNAMES = {
+  BILL: "WILLIAM", BILLY: "WILLIAM", WILL: "WILLIAM", LIAM: "WILLIAM",
+  BOB: "ROBERT", BOBBY: "ROBERT", ROB: "ROBERT", ROBBIE: "ROBERT",
+  JON: "JOHN", JOHNNY: "JOHN", JACK: "JOHN",
+  JIM: "JAMES", JIMMY: "JAMES", JAMIE: "JAMES",
+  MIKE: "MICHAEL", MICKEY: "MICHAEL",
+  DAVE: "DAVID", DAN: "DANIEL", DANNY: "DANIEL",
+  TOM: "THOMAS", TOMMY: "THOMAS", TONY: "ANTHONY",
+  CHRIS: "CHRISTOPHER", MATT: "MATTHEW", NICK: "NICHOLAS",
+  STEVE: "STEPHEN", STEVEN: "STEPHEN", JOE: "JOSEPH", JOEY: "JOSEPH",
+  SAM: "SAMUEL", BEN: "BENJAMIN", ANDY: "ANDREW", DREW: "ANDREW",
+  PETE: "PETER", RICK: "RICHARD", DICK: "RICHARD", RICH: "RICHARD",
+  KATE: "KATHERINE", KATIE: "KATHERINE", KATHY: "KATHERINE", CATHERINE: "KATHERINE",
+  LIZ: "ELIZABETH", BETH: "ELIZABETH", BETTY: "ELIZABETH", ELIZA: "ELIZABETH",
+  SUE: "SUSAN", SUZY: "SUSAN", JENNY: "JENNIFER", JEN: "JENNIFER",
+  MAGGIE: "MARGARET", PEGGY: "MARGARET", MEG: "MARGARET",
+  ABBY: "ABIGAIL", BECKY: "REBECCA", DEBBIE: "DEBORAH", PATTY: "PATRICIA", TRISH: "PATRICIA"
+};
+
+/**
+ * Menu command: scans every person known to the registry and lists likely duplicates.
+ * Decisions already made on the sheet are saved first so they are not lost, and decisions
+ * about people who have since been given an ID are moved to their ID (see migrateDuplicateDecisionKeys_).
+ */
+function findPossibleDuplicates() {
+  requireSpreadsheetEditor_();
+  const ui = SpreadsheetApp.getUi();
+  const registry = getPersonRegistry_();
+  saveDuplicateDecisions(true, registry);
+  migrateDuplicateDecisionKeys_(registry);
+
+  const decisions = loadDuplicateDecisions_();
+  const people = buildDuplicateCandidatesPeople_(registry.records);
+  const candidates = findDuplicateCandidatePairs_(people)
+    .filter(pair => !decisions.has(pair.key))
+    .sort((a, b) => b.score - a.score);
+
+  const sheet = getOrCreatePossibleDuplicatesSheet_();
+  const lastRow = sheet.getLastRow();
+  if (lastRow >= POSSIBLE_DUPLICATES_DATA_START_ROW) {
+    sheet.getRange(POSSIBLE_DUPLICATES_DATA_START_ROW, 1, lastRow - POSSIBLE_DUPLICATES_DATA_START_ROW + 1, POSSIBLE_DUPLICATES_HEADERS.length)
+      .clearContent().clearDataValidations();
+  }
+
+  if (candidates.length > 0) {
+    const rows = candidates.map(pair => [
+      pair.score, pair.a.id, pair.a.name, pair.b.id, pair.b.name, pair.reasons.join("; "), "", pair.key
+    ]);
+    sheet.getRange(POSSIBLE_DUPLICATES_DATA_START_ROW, 1, rows.length, rows[0].length).setValues(rows);
+    const decisionRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList([DUPLICATE_DECISION_CONFIRMED, DUPLICATE_DECISION_REJECTED], true)
+      .setAllowInvalid(false)
+      .build();
+    sheet.getRange(POSSIBLE_DUPLICATES_DATA_START_ROW, 7, rows.length, 1).setDataValidation(decisionRule);
+  }
+
+  Logger.log(`✅ (Duplicates) ${candidates.length} possible duplicate pairs written. ${decisions.size} pairs skipped as already decided.`);
+  sheet.activate();
+  ui.alert(
+    'Duplicate Scan Complete',
+    `${candidates.length} possible duplicate pair(s) found.\n\n` +
+    'Pick "Confirmed" or "Rejected" in the Decision column, then run "💾 Save Duplicate Decisions" from the 👥 People menu.',
+    ui.ButtonSet.OK
+  );
+}
+
+/**
+ * Menu command: moves every decided row of "Possible Duplicates" into "Duplicate Decisions".
+ * Each decision is keyed by the IDs the registry resolves now (see resolveDuplicatePairKey_).
+ * @param {boolean=} silent When true no dialog is shown (used before a rescan).
+ * @param {Object=} registry From getPersonRegistry_(); read when a side of a pair has no ID yet.
+ * @returns {number} The number of decisions saved.
+ */
+function saveDuplicateDecisions(silent = false, registry = null) {
+  requireSpreadsheetEditor_();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(POSSIBLE_DUPLICATES_SHEET_NAME);
+  const lastRow = sheet ? sheet.getLastRow() : 0;
+  const decidedRows = [];
+  const rowsToDelete = [];
+
+  if (lastRow >= POSSIBLE_DUPLICATES_DATA_START_ROW) {
+    const values = sheet.getRange(POSSIBLE_DUPLICATES_DATA_START_ROW, 1, lastRow - POSSIBLE_DUPLICATES_DATA_START_ROW + 1, POSSIBLE_DUPLICATES_HEADERS.length).getValues();
+    values.forEach((row, index) => {
+      const decision = String(row[6] || "").trim();
+      if (decision !== DUPLICATE_DECISION_CONFIRMED && decision !== DUPLICATE_DECISION_REJECTED) return;
+      if (!registry && String(row[7]).includes("NAME:")) registry = getPersonRegistry_();
+      const idA = String(row[1] || "").trim() || (registry ? registry.resolve(row[2]).id : "");
+      const idB = String(row[3] || "").trim() || (registry ? registry.resolve(row[4]).id : "");
+      decidedRows.push([resolveDuplicatePairKey_(row[7], registry), idA, row[2], idB, row[4], decision, new Date()]);
+      rowsToDelete.push(POSSIBLE_DUPLICATES_DATA_START_ROW + index);
+    });
+  }
+
+  if (decidedRows.length > 0) {
+    const decisionsSheet = getOrCreateDuplicateDecisionsSheet_();
+    decisionsSheet.getRange(decisionsSheet.getLastRow() + 1, 1, decidedRows.length, decidedRows[0].length).setValues(decidedRows);
+    // Delete from the bottom up so the remaining row numbers stay valid.
+    rowsToDelete.reverse().forEach(rowNumber => sheet.deleteRow(rowNumber));
+  }
+
+  Logger.log(`✅ (Duplicates) Saved ${decidedRows.length} duplicate decisions.`);
+  if (!silent) {
+    SpreadsheetApp.getUi().alert(
+      'Decisions Saved',
+      `${decidedRows.length} decision(s) saved to "${DUPLICATE_DECISIONS_SHEET_NAME}". These pairs will not be raised again.`,
+      SpreadsheetApp.getUi().ButtonSet.OK
+    );
+  }
+  return decidedRows.length;
+}
+
+/**
+ * Reads all stored decisions.
+ * @returns {Map<string, string>} Pair key -> "Confirmed" | "Rejected".
+ */
+function loadDuplicateDecisions_() {
+  const decisions = new Map();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(DUPLICATE_DECISIONS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return decisions;
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, DUPLICATE_DECISIONS_HEADERS.length).getValues().forEach(row => {
+    const key = String(row[0] || "").trim();
+    if (key) decisions.set(key, String(row[5] || "").trim());
+  });
+  return decisions;
+}
+
+/**
+ * Groups registry records into one entry per person.
+ * A person is identified by their ID, or by their normalized name when no record carries an ID.
+ * @param {Array<Object>} records Records from getPersonRegistry_().records.
+ * @returns {Array<{key: string, id: string, name: string, names: Array<string>, emails: Set<string>}>}
+ */
+function buildDuplicateCandidatesPeople_(records) {
+  const peopleByKey = new Map();
+  const keyByName = new Map();
+
+  const addToPerson = (key, id, record) => {
+    if (!peopleByKey.has(key)) {
+      peopleByKey.set(key, { key: key, id: id, name: record.fullName.trim(), names: [], emails: new Set() });
+    }
+    const person = peopleByKey.get(key);
+    const nameKey = normalizePersonName_(record.fullName);
+    if (!person.names.some(n => normalizePersonName_(n) === nameKey)) person.names.push(record.fullName.trim());
+    const email = String(record.email || "").trim().toLowerCase();
+    if (email) person.emails.add(email);
+    if (!keyByName.has(nameKey)) keyByName.set(nameKey, key);
+  };
+
+  // IDs first, so name-only records can attach to the person who already owns that name.
+  records.filter(r => r.id && extractNumericBel_(r.id) !== null).forEach(r => addToPerson(`ID:${r.id}`, r.id, r));
+  records.filter(r => !r.id || extractNumericBel_(r.id) === null).forEach(r => {
+    const nameKey = normalizePersonName_(r.fullName);
+    if (!nameKey) return;
+    addToPerson(keyByName.get(nameKey) || `NAME:${nameKey}`, "", r);
+  });
+
+  return Array.from(peopleByKey.values());
+}
+
+/**
+ * Compares people who share a name word or an email and keeps pairs scoring above the threshold.
+ * @param {Array<Object>} people Output of buildDuplicateCandidatesPeople_.
+ * @returns {Array<{key: string, score: number, reasons: Array<string>, a: Object, b: Object}>}
+ */
+function findDuplicateCandidatePairs_(people) {
+  // Only people sharing a (nickname-expanded) name word or an email are compared.
+  const blocks = new Map();
+  const addToBlock = (blockKey, index) => {
+    if (!blocks.has(blockKey)) blocks.set(blockKey, []);
+    const members = blocks.get(blockKey);
+    if (members[members.length - 1] !== index) members.push(index);
+  };
+  people.forEach((person, index) => {
+    person.names.forEach(name => {
+      canonicalNameTokens_(name).filter(t => t.length > 1).forEach(token => addToBlock(`T:${token}`, index));
+    });
+    person.emails.forEach(email => addToBlock(`E:${email}`, index));
+  });
+
+  const compared = new Set();
+  const pairs = [];
+  blocks.forEach(members => {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const a = people[members[i]];
+        const b = people[members[j]];
+        const key = duplicatePairKey_(a.key, b.key);
+        if (compared.has(key)) continue;
+        compared.add(key);
+
+        const result = scoreDuplicatePair_(a, b);
+        if (result.score >= DUPLICATE_SCORE_THRESHOLD) {
+          pairs.push({ key: key, score: result.score, reasons: result.reasons, a: a, b: b });
+        }
+      }
+    }
+  });
+  return pairs;
+}
+
+/**
+ * Scores two people: the best score across their name variants, adjusted by email.
+ * @param {{names: Array<string>, emails: Set<string>}} a
+ * @param {{names: Array<string>, emails: Set<string>}} b
+ * @returns {{score: number, reasons: Array<string>}}
+ */
+function scoreDuplicatePair_(a, b) {
+  let best = { score: 0, reasons: [] };
+  a.names.forEach(nameA => {
+    b.names.forEach(nameB => {
+      const result = scorePersonNamePair_(nameA, nameB);
+      if (result.score > best.score) best = result;
+    });
+  });
+
+  const reasons = best.reasons.slice();
+  let score = best.score;
+  const sharedEmail = Array.from(a.emails).find(email => b.emails.has(email));
+  if (sharedEmail) {
+    score += 15;
+    reasons.push(`Same email (${sharedEmail})`);
+  } else if (a.emails.size > 0 && b.emails.size > 0) {
+    score -= 10;
+    reasons.push("Different emails");
+  }
+  return { score: Math.max(0, Math.min(100, score)), reasons: reasons };
+}
+
+/**
+ * Scores how likely two names belong to the same person.
+ * @param {string} nameA
+ * @param {string} nameB
+ * @returns {{score: number, reasons: Array<string>}}
+ */
+function scorePersonNamePair_(nameA, nameB) {
+  if (normalizePersonName_(nameA) === normalizePersonName_(nameB)) {
+    return { score: 100, reasons: ["Same name"] };
+  }
+
+  const tokensA = normalizePersonName_(nameA).split(" ");
+  const tokensB = normalizePersonName_(nameB).split(" ");
+  if (tokensA.slice().sort().join(" ") === tokensB.slice().sort().join(" ")) {
+    return { score: 95, reasons: ["Same name, different word order"] };
+  }
+
+  const canonicalA = canonicalNameTokens_(nameA).sort().join(" ");
+  const canonicalB = canonicalNameTokens_(nameB).sort().join(" ");
+  if (canonicalA === canonicalB) {
+    return { score: 90, reasons: [`Nickname (${nameA.trim()} / ${nameB.trim()})`] };
+  }
+
+  const distance = levenshteinDistance_(canonicalA, canonicalB);
+  const similarity = 1 - distance / Math.max(canonicalA.length, canonicalB.length, 1);
+  return { score: Math.round(similarity * 100), reasons: [`Similar spelling (${distance} letter${distance === 1 ? "" : "s"} apart)`] };
+}
+
+/**
+ * Splits a name into normalized words with nicknames replaced by the formal name.
+ * @param {string} name
+ * @returns {Array<string>}
+ */
+function canonicalNameTokens_(name) {
+  return normalizePersonName_(name).replace(/[^A-Z0-9 ]/g, "").split(" ")
+    .filter(Boolean)
+    .map(token => DUPLICATE_NICKNAMES[token] || token);
+}
+
+/**
+ * Classic edit distance (insertions, deletions and substitutions each cost 1).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function levenshteinDistance_(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Moves stored decisions keyed by a name (NAME:...) to the ID that name resolves to now, so a
+ * pair rejected before one of them was given an ID is not raised again.
+ * @param {Object} registry From getPersonRegistry_().
+ * @returns {number} The number of decisions moved.
+ */
+function migrateDuplicateDecisionKeys_(registry) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(DUPLICATE_DECISIONS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return 0;
+  const range = sheet.getRange(2, 1, sheet.getLastRow() - 1, 5);
+  const values = range.getValues();
+  let moved = 0;
+  values.forEach(row => {
+    const key = String(row[0] || "").trim();
+    if (!key.includes("NAME:")) return;
+    const resolvedKey = resolveDuplicatePairKey_(key, registry);
+    if (resolvedKey === key) return;
+    row[0] = resolvedKey;
+    if (!String(row[1] || "").trim()) row[1] = registry.resolve(row[2]).id;
+    if (!String(row[3] || "").trim()) row[3] = registry.resolve(row[4]).id;
+    moved++;
+  });
+  if (moved > 0) {
+    range.setValues(values);
+    Logger.log(`✅ (Duplicates) ${moved} decision(s) moved from a name to the person's new ID.`);
+  }
+  return moved;
+}
+
+/**
+ * Rewrites the NAME: sides of a pair key to the ID the registry resolves for that name, if any.
+ * @param {string} pairKey From duplicatePairKey_.
+ * @param {Object} registry From getPersonRegistry_(); null leaves the key unchanged.
+ * @returns {string}
+ */
+function resolveDuplicatePairKey_(pairKey, registry) {
+  const parts = String(pairKey || "").split(" | ");
+  if (!registry || parts.length !== 2) return pairKey;
+  const resolved = parts.map(part => {
+    if (!part.startsWith("NAME:")) return part;
+    const id = registry.resolve(part.slice("NAME:".length)).id;
+    return id ? `ID:${id}` : part;
+  });
+  return duplicatePairKey_(resolved[0], resolved[1]);
+}
+
+/**
+ * Order-independent key for a pair of people, so A/B and B/A are the same decision.
+ * @param {string} keyA
+ * @param {string} keyB
+ * @returns {string}
+ */
+function duplicatePairKey_(keyA, keyB) {
+  return [keyA, keyB].sort().join(" | ");
+}
+
+function getOrCreatePossibleDuplicatesSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(POSSIBLE_DUPLICATES_SHEET_NAME);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(POSSIBLE_DUPLICATES_SHEET_NAME);
+  sheet.getRange("A1").setValue("🔍 POSSIBLE DUPLICATE PEOPLE").setFontSize(16).setFontWeight("bold");
+  sheet.getRange(2, 1, 1, POSSIBLE_DUPLICATES_HEADERS.length).setValues([POSSIBLE_DUPLICATES_HEADERS])
+    .setFontWeight("bold").setBackground("#e3f2fd").setFontColor("#202124");
+  sheet.setColumnWidth(1, 70); sheet.setColumnWidth(2, 100); sheet.setColumnWidth(3, 200);
+  sheet.setColumnWidth(4, 100); sheet.setColumnWidth(5, 200); sheet.setColumnWidth(6, 320);
+  sheet.setColumnWidth(7, 120);
+  sheet.hideColumns(8); // Pair Key is only used by the script
+  sheet.setFrozenRows(2);
+  Logger.log(`✅ "${POSSIBLE_DUPLICATES_SHEET_NAME}" sheet created.`);
+  return sheet;
+}
+
+function getOrCreateDuplicateDecisionsSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(DUPLICATE_DECISIONS_SHEET_NAME);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(DUPLICATE_DECISIONS_SHEET_NAME);
+  sheet.getRange(1, 1, 1, DUPLICATE_DECISIONS_HEADERS.length).setValues([DUPLICATE_DECISIONS_HEADERS])
+    .setFontWeight("bold").setBackground("#e3f2fd").setFontColor("#202124");
+  sheet.setFrozenRows(1);
+  Logger.log(`✅ "${DUPLICATE_DECISIONS_SHEET_NAME}" sheet created.`);
+  return sheet;
+}
@@ -1,9 +1,8 @@
 /**
  * Event Registration System (Standalone Project - Final Version)
  * Manages event registration, attendance tracking, and attendance statistics.
- * This version checks Directory, Attendance Stats, Service Attendance, and Event Attendance for ID mapping.
+ * Person IDs are resolved through the shared Person Registry (PersonRegistry.js).
  * It relies on the 'DIRECTORY_SPREADSHEET_ID' being set in its own Script Properties.
- * All shared helper functions are duplicated in this project to ensure self-containment.
  */
 
 // --- Event Registration Functions ---
@@ -12,6 +11,7 @@
  * Creates or recreates the main "Event Registration" sheet.
  */
 function createEventRegistrationSheet() {
+  requireSpreadsheetEditor_();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   let regSheet = ss.getSheetByName("Event Registration");
   if (regSheet) {
@@ -28,10 +28,10 @@ function createEventRegistrationSheet() {
     }
   }
   regSheet = ss.insertSheet("Event Registration");
-  setupEventRegistrationSheetLayout(regSheet);
+  setupEventRegistrationSheetLayout_(regSheet);
   populateEventRegistrationList(regSheet);
   // Update counts immediately after creation/population
-  updateEventAttendanceCounts(regSheet);
+  updateEventAttendanceCounts_(regSheet);
   Logger.log("✅ Event Registration sheet created successfully! Person IDs are populated via new logic.");
   SpreadsheetApp.getUi().alert(
     'Registration Sheet Created!',
@@ -51,7 +51,7 @@ function createEventRegistrationSheet() {
  * Sets up the initial layout, headers, and basic formatting for the Event registration sheet.
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to format.
  */
-function setupEventRegistrationSheetLayout(sheet) {
+function setupEventRegistrationSheetLayout_(sheet) {
   sheet.clear();
   sheet.getRange("A1").setValue("🏛️ Custom Event Name REGISTRATION").setFontSize(16).setFontWeight("bold");
   sheet.getRange("A1:D1").merge().setHorizontalAlignment("center");
@@ -72,15 +72,18 @@ function setupEventRegistrationSheetLayout(sheet) {
   sheet.getRange("G2:H2").setBackground("#e3f2fd").setHorizontalAlignment("center");
 
 
-  const headers = ["Person ID", "First Name", "Last Name", "✓ Present"];
-  sheet.getRange("A5:D5").setValues([headers]).setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
+  const headers = ["Person ID", "First Name", "Last Name", "✓ Present", "🏠 Household", "🙋 Role"];
+  sheet.getRange("A5:F5").setValues([headers]).setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
 
   sheet.setColumnWidth(1, 100); // Person ID
   sheet.setColumnWidth(2, 150); // First Name
   sheet.setColumnWidth(3, 150); // Last Name
   sheet.setColumnWidth(4, 80);  // Present
+  sheet.setColumnWidth(5, 200); // Household
+  sheet.setColumnWidth(6, 130); // Role
 
   sheet.hideColumns(1); // Hide the ID column, it's for backend tracking
+  addRoleDropdown_(sheet);
 
   sheet.getRange("A1:D4").setBackground("#f8f9fa");
   sheet.getRange("A2:B2").setBackground("#e3f2fd");
@@ -91,9 +94,10 @@ function setupEventRegistrationSheetLayout(sheet) {
 
 /**
  * Populates the "Event Registration" sheet with members from the external Directory,
- * now checking "Attendance Stats" and "Service Attendance" for IDs.
+ * resolving each person's ID through the shared Person Registry. Each household is listed together.
  */
 function populateEventRegistrationList(regSheet = null) {
+  requireSpreadsheetEditor_();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   if (!regSheet) {
     regSheet = ss.getSheetByName("Event Registration");
@@ -104,107 +108,66 @@ function populateEventRegistrationList(regSheet = null) {
     }
   }
 
-  const directoryMap = getDirectoryDataMap();
-  if (directoryMap.size === 0 && PropertiesService.getScriptProperties().getProperty('DIRECTORY_SPREADSHEET_ID')) {
-    Logger.log("⚠️ Directory map is empty but DIRECTORY_SPREADSHEET_ID is set. Check Directory sheet content or ID validity.");
+  const registry = getPersonRegistry_();
+  const directoryPeople = registry.directoryPeople();
+  if (directoryPeople.length === 0 && PropertiesService.getScriptProperties().getProperty('DIRECTORY_SPREADSHEET_ID')) {
+    Logger.log("⚠️ Directory is empty but DIRECTORY_SPREADSHEET_ID is set. Check Directory sheet content or ID validity.");
     SpreadsheetApp.getUi().alert("Warning", "Could not load data from Directory. Please ensure the Directory Spreadsheet URL is set correctly and the 'Directory' sheet contains data.", SpreadsheetApp.getUi().ButtonSet.OK);
     return;
-  } else if (directoryMap.size === 0 && !PropertiesService.getScriptProperties().getProperty('DIRECTORY_SPREADSHEET_ID')) {
+  } else if (directoryPeople.length === 0 && !PropertiesService.getScriptProperties().getProperty('DIRECTORY_SPREADSHEET_ID')) {
       SpreadsheetApp.getUi().alert("Setup Required", "Please set the 'Directory Spreadsheet URL' via the '⚙️ Event Config' menu first.", SpreadsheetApp.getUi().ButtonSet.OK);
       return;
   }
-  
-  // --- CHANGE: Added "Service Attendance" map back for comprehensive checking ---
-  const attendanceStatsIdMap = getLocalSheetIdMap("Attendance Stats", 1, 2);
-  const serviceAttendanceIdMap = getLocalSheetIdMap("Service Attendance", 1, 2);
-  const eventAttendanceIdMap = getLocalSheetIdMap("Event Attendance", 1, 2);
-
-  let nextGeneratedId = findHighestIdInDirectory();
-  if (nextGeneratedId === 0) {
-    nextGeneratedId = findHighestIdInLocalSheets(["Event Registration", "Event Attendance", "Sunday Registration", "Attendance Stats", "Service Attendance", "Sunday Service"]); 
-  }
-  Logger.log(`Initial base for nextGeneratedId: ${nextGeneratedId}`);
 
+  const households = getHouseholdAssignments_(registry.records);
   const personsForRegistration = [];
-  const processedNewPersonsInThisRun = new Map();
-
-  for (const [normalizedFullName, directoryEntry] of directoryMap.entries()) {
-    let personId = directoryEntry.id;
-    let firstName = directoryEntry.firstName;
-    let lastName = directoryEntry.lastName;
-    const fullName = directoryEntry.originalFullName;
-
-    if (!personId) {
-      // --- CHANGE: Added "Service Attendance" check back into the logic ---
-      const attendanceStatsEntryId = attendanceStatsIdMap.get(normalizedFullName);
-      const serviceEntryId = serviceAttendanceIdMap.get(normalizedFullName);
-      const eventEntryId = eventAttendanceIdMap.get(normalizedFullName);
-      const alreadyProcessedNew = processedNewPersonsInThisRun.get(normalizedFullName);
-
-      if (attendanceStatsEntryId) {
-        personId = attendanceStatsEntryId;
-      } else if (serviceEntryId) {
-        personId = serviceEntryId;
-      } else if (eventEntryId) {
-        personId = eventEntryId;
-      } else if (alreadyProcessedNew) {
-        personId = alreadyProcessedNew.id;
-        firstName = alreadyProcessedNew.firstName || firstName;
-        lastName = alreadyProcessedNew.lastName || lastName;
-      } else {
-        nextGeneratedId++;
-        personId = String(nextGeneratedId);
-        processedNewPersonsInThisRun.set(normalizedFullName, { id: personId, firstName: firstName, lastName: lastName });
-        Logger.log(`Generated new ID ${personId} for ${fullName} (from Directory but ID missing).`);
-      }
-    }
-
-    if (!firstName && !lastName && fullName) {
-      const nameParts = fullName.split(/\s+/);
-      firstName = nameParts[0] || "";
-      lastName = nameParts.length > 1 ? nameParts.slice(1).join(" ") : "";
-    }
+  const pendingDirectoryIds = [];
 
-    personsForRegistration.push([personId, firstName, lastName, false]);
+  for (const directoryEntry of directoryPeople) {
+    // IDs missing from the Directory are resolved from the local sheets, or newly allocated, by the registry.
+    const person = resolvePersonIdAndDetails_(directoryEntry.fullName, directoryEntry.email, registry);
+    notePendingDirectoryId_(directoryEntry, person.id, pendingDirectoryIds);
+    const household = households.forPerson(person.id, directoryEntry.fullName);
+    personsForRegistration.push([person.id, person.firstName, person.lastName, false, household ? household.label : "", ""]);
   }
 
-  personsForRegistration.sort((a, b) => {
-    const lastNameA = (String(a[2]) || "").toLowerCase(); // Index 2 is Last Name
-    const lastNameB = (String(b[2]) || "").toLowerCase();
-    const firstNameA = (String(a[1]) || "").toLowerCase(); // Index 1 is First Name
-    const firstNameB = (String(b[1]) || "").toLowerCase();
-
-    if (lastNameA < lastNameB) return -1;
-    if (lastNameA > lastNameB) return 1;
-    if (firstNameA < firstNameB) return -1;
-    if (firstNameA > firstNameB) return 1;
-    return 0;
-  });
+  // Opt-in: IDs given to Directory members without one are written back so they stay stable.
+  syncDirectoryIdsIfEnabled_(pendingDirectoryIds);
+
+  // Households stay together; everyone else is sorted by Last Name, then First Name.
+  sortRegistrationRowsByHousehold_(personsForRegistration);
+
+  // Saved Roster Options: hidden Activity Levels, likely attendees first, letter jump links.
+  const rosterOptions = getRosterOptions_("Event Registration");
+  const roster = arrangeRoster_(personsForRegistration, rosterOptions);
+  const rosterRows = roster.rows;
 
   const lastDataRowOnSheet = regSheet.getLastRow();
   if (lastDataRowOnSheet > 5) {
-    regSheet.getRange(6, 1, lastDataRowOnSheet - 5, 4).clearContent().clearFormat();
+    regSheet.getRange(6, 1, lastDataRowOnSheet - 5, REGISTRATION_COLUMN_COUNT).clearContent().clearFormat();
   }
-  if (personsForRegistration.length > 0) {
+  if (rosterRows.length > 0) {
     const startRow = 6;
-    regSheet.getRange(startRow, 1, personsForRegistration.length, 4).setValues(personsForRegistration);
-    const checkboxRange = regSheet.getRange(startRow, 4, personsForRegistration.length, 1);
+    regSheet.getRange(startRow, 1, rosterRows.length, REGISTRATION_COLUMN_COUNT).setValues(rosterRows);
+    const checkboxRange = regSheet.getRange(startRow, REGISTRATION_PRESENT_COL, rosterRows.length, 1);
     checkboxRange.setDataValidation(SpreadsheetApp.newDataValidation().requireCheckbox().build());
-    regSheet.getRange(startRow, 1, personsForRegistration.length, 4).setBorder(true, true, true, true, true, true);
-    refreshRowFormatting(regSheet, startRow, personsForRegistration.length);
-  }
-  regSheet.getRange("D4").setValue(`Status: ${personsForRegistration.length} members loaded`);
-  Logger.log(`✅ Registration list populated with ${personsForRegistration.length} members.`);
-  updateEventAttendanceCounts(regSheet);
+    regSheet.getRange(startRow, 1, rosterRows.length, REGISTRATION_COLUMN_COUNT).setBorder(true, true, true, true, true, true);
+    refreshRowFormatting_(regSheet, startRow, rosterRows.length);
+  }
+  addRoleDropdown_(regSheet); // Picks up changes to the Roles sheet
+  writeRosterJumpLinks_(regSheet, roster, rosterOptions);
+  regSheet.getRange("D4").setValue(`Status: ${rosterRows.length} members loaded${roster.hidden > 0 ? `, ${roster.hidden} hidden` : ""}`);
+  Logger.log(`✅ Registration list populated with ${rosterRows.length} members (${roster.hidden} hidden by roster options).`);
+  updateEventAttendanceCounts_(regSheet);
 }
 
 /**
  * Allows a user to manually add a new person to the "Event Registration" list.
  */
 function addPersonToEventRegistration() {
+  requireSpreadsheetEditor_();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const regSheet = ss.getSheetByName("Event Registration");
-  const sundayRegSheet = ss.getSheetByName("Sunday Registration");
 
   if (!regSheet) {
     SpreadsheetApp.getUi().alert("Error", "Event Registration sheet not found", SpreadsheetApp.getUi().ButtonSet.OK);
@@ -230,81 +193,32 @@ function addPersonToEventRegistration() {
     }
   }
 
-  let personIdToAdd;
-  let firstNameToAdd = "";
-  let lastNameToAdd = "";
-  const normalizedFullName = fullNameEntered.toUpperCase();
-
-  const directoryMap = getDirectoryDataMap();
-  // --- CHANGE: Added "Service Attendance" map back for comprehensive checking ---
-  const attendanceStatsIdMap = getLocalSheetIdMap("Attendance Stats", 1, 2);
-  const serviceAttendanceIdMap = getLocalSheetIdMap("Service Attendance", 1, 2);
-  const eventAttendanceIdMap = getLocalSheetIdMap("Event Attendance", 1, 2);
-
-  let sundayRegSheetId = null;
-  if (sundayRegSheet) {
-    const lastRowSundayReg = sundayRegSheet.getLastRow();
-    if (lastRowSundayReg >= 6) {
-        const sundayRegSheetData = sundayRegSheet.getRange(6, 1, lastRowSundayReg - 5, 2).getValues(); // Col A=ID, B=Full Name
-        for (const row of sundayRegSheetData) {
-            if (String(row[1] || "").trim().toUpperCase() === normalizedFullName) {
-                sundayRegSheetId = String(row[0] || "").trim();
-                break;
-            }
-        }
-    }
-  }
-
-  const directoryEntry = directoryMap.get(normalizedFullName);
-  // --- CHANGE: Added "Service Attendance" check back into the logic ---
-  const attendanceStatsEntryId = attendanceStatsIdMap.get(normalizedFullName);
-  const serviceEntryId = serviceAttendanceIdMap.get(normalizedFullName);
-  const eventEntryId = eventAttendanceIdMap.get(normalizedFullName);
-
-  if (directoryEntry && directoryEntry.id) {
-    personIdToAdd = directoryEntry.id;
-    firstNameToAdd = directoryEntry.firstName;
-    lastNameToAdd = directoryEntry.lastName;
-  } else if (attendanceStatsEntryId) {
-    personIdToAdd = attendanceStatsEntryId;
-  } else if (serviceEntryId) {
-    personIdToAdd = serviceEntryId;
-  } else if (eventEntryId) {
-    personIdToAdd = eventEntryId;
-  } else if (sundayRegSheetId) {
-    personIdToAdd = sundayRegSheetId;
-  } else {
-    let currentHighestOverallId = Math.max(
-      findHighestIdInDirectory(),
-      findHighestIdInLocalSheets(["Event Registration", "Event Attendance", "Sunday Registration", "Attendance Stats", "Service Attendance", "Sunday Service"])
-    );
-    currentHighestOverallId++;
-    personIdToAdd = String(currentHighestOverallId);
-  }
-
-  if (!firstNameToAdd && fullNameEntered) {
-    const nameParts = fullNameEntered.split(/\s+/);
-    firstNameToAdd = nameParts[0] || "";
-    lastNameToAdd = nameParts.length > 1 ? nameParts.slice(1).join(" ") : "";
-  }
+  const registry = getPersonRegistry_();
+  const personDetails = resolvePersonIdAndDetails_(fullNameEntered, "", registry);
+  const household = getHouseholdAssignments_(registry.records).forPerson(personDetails.id, fullNameEntered);
+  const personIdToAdd = personDetails.id;
+  const firstNameToAdd = personDetails.firstName;
+  const lastNameToAdd = personDetails.lastName;
 
   const nextSheetRow = (lastDataRow < 5) ? 6 : lastDataRow + 1;
-  const newRowData = [personIdToAdd, firstNameToAdd, lastNameToAdd, false];
-  regSheet.getRange(nextSheetRow, 1, 1, 4).setValues([newRowData]);
-  regSheet.getRange(nextSheetRow, 4).setDataValidation(SpreadsheetApp.newDataValidation().requireCheckbox().build());
-  const newRowRange = regSheet.getRange(nextSheetRow, 1, 1, 4);
+  const newRowData = [personIdToAdd, firstNameToAdd, lastNameToAdd, false, household ? household.label : "", ""];
+  regSheet.getRange(nextSheetRow, 1, 1, REGISTRATION_COLUMN_COUNT).setValues([newRowData]);
+  regSheet.getRange(nextSheetRow, REGISTRATION_PRESENT_COL).setDataValidation(SpreadsheetApp.newDataValidation().requireCheckbox().build());
+  const newRowRange = regSheet.getRange(nextSheetRow, 1, 1, REGISTRATION_COLUMN_COUNT);
   newRowRange.setBorder(true, true, true, true, true, true);
-  refreshRowFormatting(regSheet);
+  refreshRowFormatting_(regSheet);
 
   ui.alert('Person Added!', `${fullNameEntered} has been added with ID ${personIdToAdd}.`, ui.ButtonSet.OK);
   Logger.log(`✅ Manually added ${fullNameEntered} (ID: ${personIdToAdd}) to Event registration list.`);
-  updateEventAttendanceCounts(regSheet);
+  updateEventAttendanceCounts_(regSheet);
 }
 
 /**
  * Submits checked-in attendees from "Event Registration" to the "Event Attendance" sheet.
+ * Only the difference with the rows already recorded for this event and date is applied (see AttendanceSync.js).
  */
 function submitEventRegistrationAttendance() {
+  requireSpreadsheetEditor_();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const regSheet = ss.getSheetByName("Event Registration");
   if (!regSheet) {
@@ -333,58 +247,60 @@ function submitEventRegistrationAttendance() {
       throw new Error("'Event Attendance' sheet not found");
     }
 
-    const directoryMap = getDirectoryDataMap();
+    const directoryMap = getDirectoryDataMap_();
     const lastRegDataRow = regSheet.getLastRow();
     if (lastRegDataRow < 6) {
       regSheet.getRange("D4").setValue("Status: No members to process");
       return;
     }
 
-    const regData = regSheet.getRange(6, 1, lastRegDataRow - 5, 4).getValues();
-    const attendanceEntries = [];
-    let checkedCount = 0;
-
-    for (const row of regData) {
-      const [personId, firstName, lastName, isChecked] = row;
-      const fullName = `${firstName || ''} ${lastName || ''}`.trim();
-
-      if (isChecked === true && fullName) {
-        let email = "";
-        const normalizedFullName = fullName.toUpperCase();
-        const directoryEntry = directoryMap.get(normalizedFullName);
-        if (directoryEntry) {
-          email = directoryEntry.email || "";
-        }
-
-        // Structure for 'Event Attendance': A=Person ID, B=Full Name, C=Event Name, ..., K=Event Date, ...
-        attendanceEntries.push([
-          personId, fullName, eventName, eventId, firstName || "", lastName || "",
-          email, "", "", "", formattedEventDate, '', '', new Date()
-        ]);
-        checkedCount++;
-      }
-    }
-
-    if (attendanceEntries.length === 0) {
+    const regData = regSheet.getRange(6, 1, lastRegDataRow - 5, REGISTRATION_COLUMN_COUNT).getValues();
+    const roles = readRegistrationRoles_(regData);
+    const listed = regData
+      .map(([personId, firstName, lastName, isChecked], index) => ({
+        personId: String(personId || "").trim(), firstName: firstName, lastName: lastName,
+        fullName: `${firstName || ''} ${lastName || ''}`.trim(), checked: isChecked === true, role: roles[index]
+      }))
+      .filter(person => person.fullName);
+
+    // Only the difference with what is already recorded for this event and date is applied.
+    // Unticking everyone after "Load Attendance for Date" is a valid submission: it removes them.
+    const label = `${eventName} on ${formattedEventDate}`;
+    const pendingRemovals = compareWithRecordedAttendance_(listed, findEventAttendanceRows_(attendanceSheet, eventName, formattedEventDate)).toRemove;
+    if (!listed.some(person => person.checked) && pendingRemovals.length === 0) {
       regSheet.getRange("D4").setValue("Status: No members checked");
       return;
     }
+    const removeUnticked = pendingRemovals.length > 0 && confirmAttendanceRemovals_(pendingRemovals, label);
 
-    if (attendanceSheet.getLastRow() < 1) {
-      const attendanceHeaders = ["Person ID", "Full Name", "Event Name", "Event ID", "First Name", "Last Name", "Email", "Phone Number", "Form Sheet", "Role", "Event Date", "First Time?", "Needs Follow-up?", "Timestamp"];
-      attendanceSheet.getRange(1, 1, 1, attendanceHeaders.length).setValues([attendanceHeaders]).setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(PERSON_ID_LOCK_TIMEOUT_MS)) {
+      throw new Error("Another check-in is being saved. Please submit again in a moment.");
     }
-
-    const nextRowAttendanceSheet = findLastRowWithData(attendanceSheet) + 1;
-    attendanceSheet.getRange(nextRowAttendanceSheet, 1, attendanceEntries.length, attendanceEntries[0].length).setValues(attendanceEntries);
-    attendanceSheet.getRange(nextRowAttendanceSheet, 11, attendanceEntries.length, 1).setNumberFormat("MM/dd/yyyy");
-    attendanceSheet.getRange(nextRowAttendanceSheet, 14, attendanceEntries.length, 1).setNumberFormat("MM/dd/yyyy HH:mm:ss");
+    let diff;
+    try {
+      diff = compareWithRecordedAttendance_(listed, findEventAttendanceRows_(attendanceSheet, eventName, formattedEventDate));
+      updateAttendanceRoles_(attendanceSheet, EVENT_ATTENDANCE_ROLE_COL, diff.roleChanges); // Before deleting, while the row numbers hold
+      if (removeUnticked) deleteAttendanceRows_(attendanceSheet, diff.toRemove);
+
+      const attendanceEntries = diff.toAdd.map(person => {
+        const directoryEntry = directoryMap.get(person.fullName.toUpperCase());
+        const email = directoryEntry ? directoryEntry.email || "" : "";
+        return buildEventAttendanceRow_(person.personId, person.firstName, person.lastName, eventName, eventId, formattedEventDate, email, person.role);
+      });
+      if (attendanceEntries.length > 0) appendEventAttendanceRows_(attendanceSheet, attendanceEntries);
+      SpreadsheetApp.flush();
+    } finally {
+      lock.releaseLock();
+    }
+    const removed = removeUnticked ? diff.toRemove : [];
 
     regSheet.getRange(6, 4, lastRegDataRow - 5, 1).setValue(false);
-    regSheet.getRange("D4").setValue(`Status: ${checkedCount} attendees submitted`);
-    SpreadsheetApp.getUi().alert( 'Attendance Submitted!', `Successfully submitted attendance for ${checkedCount} members.`);
+    regSheet.getRange(6, REGISTRATION_ROLE_COL, lastRegDataRow - 5, 1).clearContent(); // Roles are picked again for the next event
+    regSheet.getRange("D4").setValue(`Status: ${diff.toAdd.length} added, ${diff.alreadyRecorded.length} skipped, ${removed.length} removed`);
+    SpreadsheetApp.getUi().alert('Attendance Submitted!', formatSubmissionSummary_(diff.toAdd, diff.alreadyRecorded, removed, label, diff.roleChanges), SpreadsheetApp.getUi().ButtonSet.OK);
     
-    updateEventAttendanceCounts(regSheet);
+    updateEventAttendanceCounts_(regSheet);
     processEventAttendanceForFollowUpByName();
 
   } catch (error) {
@@ -394,10 +310,99 @@ function submitEventRegistrationAttendance() {
   }
 }
 
+/**
+ * Ticks everyone recorded in Event Attendance for the event named in A1 on the date in B2,
+ * so a past event can be corrected. Submitting again applies only the changes.
+ */
+function loadEventAttendanceForDate() {
+  requireSpreadsheetEditor_();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const ui = SpreadsheetApp.getUi();
+  const regSheet = ss.getSheetByName("Event Registration");
+  const attendanceSheet = ss.getSheetByName("Event Attendance");
+  if (!regSheet || !attendanceSheet) {
+    ui.alert("Error", "The Event Registration or Event Attendance sheet was not found.", ui.ButtonSet.OK);
+    return;
+  }
+  const eventDateValue = regSheet.getRange("B2").getValue();
+  if (!(eventDateValue instanceof Date) || isNaN(eventDateValue.getTime())) {
+    ui.alert("Input Error", "Please enter a valid event date in cell B2.", ui.ButtonSet.OK);
+    return;
+  }
+
+  const eventName = regSheet.getRange("A1").getValue().replace(/^🏛️\s*/, "").trim();
+  const formattedEventDate = Utilities.formatDate(eventDateValue, ss.getSpreadsheetTimeZone(), "MM/dd/yyyy");
+  const recorded = findEventAttendanceRows_(attendanceSheet, eventName, formattedEventDate);
+  const result = tickRecordedAttendance_(regSheet, recorded);
+
+  regSheet.getRange("D4").setValue(`Status: ${result.ticked} loaded for ${formattedEventDate}`);
+  updateEventAttendanceCounts_(regSheet);
+  Logger.log(`✅ Loaded ${recorded.length} Event Attendance row(s) for ${eventName} on ${formattedEventDate}; ${result.added} added to the list.`);
+  ui.alert(
+    'Attendance Loaded',
+    `${result.ticked} person(s) recorded for ${eventName} on ${formattedEventDate} are ticked` +
+    `${result.added > 0 ? ` (${result.added} who were not on the list were added at the bottom)` : ""}.\n\n` +
+    'Tick or untick people, then use ✅ Submit Attendance: only the changes are saved.',
+    ui.ButtonSet.OK
+  );
+}
+
+/**
+ * Builds one "Event Attendance" row.
+ * Structure: A=Person ID, B=Full Name, C=Event Name, D=Event ID, E/F=First/Last Name, G=Email, ..., J=Role, K=Event Date, N=Timestamp.
+ * @param {string} formattedEventDate MM/dd/yyyy
+ * @param {string=} role A volunteer role from the Roles sheet, or blank.
+ * @returns {Array<any>}
+ */
+function buildEventAttendanceRow_(personId, firstName, lastName, eventName, eventId, formattedEventDate, email = "", role = "") {
+  const fullName = `${firstName || ''} ${lastName || ''}`.trim();
+  return [
+    personId, fullName, eventName, eventId, firstName || "", lastName || "",
+    email, "", "", role || "", formattedEventDate, '', '', new Date()
+  ];
+}
+
+/**
+ * Appends rows built by buildEventAttendanceRow_, adding the headers to an empty sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} attendanceSheet The "Event Attendance" sheet.
+ * @param {Array<Array<any>>} attendanceEntries
+ */
+function appendEventAttendanceRows_(attendanceSheet, attendanceEntries) {
+  if (attendanceSheet.getLastRow() < 1) {
+    const attendanceHeaders = ["Person ID", "Full Name", "Event Name", "Event ID", "First Name", "Last Name", "Email", "Phone Number", "Form Sheet", "Role", "Event Date", "First Time?", "Needs Follow-up?", "Timestamp"];
+    attendanceSheet.getRange(1, 1, 1, attendanceHeaders.length).setValues([attendanceHeaders]).setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
+  }
+
+  const nextRowAttendanceSheet = findLastRowWithData_(attendanceSheet) + 1;
+  attendanceSheet.getRange(nextRowAttendanceSheet, 1, attendanceEntries.length, attendanceEntries[0].length).setValues(attendanceEntries);
+  attendanceSheet.getRange(nextRowAttendanceSheet, 11, attendanceEntries.length, 1).setNumberFormat("MM/dd/yyyy");
+  attendanceSheet.getRange(nextRowAttendanceSheet, 14, attendanceEntries.length, 1).setNumberFormat("MM/dd/yyyy HH:mm:ss");
+}
+
+/**
+ * Event Attendance rows for one event on one date.
+ * @param {string} formattedEventDate MM/dd/yyyy
+ * @returns {Array<{row: number, personId: string, fullName: string}>}
+ */
+function findEventAttendanceRows_(attendanceSheet, eventName, formattedEventDate) {
+  const lastRow = attendanceSheet.getLastRow();
+  if (lastRow < 2) return [];
+  const timeZone = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone();
+  const rows = [];
+  attendanceSheet.getRange(2, 1, lastRow - 1, 11).getValues().forEach((row, index) => {
+    const date = getDateValue_(row[10]);
+    if (String(row[2]).trim() !== eventName || !date || Utilities.formatDate(date, timeZone, "MM/dd/yyyy") !== formattedEventDate) return;
+    rows.push({ row: index + 2, personId: String(row[0] || "").trim(), fullName: String(row[1] || "").trim(),
+      role: String(row[EVENT_ATTENDANCE_ROLE_COL - 1] || "").trim() });
+  });
+  return rows;
+}
+
 /**
  * Clears all checkboxes in the "Event Registration" sheet.
  */
 function clearAllEventChecks() {
+  requireSpreadsheetEditor_();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const regSheet = ss.getSheetByName("Event Registration");
   if (!regSheet) return;
@@ -405,6 +410,7 @@ function clearAllEventChecks() {
   const lastDataRow = regSheet.getLastRow();
   if (lastDataRow >= 6) {
     regSheet.getRange(6, 4, lastDataRow - 5, 1).setValue(false); // Checkbox is in column D (4)
+    regSheet.getRange(6, REGISTRATION_ROLE_COL, lastDataRow - 5, 1).clearContent();
     regSheet.getRange("D4").setValue("Status: All checks cleared");
   } else {
     regSheet.getRange("D4").setValue("Status: No checks to clear");
@@ -415,6 +421,7 @@ function clearAllEventChecks() {
  * Adds or re-applies checkboxes to the 'Present' column (Column D).
  */
 function addCheckboxesToEventRegistration() {
+  requireSpreadsheetEditor_();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const regSheet = ss.getSheetByName("Event Registration");
   if (!regSheet) return;
@@ -433,12 +440,13 @@ function addCheckboxesToEventRegistration() {
   if (rowsWithActualNames === 0) return;
 
   try {
-    const checkboxRange = regSheet.getRange(6, 4, rowsWithActualNames, 1); // Checkbox is in column D (4)
+    const checkboxRange = regSheet.getRange(6, REGISTRATION_PRESENT_COL, rowsWithActualNames, 1); // Checkbox is in column D (4)
     checkboxRange.clearContent().setValue(false).setDataValidation(SpreadsheetApp.newDataValidation().requireCheckbox().build());
 
-    const dataFormattingRange = regSheet.getRange(6, 1, rowsWithActualNames, 4);
+    const dataFormattingRange = regSheet.getRange(6, 1, rowsWithActualNames, REGISTRATION_COLUMN_COUNT);
     dataFormattingRange.setBorder(true, true, true, true, true, true);
-    refreshRowFormatting(regSheet, 6, rowsWithActualNames);
+    refreshRowFormatting_(regSheet, 6, rowsWithActualNames);
+    addRoleDropdown_(regSheet);
 
     regSheet.getRange("D4").setValue(`Status: ${rowsWithActualNames} members ready`);
     SpreadsheetApp.getUi().alert('Checkboxes Added/Reformatted!', `Successfully added/reformatted checkboxes for ${rowsWithActualNames} attendee rows.`);
@@ -451,6 +459,7 @@ function addCheckboxesToEventRegistration() {
  * Creates an empty "Event Registration" sheet.
  */
 function createEmptyEventRegistrationSheet() {
+  requireSpreadsheetEditor_();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   let regSheet = ss.getSheetByName("Event Registration");
   if (regSheet) {
@@ -460,8 +469,8 @@ function createEmptyEventRegistrationSheet() {
     else return;
   }
   regSheet = ss.insertSheet("Event Registration");
-  setupEventRegistrationSheetLayout(regSheet);
-  updateEventAttendanceCounts(regSheet);
+  setupEventRegistrationSheetLayout_(regSheet);
+  updateEventAttendanceCounts_(regSheet);
   Logger.log("✅ Empty Event Registration sheet created.");
   SpreadsheetApp.getUi().alert(
     'Empty Registration Sheet Created!',
@@ -478,6 +487,7 @@ function createEmptyEventRegistrationSheet() {
  * Removes a person from the "Event Registration" list by full name.
  */
 function removePersonFromEventRegistration() {
+  requireSpreadsheetEditor_();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const regSheet = ss.getSheetByName("Event Registration");
   if (!regSheet) return;
@@ -507,8 +517,8 @@ function removePersonFromEventRegistration() {
   if (rowToDeleteInSheet > 0) {
     regSheet.deleteRow(rowToDeleteInSheet);
     ui.alert('Person Removed!', `'${nameResponse.getResponseText().trim()}' has been removed.`, ui.ButtonSet.OK);
-    refreshRowFormatting(regSheet);
-    updateEventAttendanceCounts(regSheet);
+    refreshRowFormatting_(regSheet);
+    updateEventAttendanceCounts_(regSheet);
   } else {
     ui.alert('Not Found', `Person '${nameResponse.getResponseText().trim()}' not found.`);
   }
@@ -518,21 +528,22 @@ function removePersonFromEventRegistration() {
  * Sorts the data in the "Event Registration" sheet by Last Name (Column C).
  */
 function sortEventRegistrationByLastName() {
+  requireSpreadsheetEditor_();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const regSheet = ss.getSheetByName("Event Registration");
   if (!regSheet) return;
 
-  const lastDataRow = findLastRowWithData(regSheet);
+  const lastDataRow = findLastRowWithData_(regSheet);
   if (lastDataRow < 6) return;
 
   const numDataRows = lastDataRow - 5;
   if (numDataRows <= 0) return;
 
-  const dataRange = regSheet.getRange(6, 1, numDataRows, 4); // Range is now 4 columns
+  const dataRange = regSheet.getRange(6, 1, numDataRows, REGISTRATION_COLUMN_COUNT); // Whole row, household included
   // Sort by Last Name (Col C, which is column #3), then First Name (Col B, which is column #2)
   dataRange.sort([{ column: 3, ascending: true }, { column: 2, ascending: true }]);
   
-  refreshRowFormatting(regSheet, 6, numDataRows);
+  refreshRowFormatting_(regSheet, 6, numDataRows);
   SpreadsheetApp.getUi().alert("Event list sorted by Last Name.");
 }
 
@@ -540,17 +551,22 @@ function sortEventRegistrationByLastName() {
  * Adds a custom menu to the spreadsheet UI for Event Registration functions.
  * NOTE: This function would typically be called by an onOpen() trigger.
  */
-function addEventRegistrationMenu() {
+function addEventRegistrationMenu_() {
   SpreadsheetApp.getUi().createMenu('📋 Event Check-in')
     .addItem('📁 Get Names from Directory', 'populateEventRegistrationList')
+    .addItem('📂 Load Attendance for Date', 'loadEventAttendanceForDate')
+    .addItem('🔎 Open Check-In Sidebar', 'openEventCheckInSidebar')
     .addItem('✅ Submit Attendance', 'submitEventRegistrationAttendance')
+    .addItem('👨‍👩‍👧 Check In Whole Household', 'checkInWholeHousehold')
     .addSeparator()
     .addItem('➕ Add Attendee (Quick Add)', 'addPersonToEventRegistration')
     .addItem('➖ Remove Attendee', 'removePersonFromEventRegistration')
     .addItem('🔲 Add/Reformat Checkboxes', 'addCheckboxesToEventRegistration')
     .addItem('Sort by Last Name', 'sortEventRegistrationByLastName')
+    .addItem('🎛️ Roster Options…', 'configureEventRosterOptions')
     .addSeparator()
     .addItem('🆕 Create Empty Registration Sheet', 'createEmptyEventRegistrationSheet')
+    .addItem('🙋 Edit Roles List', 'openRolesSheet')
     .addItem('🔍 Update Follow-up Flags', 'processEventAttendanceForFollowUpByName')
     .addToUi();
 }
@@ -559,7 +575,7 @@ function addEventRegistrationMenu() {
  * Updates the attendance counters on the Event Registration sheet.
  * @param {GoogleAppsScript.Spreadsheet.Sheet} regSheet The Event Registration sheet.
  */
-function updateEventAttendanceCounts(regSheet) {
+function updateEventAttendanceCounts_(regSheet) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const attendanceSheet = ss.getSheetByName("Event Attendance");
   if (!attendanceSheet) {
@@ -588,7 +604,7 @@ function updateEventAttendanceCounts(regSheet) {
     const row = attendanceData[i];
     const personId = String(row[PERSON_ID_COL_IDX] || "").trim();
     const eventNameInRecord = String(row[EVENT_NAME_COL_IDX] || "").trim();
-    const eventDateInRecord = getDateValue(row[EVENT_DATE_COL_IDX]);
+    const eventDateInRecord = getDateValue_(row[EVENT_DATE_COL_IDX]);
 
     if (!personId || !eventDateInRecord) continue;
 
@@ -608,148 +624,40 @@ function updateEventAttendanceCounts(regSheet) {
 
 // --- Shared Helper Functions ---
 
-function findHighestIdInLocalSheets(sheetNamesArray) {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    let highestId = 0;
-    sheetNamesArray.forEach(sheetName => {
-        const sheet = ss.getSheetByName(sheetName);
-        if (sheet) {
-            const lastRow = sheet.getLastRow();
-            if (lastRow >= 1) {
-                let startDataRow = 1;
-                if ((sheetName === "Sunday Registration" || sheetName === "Event Registration") && lastRow >= 6) {
-                    startDataRow = 6;
-                } else if ((sheetName.includes("Attendance") || sheetName.includes("Service") || sheetName === "Attendance Stats") && lastRow >= 2) {
-                    startDataRow = 2;
-                }
-                
-                if (lastRow >= startDataRow) {
-                    const ids = sheet.getRange(startDataRow, 1, lastRow - startDataRow + 1, 1).getValues();
-                    ids.forEach(row => {
-                        const id = parseInt(row[0]);
-                        if (!isNaN(id) && id > highestId) {
-                            highestId = id;
-                        }
-                    });
-                }
-            }
-        }
-    });
-    return highestId;
-}
-
-function findHighestIdInDirectory() {
-  let highestId = 0;
-  try {
-    const directoryId = PropertiesService.getScriptProperties().getProperty('DIRECTORY_SPREADSHEET_ID');
-    if (!directoryId) return 0;
-    
-    const directorySheet = SpreadsheetApp.openById(directoryId).getSheetByName("Directory");
-    if (directorySheet) {
-      const lastRow = directorySheet.getLastRow();
-      if (lastRow >= 2) {
-        const ids = directorySheet.getRange(2, 1, lastRow - 1, 1).getValues();
-        ids.forEach(row => {
-          const id = parseInt(row[0]);
-          if (!isNaN(id) && id > highestId) {
-            highestId = id;
-          }
-        });
-      }
-    }
-  } catch (error) {
-    Logger.log(`❌ Error in findHighestIdInDirectory: ${error.message}`);
-  }
-  return highestId;
-}
-
-function getDirectoryDataMap() {
+function getDirectoryDataMap_() {
   const directoryDataMap = new Map();
-  try {
-    const directoryId = PropertiesService.getScriptProperties().getProperty('DIRECTORY_SPREADSHEET_ID');
-    if (!directoryId) return directoryDataMap;
-    
-    const directorySheet = SpreadsheetApp.openById(directoryId).getSheetByName("Directory");
-    if (directorySheet) {
-      const directoryValues = directorySheet.getDataRange().getValues();
-      if (directoryValues.length > 1) {
-        const headers = directoryValues[0].map(h => String(h || "").trim().toLowerCase());
-        const idColIndex = 0;
-        const nameColIndex = 1;
-        let firstNameColIndex = headers.indexOf("first name");
-        if (firstNameColIndex === -1) firstNameColIndex = 2;
-        let lastNameColIndex = headers.indexOf("last name");
-        if (lastNameColIndex === -1) lastNameColIndex = 3;
-        let emailColIndex = headers.indexOf("email");
-        if (emailColIndex === -1) emailColIndex = 7;
-
-        for (let i = 1; i < directoryValues.length; i++) {
-          const row = directoryValues[i];
-          const personId = String(row[idColIndex] || "").trim();
-          const fullName = String(row[nameColIndex] || "").trim();
-          if (personId && fullName) {
-            const normalizedFullName = fullName.toUpperCase();
-            directoryDataMap.set(normalizedFullName, {
-              id: personId,
-              email: row[emailColIndex] ? String(row[emailColIndex]).trim() : "",
-              firstName: row[firstNameColIndex] ? String(row[firstNameColIndex]).trim() : "",
-              lastName: row[lastNameColIndex] ? String(row[lastNameColIndex]).trim() : "",
-              originalFullName: fullName
-            });
-          }
-        }
-      }
-    }
-  } catch (error) {
-    Logger.log(`❌ Error in getDirectoryDataMap: ${error.message}`);
-  }
+  // Read through the shared Directory snapshot (DirectoryCache.js); columns are found by header (DirectorySchema.js).
+  (getDirectoryPeople_() || []).forEach(person => {
+    if (!person.id) return;
+    directoryDataMap.set(person.fullName.toUpperCase(), {
+      id: person.id,
+      email: person.email,
+      firstName: person.firstName,
+      lastName: person.lastName,
+      originalFullName: person.fullName
+    });
+  });
   return directoryDataMap;
 }
 
-function getLocalSheetIdMap(sheetName, idColNum = 1, nameColNum = 2) {
-    const localIdMap = new Map();
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
-    if (sheet) {
-        const lastRow = sheet.getLastRow();
-        if (lastRow >= 1) {
-            const data = sheet.getRange(1, 1, lastRow, Math.max(idColNum, nameColNum)).getValues();
-            let dataStartRowIndex = 0; // Default to 0 for header-less sheets or unknown formats
-
-            if (lastRow >= 6 && (sheetName === "Sunday Registration" || sheetName === "Event Registration")) {
-                dataStartRowIndex = 5; // Start reading data from row 6 (index 5)
-            } else if (lastRow >= 2 && (sheetName.includes("Attendance") || sheetName.includes("Service") || sheetName === "Attendance Stats")) {
-                dataStartRowIndex = 1; // Start reading data from row 2 (index 1)
-            }
-            
-            for (let i = dataStartRowIndex; i < data.length; i++) {
-                const personId = String(data[i][idColNum - 1] || "").trim();
-                const fullName = String(data[i][nameColNum - 1] || "").trim();
-                if (personId && fullName) {
-                    localIdMap.set(fullName.toUpperCase(), personId);
-                }
-            }
-        }
-    }
-    return localIdMap;
-}
 
-function refreshRowFormatting(sheet, startDataRow = 6, numRowsInput = -1) {
+function refreshRowFormatting_(sheet, startDataRow = 6, numRowsInput = -1) {
   if (!sheet) return;
 
   let numRowsToFormat = numRowsInput;
   if (numRowsToFormat === -1) {
-    const lastSheetRowWithContent = findLastRowWithData(sheet);
+    const lastSheetRowWithContent = findLastRowWithData_(sheet);
     if (lastSheetRowWithContent < startDataRow) return;
     numRowsToFormat = lastSheetRowWithContent - startDataRow + 1;
   }
 
   if (numRowsToFormat <= 0) return;
 
-  sheet.getRange(startDataRow, 1, numRowsToFormat, 4).clearFormat(); // Use 4 columns
+  sheet.getRange(startDataRow, 1, numRowsToFormat, REGISTRATION_COLUMN_COUNT).clearFormat();
 
   for (let i = 0; i < numRowsToFormat; i++) {
     const currentRowInSheet = startDataRow + i;
-    const rowRange = sheet.getRange(currentRowInSheet, 1, 1, 4); // Use 4 columns
+    const rowRange = sheet.getRange(currentRowInSheet, 1, 1, REGISTRATION_COLUMN_COUNT);
     if (i % 2 === 1) { // Alternate row color
       rowRange.setBackground("#f5f5f5");
     } else {
@@ -759,7 +667,7 @@ function refreshRowFormatting(sheet, startDataRow = 6, numRowsInput = -1) {
 }
 
 
-function findLastRowWithData(sheet) {
+function findLastRowWithData_(sheet) {
   if (!sheet) return 0;
   const lastRow = sheet.getLastRow();
   if (lastRow === 0) return 0;
@@ -775,12 +683,12 @@ function findLastRowWithData(sheet) {
   return 0;
 }
 
-function extractSpreadsheetIdFromUrl(url) {
+function extractSpreadsheetIdFromUrl_(url) {
   const match = url.match(/\/spreadsheets\/d\/([a-zA-Z0-9_-]+)/);
   return match ? match[1] : null;
 }
 
-function getDateValue(value) {
+function getDateValue_(value) {
   if (value instanceof Date && !isNaN(value)) {
     return value;
   }
@@ -1,4 +1,5 @@
 function combineNamesOnFormSubmit(e) {
+  requireTriggerOrEditor_(e);
   // Get the active spreadsheet.
   var ss = SpreadsheetApp.getActiveSpreadsheet();
   
@@ -0,0 +1,208 @@
+/**
+ * Headcounts
+ * Ushers count the room: adults, children and online viewers per service. The counts are
+ * kept on their own "Headcounts" sheet, apart from named attendance, and entered from the
+ * "🔢 Enter Headcount" sidebar (one row per date and service; saving again corrects it).
+ *
+ * "📈 Generate Headcount Report" sets the counts next to the named check-ins in Service
+ * Attendance (the rows calculateServiceStats_ counts), showing how much of the room was
+ * checked in by name.
+ */
+
+const HEADCOUNTS_SHEET_NAME = "Headcounts";
+const HEADCOUNTS_HEADERS = ["Date", "Service", "Adults", "Children", "Online", "Total", "Entered By", "Timestamp"];
+const HEADCOUNT_REPORT_SHEET_NAME = "Headcount Report";
+const HEADCOUNT_REPORT_HEADERS = ["Date", "Service", "Named Check-ins", "Adults", "Children", "In Room", "Online", "Total", "Coverage"];
+
+/**
+ * Menu command: opens the headcount sidebar for the date and service on Sunday Registration.
+ */
+function openHeadcountSidebar() {
+  requireSpreadsheetEditor_();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const regSheet = ss.getSheetByName("Sunday Registration");
+  const regDate = regSheet ? getDateValue_(regSheet.getRange("B2").getValue()) : null;
+
+  const template = HtmlService.createTemplateFromFile("HeadcountSidebar");
+  template.services = loadServices_().map(s => s.name);
+  template.defaultDate = Utilities.formatDate(regDate || new Date(), ss.getSpreadsheetTimeZone(), "yyyy-MM-dd");
+  template.defaultService = regSheet ? getSelectedService_(regSheet) : findServiceForTime_(new Date());
+  SpreadsheetApp.getUi().showSidebar(template.evaluate().setTitle("🔢 Headcount"));
+}
+
+/**
+ * Called by the sidebar: the counts already saved for a date and service.
+ * @param {string} isoDate "yyyy-MM-dd" from the date field.
+ * @param {string} service
+ * @returns {{adults: number, children: number, online: number, enteredBy: string}|null}
+ */
+function getHeadcount(isoDate, service) {
+  requireSpreadsheetEditor_();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(HEADCOUNTS_SHEET_NAME);
+  if (!sheet) return null;
+  const entry = findHeadcountRow_(sheet, formatHeadcountDate_(isoDate), serviceNameOrDefault_(service));
+  if (!entry) return null;
+  return { adults: entry.values[2], children: entry.values[3], online: entry.values[4], enteredBy: String(entry.values[6] || "") };
+}
+
+/**
+ * Called by the sidebar: saves the counts, replacing any saved earlier for the same date and service.
+ * @param {{date: string, service: string, adults: any, children: any, online: any}} form
+ * @returns {string} The confirmation shown in the sidebar.
+ */
+function saveHeadcount(form) {
+  requireSpreadsheetEditor_();
+  const formattedDate = formatHeadcountDate_(form.date);
+  const service = serviceNameOrDefault_(form.service);
+  const counts = ["adults", "children", "online"].map(key => {
+    const text = String(form[key] === null || form[key] === undefined ? "" : form[key]).trim();
+    if (text === "") return 0;
+    if (!/^\d+$/.test(text)) throw new Error(`Please enter a whole number for ${key}.`);
+    return parseInt(text, 10);
+  });
+  const total = counts[0] + counts[1] + counts[2];
+  const enteredBy = Session.getActiveUser().getEmail() || "(unknown)";
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(PERSON_ID_LOCK_TIMEOUT_MS)) {
+    throw new Error("Another headcount is being saved. Please try again.");
+  }
+  try {
+    const sheet = getOrCreateHeadcountsSheet_();
+    const row = [formattedDate, service, ...counts, total, enteredBy, new Date()];
+    const existing = findHeadcountRow_(sheet, formattedDate, service);
+    const targetRow = existing ? existing.row : sheet.getLastRow() + 1;
+    sheet.getRange(targetRow, 1, 1, HEADCOUNTS_HEADERS.length).setValues([row]);
+    Logger.log(`✅ Headcount ${existing ? "updated" : "saved"} for ${service} on ${formattedDate}: ${counts.join("/")} (adults/children/online).`);
+    return `${existing ? "Updated" : "Saved"}: ${total} for ${service} on ${formattedDate}.`;
+  } finally {
+    SpreadsheetApp.flush();
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Menu command: (re)builds the Headcount Report sheet.
+ */
+function createHeadcountReport() {
+  requireSpreadsheetEditor_();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const rows = calculateHeadcountCoverage_();
+  let sheet = ss.getSheetByName(HEADCOUNT_REPORT_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(HEADCOUNT_REPORT_SHEET_NAME);
+    sheet.getRange("A1").setValue("📈 NAMED CHECK-INS VS. HEADCOUNT").setFontSize(16).setFontWeight("bold");
+    sheet.getRange(2, 1, 1, HEADCOUNT_REPORT_HEADERS.length).setValues([HEADCOUNT_REPORT_HEADERS])
+      .setFontWeight("bold").setBackground("#e3f2fd").setFontColor("#202124");
+    sheet.setColumnWidth(1, 110); sheet.setColumnWidth(2, 180);
+    sheet.setFrozenRows(2);
+  }
+  if (sheet.getLastRow() > 2) {
+    sheet.getRange(3, 1, sheet.getLastRow() - 2, HEADCOUNT_REPORT_HEADERS.length).clearContent();
+  }
+  if (rows.length > 0) {
+    sheet.getRange(3, 1, rows.length, HEADCOUNT_REPORT_HEADERS.length).setValues(rows);
+    sheet.getRange(3, 1, rows.length, 1).setNumberFormat("MM/dd/yyyy");
+    sheet.getRange(3, HEADCOUNT_REPORT_HEADERS.length, rows.length, 1).setNumberFormat("0%");
+  }
+  sheet.activate();
+  Logger.log(`✅ Headcount Report populated with ${rows.length} service(s).`);
+  SpreadsheetApp.getUi().alert(
+    '📈 Headcount Report',
+    `${rows.length} service(s) listed, newest first. Coverage is named check-ins divided by the adults and children counted in the room; ` +
+    'it is blank where no headcount was entered.',
+    SpreadsheetApp.getUi().ButtonSet.OK
+  );
+}
+
+/**
+ * One row per date and service found in Service Attendance or Headcounts, newest first.
+ * Named check-ins count distinct people (by ID, or by name without one).
+ * @returns {Array<Array<any>>} Rows in the HEADCOUNT_REPORT_HEADERS layout.
+ */
+function calculateHeadcountCoverage_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const timeZone = ss.getSpreadsheetTimeZone();
+  const services = new Map(); // "MM/dd/yyyy|service" -> {date, service, named: Set, counts}
+  const entryFor = (date, service) => {
+    const key = `${Utilities.formatDate(date, timeZone, "MM/dd/yyyy")}|${service}`;
+    if (!services.has(key)) services.set(key, { date: date, service: service, named: new Set(), counts: null });
+    return services.get(key);
+  };
+
+  const serviceSheet = ss.getSheetByName("Service Attendance");
+  if (serviceSheet && serviceSheet.getLastRow() >= 2) {
+    const width = Math.min(SERVICE_ATTENDANCE_SERVICE_COL, serviceSheet.getMaxColumns());
+    serviceSheet.getRange(2, 1, serviceSheet.getLastRow() - 1, width).getValues().forEach(row => {
+      const date = getDateValue_(row[4]);
+      const who = String(row[0] || "").trim() || normalizePersonName_(row[1]);
+      if (!date || !who) return;
+      entryFor(date, serviceNameOrDefault_(row[SERVICE_ATTENDANCE_SERVICE_COL - 1])).named.add(who);
+    });
+  }
+
+  const headcountSheet = ss.getSheetByName(HEADCOUNTS_SHEET_NAME);
+  if (headcountSheet && headcountSheet.getLastRow() >= 2) {
+    headcountSheet.getRange(2, 1, headcountSheet.getLastRow() - 1, HEADCOUNTS_HEADERS.length).getValues().forEach(row => {
+      const date = getDateValue_(row[0]);
+      if (!date) return;
+      entryFor(date, serviceNameOrDefault_(row[1])).counts = {
+        adults: Number(row[2]) || 0, children: Number(row[3]) || 0, online: Number(row[4]) || 0
+      };
+    });
+  }
+
+  return Array.from(services.values())
+    .sort((a, b) => b.date - a.date || a.service.localeCompare(b.service))
+    .map(entry => {
+      const named = entry.named.size;
+      if (!entry.counts) return [entry.date, entry.service, named, "", "", "", "", "", ""];
+      const inRoom = entry.counts.adults + entry.counts.children;
+      return [
+        entry.date, entry.service, named,
+        entry.counts.adults, entry.counts.children, inRoom, entry.counts.online, inRoom + entry.counts.online,
+        inRoom > 0 ? named / inRoom : ""
+      ];
+    });
+}
+
+function getOrCreateHeadcountsSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(HEADCOUNTS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(HEADCOUNTS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, HEADCOUNTS_HEADERS.length).setValues([HEADCOUNTS_HEADERS])
+      .setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
+    sheet.getRange("A:A").setNumberFormat("@"); // Dates are stored as MM/dd/yyyy, like Service Attendance
+    sheet.setColumnWidth(2, 180); sheet.setColumnWidth(7, 200);
+    sheet.setFrozenRows(1);
+    Logger.log(`✅ "${HEADCOUNTS_SHEET_NAME}" sheet created.`);
+  }
+  return sheet;
+}
+
+/**
+ * @returns {{row: number, values: Array<any>}|null} The saved counts for a date and service.
+ */
+function findHeadcountRow_(sheet, formattedDate, service) {
+  if (sheet.getLastRow() < 2) return null;
+  const timeZone = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone();
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, HEADCOUNTS_HEADERS.length).getValues();
+  for (let i = 0; i < values.length; i++) {
+    const date = getDateValue_(values[i][0]);
+    if (date && Utilities.formatDate(date, timeZone, "MM/dd/yyyy") === formattedDate && serviceNameOrDefault_(values[i][1]) === service) {
+      return { row: i + 2, values: values[i] };
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {string} isoDate "yyyy-MM-dd" from the sidebar's date field.
+ * @returns {string} The date as MM/dd/yyyy.
+ */
+function formatHeadcountDate_(isoDate) {
+  const match = String(isoDate || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) throw new Error("Please choose a date.");
+  return `${match[2]}/${match[3]}/${match[1]}`;
+}
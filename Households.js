@@ -0,0 +1,276 @@
+/**
+ * Households
+ * Links family members so the registration lists show them together, greeters can
+ * check a whole family in with one click, and attendance can be counted per household.
+ *
+ * WHERE HOUSEHOLDS COME FROM (later wins):
+ *   1. The Directory's Household column (headed "Household", "Household ID" or "Family ID"
+ *      unless another header is set in the Directory schema, see DirectorySchema.js)
+ *   2. The local "Households" sheet: A=Person ID, B=Full Name, C=Household ID, D=Household Name
+ *      A row applies to the person with that ID, or to that Full Name when the ID is blank.
+ * Households without a name are called "<first member's last name> Household".
+ * The registration sheets show the household in column E (REGISTRATION_HOUSEHOLD_COL).
+ */
+
+const HOUSEHOLDS_SHEET_NAME = "Households";
+const HOUSEHOLDS_HEADERS = ["Person ID", "Full Name", "Household ID", "Household Name"];
+
+const HOUSEHOLD_STATS_SHEET_NAME = "Household Stats";
+const HOUSEHOLD_STATS_HEADERS = [
+  "Household ID", "Household Name", "Members", "Services This Month", "Services Last 3 Months",
+  "Total Services", "Avg Members per Service", "Events Attended", "Last Attended Date"
+];
+
+/**
+ * Builds the household assignments from the Directory records and the local Households sheet.
+ * @param {Array<Object>} records Records from getPersonRegistry_().records.
+ * @returns {{households: Map<string, {id: string, name: string, label: string, members: Array<{id: string, fullName: string}>}>,
+ *            forPerson: function(string, string): Object|null}}
+ */
+function getHouseholdAssignments_(records) {
+  const householdIdByPersonId = new Map();
+  const householdIdByName = new Map();
+  const namesByHousehold = new Map();
+  const members = new Map(); // person key -> {id, fullName, lastName, householdId}
+
+  const assign = (personId, fullName, lastName, householdId, householdName) => {
+    const nameKey = normalizePersonName_(fullName);
+    if (!householdId || (!personId && !nameKey)) return;
+    if (personId) householdIdByPersonId.set(personId, householdId);
+    if (nameKey) householdIdByName.set(nameKey, householdId);
+    if (householdName) namesByHousehold.set(householdId, householdName);
+    members.set(personId || `NAME:${nameKey}`, { id: personId, fullName: fullName, lastName: lastName, householdId: householdId });
+  };
+
+  records.filter(r => r.source === "Directory" && r.household).forEach(r => {
+    assign(r.id, r.fullName, r.lastName || splitFullName_(r.fullName).lastName, r.household, "");
+  });
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(HOUSEHOLDS_SHEET_NAME);
+  if (sheet && sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, HOUSEHOLDS_HEADERS.length).getValues().forEach(row => {
+      const personId = String(row[0] || "").trim();
+      const fullName = String(row[1] || "").trim();
+      assign(personId, fullName, splitFullName_(fullName).lastName, String(row[2] || "").trim(), String(row[3] || "").trim());
+    });
+  }
+
+  const households = new Map();
+  members.forEach(member => {
+    if (!households.has(member.householdId)) {
+      households.set(member.householdId, { id: member.householdId, name: namesByHousehold.get(member.householdId) || "", label: "", members: [] });
+    }
+    const household = households.get(member.householdId);
+    household.members.push({ id: member.id, fullName: member.fullName });
+    if (!household.name && member.lastName) household.name = `${member.lastName} Household`;
+  });
+  households.forEach(household => {
+    household.label = household.name && household.name !== household.id ? `${household.name} (${household.id})` : household.id;
+  });
+
+  return {
+    households: households,
+    forPerson(personId, fullName) {
+      const householdId = householdIdByPersonId.get(String(personId || "").trim()) || householdIdByName.get(normalizePersonName_(fullName));
+      return householdId ? households.get(householdId) : null;
+    }
+  };
+}
+
+/**
+ * Sorts registration rows so each household is listed together, ordered by household
+ * label (people without a household by their last name), then last and first name.
+ * @param {Array<Array<any>>} rows Rows in the registration layout (see REGISTRATION_COLUMN_COUNT).
+ */
+function sortRegistrationRowsByHousehold_(rows) {
+  const text = value => String(value || "").toLowerCase();
+  const groupKey = row => text(row[REGISTRATION_HOUSEHOLD_COL - 1]) || text(row[2]);
+  rows.sort((a, b) =>
+    groupKey(a).localeCompare(groupKey(b)) ||
+    text(a[REGISTRATION_HOUSEHOLD_COL - 1]).localeCompare(text(b[REGISTRATION_HOUSEHOLD_COL - 1])) ||
+    text(a[2]).localeCompare(text(b[2])) ||
+    text(a[1]).localeCompare(text(b[1]))
+  );
+}
+
+/**
+ * Menu command: ticks "✓ Present" for everyone in the same household as the selected row
+ * on the Sunday or Event Registration sheet.
+ */
+function checkInWholeHousehold() {
+  requireSpreadsheetEditor_();
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+  if (sheet.getName() !== "Sunday Registration" && sheet.getName() !== "Event Registration") {
+    ui.alert('Wrong Sheet', 'Open the Sunday Registration or Event Registration sheet and select a person first.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const selectedRow = sheet.getActiveCell().getRow();
+  const lastRow = sheet.getLastRow();
+  if (selectedRow < 6 || selectedRow > lastRow) {
+    ui.alert('No Person Selected', 'Click on any cell in a person\'s row, then try again.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const household = String(sheet.getRange(selectedRow, REGISTRATION_HOUSEHOLD_COL).getValue() || "").trim();
+  if (!household) {
+    ui.alert('No Household', 'This person is not linked to a household. Add them to the Directory household column or the "Households" sheet.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const numRows = lastRow - 5;
+  const householdValues = sheet.getRange(6, REGISTRATION_HOUSEHOLD_COL, numRows, 1).getValues();
+  const presentRange = sheet.getRange(6, REGISTRATION_PRESENT_COL, numRows, 1);
+  const presentValues = presentRange.getValues();
+  let checkedCount = 0;
+  householdValues.forEach((row, index) => {
+    if (String(row[0] || "").trim() !== household) return;
+    presentValues[index][0] = true;
+    checkedCount++;
+  });
+  presentRange.setValues(presentValues);
+
+  sheet.getRange("D4").setValue(`Status: ${checkedCount} checked in (${household})`);
+  Logger.log(`✅ Checked in ${checkedCount} members of household "${household}" on ${sheet.getName()}.`);
+}
+
+/**
+ * Menu command: opens the local Households sheet, creating it with headers if needed.
+ */
+function openHouseholdsSheet() {
+  requireSpreadsheetEditor_();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(HOUSEHOLDS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(HOUSEHOLDS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, HOUSEHOLDS_HEADERS.length).setValues([HOUSEHOLDS_HEADERS])
+      .setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
+    sheet.setColumnWidth(1, 100); sheet.setColumnWidth(2, 200); sheet.setColumnWidth(3, 120); sheet.setColumnWidth(4, 200);
+    sheet.setFrozenRows(1);
+    Logger.log(`✅ "${HOUSEHOLDS_SHEET_NAME}" sheet created.`);
+  }
+  sheet.activate();
+}
+
+// --- Household Stats ---
+
+function createHouseholdStatsSheet() {
+  requireSpreadsheetEditor_();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let statsSheet = ss.getSheetByName(HOUSEHOLD_STATS_SHEET_NAME);
+  if (!statsSheet) {
+    statsSheet = ss.insertSheet(HOUSEHOLD_STATS_SHEET_NAME);
+    setupHouseholdStatsSheetLayout_(statsSheet);
+  }
+  populateHouseholdStatsSheet_(statsSheet);
+  statsSheet.activate();
+  SpreadsheetApp.getUi().alert(
+    'Household Stats Updated!',
+    'The "Household Stats" sheet shows attendance per household from Service Attendance and Event Attendance.',
+    SpreadsheetApp.getUi().ButtonSet.OK
+  );
+}
+
+function setupHouseholdStatsSheetLayout_(sheet) {
+  sheet.clear();
+  sheet.getRange("A1").setValue("🏠 HOUSEHOLD ATTENDANCE STATISTICS").setFontSize(16).setFontWeight("bold");
+  sheet.getRange(1, 1, 1, HOUSEHOLD_STATS_HEADERS.length).merge().setHorizontalAlignment("center");
+  sheet.getRange(2, 1, 1, HOUSEHOLD_STATS_HEADERS.length).setValues([HOUSEHOLD_STATS_HEADERS])
+    .setFontWeight("bold").setBackground("#e3f2fd").setFontColor("#202124");
+  sheet.setColumnWidth(1, 110); sheet.setColumnWidth(2, 220);
+  for (let col = 3; col <= HOUSEHOLD_STATS_HEADERS.length; col++) sheet.setColumnWidth(col, 150);
+  sheet.setFrozenRows(2);
+  Logger.log("✅ Household Stats sheet layout created.");
+}
+
+function populateHouseholdStatsSheet_(targetSheet = null) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  if (!targetSheet) {
+    targetSheet = ss.getSheetByName(HOUSEHOLD_STATS_SHEET_NAME);
+    if (!targetSheet) { return; }
+  }
+  const statsData = calculateHouseholdStats_();
+  const lastRow = targetSheet.getLastRow();
+  if (lastRow > 2) {
+    targetSheet.getRange(3, 1, lastRow - 2, HOUSEHOLD_STATS_HEADERS.length).clearContent();
+  }
+  if (statsData.length > 0) {
+    targetSheet.getRange(3, 1, statsData.length, HOUSEHOLD_STATS_HEADERS.length).setValues(statsData);
+    targetSheet.getRange(3, 9, statsData.length, 1).setNumberFormat("MM/dd/yyyy");
+    Logger.log(`✅ Household Stats sheet populated with ${statsData.length} households.`);
+  } else {
+    Logger.log("No household statistics to populate.");
+  }
+}
+
+/**
+ * A household "attends" a service when at least one member is in Service Attendance for that date.
+ * @returns {Array<Array<any>>} One row per household in HOUSEHOLD_STATS_HEADERS order.
+ */
+function calculateHouseholdStats_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const timeZone = ss.getSpreadsheetTimeZone();
+  const assignments = getHouseholdAssignments_(getPersonRegistry_().records);
+  if (assignments.households.size === 0) {
+    Logger.log("⚠️ No households found in the Directory or the Households sheet.");
+    return [];
+  }
+
+  const now = new Date();
+  const threeMonthsAgo = new Date();
+  threeMonthsAgo.setMonth(now.getMonth() - 3);
+
+  const statsByHousehold = new Map();
+  const statsFor = household => {
+    if (!statsByHousehold.has(household.id)) {
+      statsByHousehold.set(household.id, { serviceDates: new Map(), events: new Set(), lastAttended: null });
+    }
+    return statsByHousehold.get(household.id);
+  };
+  const noteAttendance = (stats, date) => {
+    if (!stats.lastAttended || date > stats.lastAttended) stats.lastAttended = date;
+  };
+
+  // Service Attendance: A=ID, B=Full Name, E=Service Date
+  getSheetData_(ss, "Service Attendance").slice(1).forEach(row => {
+    const household = assignments.forPerson(row[0], row[1]);
+    const date = getDateValue_(row[4]);
+    if (!household || !date) return;
+    const stats = statsFor(household);
+    const dateKey = Utilities.formatDate(date, timeZone, "yyyy-MM-dd");
+    if (!stats.serviceDates.has(dateKey)) stats.serviceDates.set(dateKey, { date: date, people: new Set() });
+    stats.serviceDates.get(dateKey).people.add(String(row[0] || row[1]).trim());
+    noteAttendance(stats, date);
+  });
+
+  // Event Attendance: A=ID, B=Full Name, C=Event Name, K=Event Date
+  getSheetData_(ss, "Event Attendance").slice(1).forEach(row => {
+    const household = assignments.forPerson(row[0], row[1]);
+    const date = getDateValue_(row[10]);
+    if (!household || !date) return;
+    const stats = statsFor(household);
+    stats.events.add(`${String(row[2] || "").trim()}|${Utilities.formatDate(date, timeZone, "yyyy-MM-dd")}`);
+    noteAttendance(stats, date);
+  });
+
+  const summary = [];
+  assignments.households.forEach(household => {
+    const stats = statsFor(household);
+    const services = Array.from(stats.serviceDates.values());
+    const totalPeople = services.reduce((total, service) => total + service.people.size, 0);
+    summary.push([
+      household.id,
+      household.name,
+      household.members.length,
+      services.filter(s => s.date.getFullYear() === now.getFullYear() && s.date.getMonth() === now.getMonth()).length,
+      services.filter(s => s.date >= threeMonthsAgo).length,
+      services.length,
+      services.length > 0 ? Math.round((totalPeople / services.length) * 10) / 10 : 0,
+      stats.events.size,
+      stats.lastAttended || ""
+    ]);
+  });
+  summary.sort((a, b) => String(a[1]).localeCompare(String(b[1])));
+  return summary;
+}
@@ -0,0 +1,149 @@
+/**
+ * Identity Audit
+ * Scans every sheet the Person Registry reads (the external Directory and
+ * "new member form" tabs included) and lists ID/name inconsistencies on the
+ * "Identity Audit" sheet:
+ *   - Names with more than one ID
+ *   - IDs shared by more than one name
+ *   - IDs that are malformed: not numeric, or failing the check digit (rejected by extractNumericBel_)
+ * IDs merged with "Merge People" count as their surviving ID, and names listed in the
+ * "Aliases" sheet count as the same name as the person's current one. Nothing is changed;
+ * fix the rows by hand or with "Merge People".
+ */
+
+const IDENTITY_AUDIT_SHEET_NAME = "Identity Audit";
+const IDENTITY_AUDIT_HEADERS = ["Issue", "Name(s)", "ID(s)", "Found In"];
+const IDENTITY_AUDIT_MAX_LOCATIONS = 10;
+
+const AUDIT_ISSUE_NAME_WITH_IDS = "Name with more than one ID";
+const AUDIT_ISSUE_SHARED_ID = "ID shared by more than one name";
+const AUDIT_ISSUE_MALFORMED_ID = "Malformed ID";
+
+/**
+ * Menu command: builds the audit report and opens it.
+ */
+function runIdentityAudit() {
+  requireSpreadsheetEditor_();
+  const issues = auditPersonRecords_(loadPersonRegistryRecords_(), loadPersonAliases_(), getAuditIdColumnLetters_());
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(IDENTITY_AUDIT_SHEET_NAME);
+  if (!sheet) sheet = ss.insertSheet(IDENTITY_AUDIT_SHEET_NAME);
+  sheet.clear();
+  sheet.getRange("A1").setValue(`🩺 IDENTITY AUDIT — ${Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "MM/dd/yyyy HH:mm")}`)
+    .setFontSize(16).setFontWeight("bold");
+  sheet.getRange(2, 1, 1, IDENTITY_AUDIT_HEADERS.length).setValues([IDENTITY_AUDIT_HEADERS])
+    .setFontWeight("bold").setBackground("#e3f2fd").setFontColor("#202124");
+  sheet.setColumnWidth(1, 220); sheet.setColumnWidth(2, 260); sheet.setColumnWidth(3, 160); sheet.setColumnWidth(4, 420);
+  sheet.setFrozenRows(2);
+
+  const rows = issues.map(issue => [issue.issue, issue.names.join(", "), issue.ids.join(", "), formatAuditLocations_(issue.locations)]);
+  if (rows.length > 0) {
+    sheet.getRange(3, 1, rows.length, IDENTITY_AUDIT_HEADERS.length).setValues(rows).setWrap(true).setVerticalAlignment("top");
+  } else {
+    sheet.getRange("A3").setValue("✅ No inconsistencies found.");
+  }
+
+  const countOf = type => issues.filter(i => i.issue === type).length;
+  Logger.log(`✅ (Audit) ${issues.length} issues written to "${IDENTITY_AUDIT_SHEET_NAME}".`);
+  sheet.activate();
+  SpreadsheetApp.getUi().alert(
+    'Identity Audit Complete',
+    `${countOf(AUDIT_ISSUE_NAME_WITH_IDS)} name(s) with more than one ID\n` +
+    `${countOf(AUDIT_ISSUE_SHARED_ID)} ID(s) shared by more than one name\n` +
+    `${countOf(AUDIT_ISSUE_MALFORMED_ID)} malformed ID(s)`,
+    SpreadsheetApp.getUi().ButtonSet.OK
+  );
+}
+
+/**
+ * The ID column of each registry source, as a letter for the "Found In" cell references.
+ * The Directory's ID column comes from its header row (see DirectorySchema.js).
+ * @returns {Object<string, string>} Sheet name -> column letter.
+ */
+function getAuditIdColumnLetters_() {
+  const letters = {};
+  PERSON_REGISTRY_SOURCES.filter(source => source.idCol).forEach(source => {
+    letters[source.sheetName] = columnIndexToLetter_(source.idCol - 1);
+  });
+  try {
+    const directorySheet = SpreadsheetApp.openById(getDirectorySpreadsheetIdFromProperties_()).getSheetByName("Directory");
+    if (directorySheet) {
+      const columns = getDirectoryColumnMap_(directorySheet.getRange(1, 1, 1, directorySheet.getLastColumn()).getValues()[0]);
+      letters.Directory = columnIndexToLetter_(columns.id);
+    }
+  } catch (err) {
+    Logger.log(`⚠️ (Audit) Could not read the Directory's ID column: ${err.message}. Directory locations fall back to column A.`);
+  }
+  return letters;
+}
+
+/**
+ * Finds the three kinds of inconsistency in a list of registry records.
+ * @param {Array<Object>} records Records from loadPersonRegistryRecords_().
+ * @param {Array<Object>=} aliases From loadPersonAliases_(); a former name of an ID is not a second name.
+ * @param {Object<string, string>=} idColumnLetters From getAuditIdColumnLetters_(); sources not listed use column A.
+ * @returns {Array<{issue: string, names: Array<string>, ids: Array<string>, locations: Array<string>}>}
+ */
+function auditPersonRecords_(records, aliases = [], idColumnLetters = {}) {
+  const idsByName = new Map(); // normalized name -> {name, ids: Map<id, locations>}
+  const namesById = new Map(); // id -> {names: Map<normalized name, display name>, locations}
+  const malformed = new Map(); // raw id -> {names: Set, locations}
+  const currentNames = getCurrentAliasNames_(aliases);
+  const aliasKeys = new Map(); // normalized alias -> {key, name} of the current name
+  aliases.forEach(alias => {
+    const current = currentNames.get(alias.id) || alias.fullName;
+    aliasKeys.set(normalizePersonName_(alias.fullName), { key: `ALIAS:${alias.id}`, name: current });
+  });
+
+  records.forEach(record => {
+    if (!record.id) return;
+    const location = `${record.source}!${idColumnLetters[record.source] || "A"}${record.row}`;
+    const alias = aliasKeys.get(normalizePersonName_(record.fullName));
+    const nameKey = alias ? alias.key : normalizePersonName_(record.fullName);
+    const displayName = alias ? alias.name : record.fullName;
+
+    if (extractNumericBel_(record.id) === null) {
+      if (!malformed.has(record.id)) malformed.set(record.id, { names: new Set(), locations: [] });
+      malformed.get(record.id).names.add(record.fullName);
+      malformed.get(record.id).locations.push(location);
+      return;
+    }
+
+    if (!idsByName.has(nameKey)) idsByName.set(nameKey, { name: displayName, ids: new Map() });
+    const byName = idsByName.get(nameKey).ids;
+    if (!byName.has(record.id)) byName.set(record.id, []);
+    byName.get(record.id).push(location);
+
+    if (!namesById.has(record.id)) namesById.set(record.id, { names: new Map(), locations: [] });
+    const byId = namesById.get(record.id);
+    if (!byId.names.has(nameKey)) byId.names.set(nameKey, displayName);
+    byId.locations.push(location);
+  });
+
+  const issues = [];
+  idsByName.forEach(entry => {
+    if (entry.ids.size < 2) return;
+    const ids = Array.from(entry.ids.keys());
+    issues.push({
+      issue: AUDIT_ISSUE_NAME_WITH_IDS,
+      names: [entry.name],
+      ids: ids,
+      locations: ids.map(id => `${id}: ${entry.ids.get(id)[0]}`)
+    });
+  });
+  namesById.forEach((entry, id) => {
+    if (entry.names.size < 2) return;
+    issues.push({ issue: AUDIT_ISSUE_SHARED_ID, names: Array.from(entry.names.values()), ids: [id], locations: entry.locations });
+  });
+  malformed.forEach((entry, id) => {
+    issues.push({ issue: AUDIT_ISSUE_MALFORMED_ID, names: Array.from(entry.names), ids: [id], locations: entry.locations });
+  });
+  return issues;
+}
+
+function formatAuditLocations_(locations) {
+  const shown = locations.slice(0, IDENTITY_AUDIT_MAX_LOCATIONS).join(", ");
+  const hidden = locations.length - IDENTITY_AUDIT_MAX_LOCATIONS;
+  return hidden > 0 ? `${shown} (+${hidden} more)` : shown;
+}
@@ -0,0 +1,374 @@
+/**
+ * Kids Check-In
+ * Check-in with guardian pickup codes for the children's ministry.
+ *
+ *   - The "Kids" sheet lists the children: A=Person ID, B=Full Name, C=Group, D=Allergies / Notes.
+ *     A row applies to the person with that ID, or to that Full Name when the ID is blank.
+ *   - Guardians are the other members of the child's household (see Households.js).
+ *   - "👶 Kids Check-In" opens a sidebar: find a family, tick the children, check them in.
+ *     The children of one check-in share a random pickup code (KIDS_PICKUP_CODE_LENGTH
+ *     characters, unique among the children still checked in today), and a child label and a
+ *     guardian label are shown ready to print.
+ *   - Check-out asks for the guardian's code and only releases children checked in under it.
+ *   - The sidebar's calls only work for editors of the spreadsheet, and when ⚙️ Config → Set
+ *     Kids Check-In Team… lists emails (script property KIDS_CHECKIN_STAFF_EMAILS), only for them.
+ *
+ * Each check-in is logged on "Kids Check-ins" and recorded in Service Attendance under the
+ * KIDS_SERVICE_NAME service (once per child and date), so kids' attendance shows up in the
+ * stats like any other service.
+ */
+
+const KIDS_SHEET_NAME = "Kids";
+const KIDS_HEADERS = ["Person ID", "Full Name", "Group", "Allergies / Notes"];
+const KIDS_LOG_SHEET_NAME = "Kids Check-ins";
+const KIDS_LOG_HEADERS = ["Date", "Service", "Child ID", "Child Name", "Household", "Guardians", "Pickup Code", "Checked In", "Checked Out", "Checked Out By"];
+const KIDS_SERVICE_NAME = "Kids";
+const KIDS_CHECKIN_NOTE = "Kids check-in";
+const KIDS_PICKUP_CODE_LENGTH = 4;
+const KIDS_PICKUP_CODE_CHARS = "ACDEFHJKMNPRTWXY34679"; // No look-alikes (0/O, 1/I/L, 5/S, 8/B, 2/Z)
+const KIDS_MAX_RESULTS = 10;
+const KIDS_STAFF_PROPERTY = "KIDS_CHECKIN_STAFF_EMAILS";
+
+/**
+ * Menu command: opens the Kids sheet, creating it with its headers.
+ */
+function openKidsSheet() {
+  requireSpreadsheetEditor_();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(KIDS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(KIDS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, KIDS_HEADERS.length).setValues([KIDS_HEADERS])
+      .setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
+    sheet.setColumnWidth(1, 100); sheet.setColumnWidth(2, 200); sheet.setColumnWidth(3, 140); sheet.setColumnWidth(4, 300);
+    sheet.setFrozenRows(1);
+    Logger.log(`✅ "${KIDS_SHEET_NAME}" sheet created.`);
+  }
+  sheet.activate();
+  SpreadsheetApp.getUi().alert(
+    '🧒 Kids',
+    'List one child per row (Person ID or Full Name, Group, Allergies / Notes). ' +
+    'Guardians are taken from the child\'s household, so make sure each child is in a household (👥 People → 🏠 Open Households Sheet).',
+    SpreadsheetApp.getUi().ButtonSet.OK
+  );
+}
+
+/**
+ * Menu command: opens the Kids Check-In sidebar.
+ */
+function openKidsCheckInSidebar() {
+  requireKidsCheckInStaff_();
+  const template = HtmlService.createTemplateFromFile("KidsCheckIn");
+  SpreadsheetApp.getUi().showSidebar(template.evaluate().setTitle("👶 Kids Check-In"));
+}
+
+/**
+ * Called by the sidebar: families whose child, guardian or household name matches the search.
+ * @param {string} query
+ * @returns {Array<{household: string, guardians: Array<string>, children: Array<{id: string, fullName: string, group: string, notes: string, checkedIn: boolean}>}>}
+ */
+function kidsSearch(query) {
+  requireKidsCheckInStaff_();
+  const terms = normalizePersonName_(query).split(" ").filter(Boolean);
+  if (terms.length === 0) return [];
+  const matches = text => {
+    const words = normalizePersonName_(text).split(" ");
+    return terms.every(term => words.some(word => word.startsWith(term)));
+  };
+
+  const open = findOpenKidsCheckIns_(getTodayKidsDate_());
+  const families = loadKidsFamilies_();
+  return families
+    .filter(family => matches(family.household) || family.guardians.some(matches) || family.children.some(child => matches(child.fullName)))
+    .slice(0, KIDS_MAX_RESULTS)
+    .map(family => ({
+      household: family.household,
+      guardians: family.guardians,
+      children: family.children.map(child => ({
+        id: child.id, fullName: child.fullName, group: child.group, notes: child.notes,
+        checkedIn: open.some(entry => isSameAttendee_(entry, child))
+      }))
+    }));
+}
+
+/**
+ * Called by the sidebar: checks the chosen children in under one new pickup code and shows their labels.
+ * @param {Array<string>} childNames Full names as returned by kidsSearch (IDs may still be blank there).
+ * @returns {{code: string, message: string}}
+ */
+function kidsCheckIn(childNames) {
+  requireKidsCheckInStaff_();
+  const chosen = (childNames || []).map(name => normalizePersonName_(name)).filter(Boolean);
+  if (chosen.length === 0) throw new Error("Please tick at least one child.");
+
+  const families = loadKidsFamilies_();
+  const family = families.find(f => chosen.every(name => f.children.some(child => normalizePersonName_(child.fullName) === name)));
+  if (!family) throw new Error("Children checked in together must be from the same family. Please check them in separately.");
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const serviceSheet = ss.getSheetByName("Service Attendance");
+  if (!serviceSheet) throw new Error("'Service Attendance' sheet not found.");
+  const formattedDate = getTodayKidsDate_();
+  const registry = getPersonRegistry_();
+  const children = family.children.filter(child => chosen.includes(normalizePersonName_(child.fullName)));
+  children.forEach(child => {
+    if (!child.id) child.id = resolvePersonIdAndDetails_(child.fullName, "", registry).id; // Allocating takes the lock itself
+  });
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(PERSON_ID_LOCK_TIMEOUT_MS)) {
+    throw new Error("Another check-in is being saved. Please try again.");
+  }
+  let code;
+  try {
+    const open = findOpenKidsCheckIns_(formattedDate);
+    const already = children.filter(child => open.some(entry => isSameAttendee_(entry, child)));
+    if (already.length > 0) {
+      throw new Error(`${already.map(child => child.fullName).join(", ")} ${already.length === 1 ? "is" : "are"} already checked in. Check out first to print a new code.`);
+    }
+
+    code = generateKidsPickupCode_(open.map(entry => entry.code));
+    const now = new Date();
+    const guardians = family.guardians.join(", ");
+    const logSheet = getOrCreateKidsLogSheet_();
+    const logRows = children.map(child => [formattedDate, KIDS_SERVICE_NAME, child.id, child.fullName, family.household, guardians, code, now, "", ""]);
+    logSheet.getRange(logSheet.getLastRow() + 1, 1, logRows.length, KIDS_LOG_HEADERS.length).setValues(logRows);
+
+    // A child checked out and in again the same day is logged twice but attends once.
+    const recorded = findServiceAttendanceRowsForDate_(serviceSheet, formattedDate).filter(entry => entry.service === KIDS_SERVICE_NAME);
+    const unrecorded = children.filter(child => !recorded.some(entry => isSameAttendee_(entry, { personId: child.id, fullName: child.fullName })));
+    if (unrecorded.length > 0) {
+      appendServiceAttendanceRows_(serviceSheet, unrecorded.map(child => {
+        const { firstName, lastName } = splitFullName_(child.fullName);
+        return buildServiceAttendanceRow_(child.id, firstName, lastName, formattedDate, "", KIDS_CHECKIN_NOTE, KIDS_SERVICE_NAME);
+      }));
+    }
+    SpreadsheetApp.flush();
+  } finally {
+    lock.releaseLock();
+  }
+
+  Logger.log(`✅ (Kids) ${children.map(child => child.fullName).join(", ")} checked in with pickup code ${code}.`);
+  showKidsLabels_(code, children, family);
+  return { code: code, message: `${children.map(child => child.fullName).join(", ")} checked in. Pickup code: ${code}` };
+}
+
+/**
+ * Called by the sidebar: the children still checked in today under a pickup code.
+ * @param {string} code
+ * @returns {Array<{row: number, childId: string, fullName: string, household: string, guardians: string}>}
+ */
+function kidsLookupPickupCode(code) {
+  requireKidsCheckInStaff_();
+  return findPickupCodeEntries_(code);
+}
+
+/**
+ * Called by the sidebar: checks out the children picked up under a pickup code.
+ * The code is verified again, so a stale sidebar cannot release anyone.
+ * @param {string} code
+ * @param {Array<string>} childNames The children being picked up (all of them when empty).
+ * @returns {string} The confirmation shown in the sidebar.
+ */
+function kidsCheckOut(code, childNames) {
+  const by = requireKidsCheckInStaff_();
+  const cleaned = String(code || "").trim().toUpperCase();
+  const wanted = (childNames || []).map(name => normalizePersonName_(name));
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(PERSON_ID_LOCK_TIMEOUT_MS)) {
+    throw new Error("Another check-out is being saved. Please try again.");
+  }
+  try {
+    const entries = findPickupCodeEntries_(cleaned)
+      .filter(entry => wanted.length === 0 || wanted.includes(normalizePersonName_(entry.fullName)));
+    if (entries.length === 0) throw new Error("Those children are not checked in under this code.");
+
+    const logSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(KIDS_LOG_SHEET_NAME);
+    const now = new Date();
+    entries.forEach(entry => logSheet.getRange(entry.row, 9, 1, 2).setValues([[now, by]]));
+    SpreadsheetApp.flush();
+    Logger.log(`✅ (Kids) ${entries.map(entry => entry.fullName).join(", ")} checked out with pickup code ${cleaned}.`);
+    return `✅ ${entries.map(entry => entry.fullName).join(", ")} checked out.`;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * The children still checked in today under a pickup code (see kidsLookupPickupCode).
+ */
+function findPickupCodeEntries_(code) {
+  const cleaned = String(code || "").trim().toUpperCase();
+  if (!cleaned) throw new Error("Please enter the pickup code from the guardian's label.");
+  const entries = findOpenKidsCheckIns_(getTodayKidsDate_()).filter(entry => entry.code === cleaned);
+  if (entries.length === 0) {
+    Logger.log(`⚠️ (Kids) Pickup code "${cleaned}" did not match any child checked in today.`);
+    throw new Error(`No child is checked in today with code ${cleaned}. Do not release the child; ask a team leader.`);
+  }
+  return entries.map(entry => ({ row: entry.row, childId: entry.personId, fullName: entry.fullName, household: entry.household, guardians: entry.guardians }));
+}
+
+/**
+ * Throws unless the caller is an editor and, when a kids check-in team is set, on that team.
+ * @returns {string} The caller's email address.
+ */
+function requireKidsCheckInStaff_() {
+  const email = requireSpreadsheetEditor_();
+  const staff = loadKidsCheckInStaff_();
+  if (staff.length > 0 && !staff.includes(email)) {
+    Logger.log(`⚠️ (Kids) Refused a call from ${email}: not on the kids check-in team.`);
+    throw new Error("Only the kids check-in team can do this. Ask an admin to add you with ⚙️ Config → Set Kids Check-In Team….");
+  }
+  return email;
+}
+
+/**
+ * @returns {Array<string>} The lower-case emails of the kids check-in team; empty when every editor may check kids in.
+ */
+function loadKidsCheckInStaff_() {
+  return String(PropertiesService.getScriptProperties().getProperty(KIDS_STAFF_PROPERTY) || "")
+    .split(/[\s,;]+/)
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Menu command: sets the emails allowed to check kids in and out.
+ */
+function setKidsCheckInStaff() {
+  requireSpreadsheetEditor_();
+  const ui = SpreadsheetApp.getUi();
+  const current = loadKidsCheckInStaff_();
+  const response = ui.prompt(
+    'Kids Check-In Team',
+    'Emails of the people who may check kids in and out, separated by commas. Leave empty to allow every editor.' +
+      `\n\nNow: ${current.length > 0 ? current.join(", ") : "every editor"}`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const emails = response.getResponseText().split(/[\s,;]+/).map(email => email.trim().toLowerCase()).filter(Boolean);
+  const invalid = emails.filter(email => !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email));
+  if (invalid.length > 0) {
+    ui.alert('Invalid Email', `These are not email addresses: ${invalid.join(", ")}`, ui.ButtonSet.OK);
+    return;
+  }
+  const me = Session.getActiveUser().getEmail().toLowerCase();
+  if (emails.length > 0 && !emails.includes(me)) {
+    const confirm = ui.alert('Leave Yourself Out?', `You (${me}) are not on the list and will no longer be able to use Kids Check-In.`, ui.ButtonSet.OK_CANCEL);
+    if (confirm !== ui.Button.OK) return;
+  }
+  PropertiesService.getScriptProperties().setProperty(KIDS_STAFF_PROPERTY, emails.join(","));
+  Logger.log(`✅ (Kids) Check-in team set to ${emails.length > 0 ? emails.join(", ") : "every editor"}.`);
+  ui.alert(`✅ Kids check-in team saved: ${emails.length > 0 ? emails.join(", ") : "every editor"}.`);
+}
+
+/**
+ * Shows the printable child and guardian labels for one check-in.
+ */
+function showKidsLabels_(code, children, family) {
+  const template = HtmlService.createTemplateFromFile("KidsLabels");
+  template.code = code;
+  template.date = getTodayKidsDate_();
+  template.churchName = SpreadsheetApp.getActiveSpreadsheet().getName();
+  template.household = family.household;
+  template.guardians = family.guardians.join(", ");
+  template.children = children.map(child => ({ fullName: child.fullName, group: child.group, notes: child.notes }));
+  SpreadsheetApp.getUi().showModalDialog(template.evaluate().setWidth(460).setHeight(560), `🏷️ Pickup Code ${code}`);
+}
+
+/**
+ * Every child on the Kids sheet, grouped by household with the household's other members as guardians.
+ * @returns {Array<{household: string, guardians: Array<string>, children: Array<{id: string, fullName: string, group: string, notes: string}>}>}
+ */
+function loadKidsFamilies_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(KIDS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    throw new Error("No children are listed yet. Use 📋 Sunday Check-in → 🧒 Edit Kids List first.");
+  }
+  const registry = getPersonRegistry_();
+  const households = getHouseholdAssignments_(registry.records);
+  const redirects = loadMergedIdRedirects_();
+
+  const kids = [];
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, KIDS_HEADERS.length).getValues().forEach(row => {
+    let id = String(row[0] || "").trim();
+    if (redirects.has(id)) id = redirects.get(id); // Rows typed in after a merge may still hold the merged ID
+    const fullName = String(row[1] || "").trim() || (id ? registry.currentName(id) || "" : "");
+    if (!fullName) return;
+    if (!id) id = registry.resolve(fullName).id || "";
+    kids.push({ id: id, personId: id, fullName: fullName, group: String(row[2] || "").trim(), notes: String(row[3] || "").trim() });
+  });
+  const isKid = member => kids.some(kid => isSameAttendee_(kid, { personId: member.id, fullName: member.fullName }));
+
+  const families = new Map();
+  kids.forEach(kid => {
+    const household = households.forPerson(kid.id, kid.fullName);
+    const key = household ? household.id : `CHILD:${normalizePersonName_(kid.fullName)}`;
+    if (!families.has(key)) {
+      families.set(key, {
+        household: household ? household.label : `${splitFullName_(kid.fullName).lastName} (no household)`,
+        guardians: household ? household.members.filter(member => !isKid(member)).map(member => member.fullName) : [],
+        children: []
+      });
+    }
+    families.get(key).children.push(kid);
+  });
+  return Array.from(families.values());
+}
+
+/**
+ * @param {string} formattedDate MM/dd/yyyy
+ * @returns {Array<{row: number, personId: string, fullName: string, household: string, guardians: string, code: string}>}
+ *     Log rows of that date without a check-out time.
+ */
+function findOpenKidsCheckIns_(formattedDate) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(KIDS_LOG_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  const timeZone = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone();
+  const open = [];
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, KIDS_LOG_HEADERS.length).getValues().forEach((row, index) => {
+    const date = getDateValue_(row[0]);
+    if (!date || Utilities.formatDate(date, timeZone, "MM/dd/yyyy") !== formattedDate || row[8] !== "") return;
+    open.push({
+      row: index + 2, personId: String(row[2] || "").trim(), fullName: String(row[3] || "").trim(),
+      household: String(row[4] || ""), guardians: String(row[5] || ""), code: String(row[6] || "").trim().toUpperCase()
+    });
+  });
+  return open;
+}
+
+/**
+ * @param {Array<string>} codesInUse Codes of children still checked in today.
+ * @returns {string}
+ */
+function generateKidsPickupCode_(codesInUse) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    let code = "";
+    for (let i = 0; i < KIDS_PICKUP_CODE_LENGTH; i++) {
+      code += KIDS_PICKUP_CODE_CHARS.charAt(Math.floor(Math.random() * KIDS_PICKUP_CODE_CHARS.length));
+    }
+    if (!codesInUse.includes(code)) return code;
+  }
+  throw new Error("Could not find a free pickup code. Please try again.");
+}
+
+function getOrCreateKidsLogSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(KIDS_LOG_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(KIDS_LOG_SHEET_NAME);
+    sheet.getRange(1, 1, 1, KIDS_LOG_HEADERS.length).setValues([KIDS_LOG_HEADERS])
+      .setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
+    sheet.getRange("A:A").setNumberFormat("@"); // MM/dd/yyyy, like Service Attendance
+    sheet.getRange("H:I").setNumberFormat("MM/dd/yyyy HH:mm:ss");
+    sheet.setColumnWidth(4, 180); sheet.setColumnWidth(5, 200); sheet.setColumnWidth(6, 260);
+    sheet.setFrozenRows(1);
+    Logger.log(`✅ "${KIDS_LOG_SHEET_NAME}" sheet created.`);
+  }
+  return sheet;
+}
+
+function getTodayKidsDate_() {
+  return Utilities.formatDate(new Date(), SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone(), "MM/dd/yyyy");
+}
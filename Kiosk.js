@@ -0,0 +1,271 @@
+/**
+ * Self Check-In Kiosk
+ * A web app (doGet) for a lobby tablet: attendees search the Directory by name and tap
+ * their name to be recorded in "Service Attendance" for today, in the same row format
+ * as submitSundayRegistrationAttendance (plus "Kiosk check-in" in Notes).
+ *
+ *   - One check-in per person per date: a second tap shows "already checked in".
+ *   - Admin mode (PIN from script property KIOSK_ADMIN_PIN, set via ⚙️ Config) lists
+ *     today's kiosk check-ins and can remove one tapped by mistake. After
+ *     KIOSK_MAX_PIN_ATTEMPTS wrong PINs, admin mode is locked for KIOSK_LOCKOUT_SECONDS.
+ *   - The kiosk never shows emails, phone numbers or person IDs. Search results carry the
+ *     name and its position among Directory people sharing that name.
+ *   - Search lists member names, so every kiosk call needs the kiosk station token (script
+ *     property KIOSK_STATION_TOKEN) that is part of the kiosk link. Editors get the link from
+ *     ⚙️ Config → Show Kiosk Link… and can replace it with Reset Kiosk Link… if it leaks.
+ *     Without the link, a signed-in Google user only gets the "link is not valid" page.
+ *
+ * Deploy with Deploy → New deployment → Web app; the page is Kiosk.html. The web app runs as
+ * the deployer and is open to anyone signed in to Google (appsscript.json "access": "ANYONE");
+ * see Access.js for why everything else in the project is private or editor-only.
+ */
+
+const KIOSK_ADMIN_PIN_PROPERTY = "KIOSK_ADMIN_PIN";
+const KIOSK_STATION_TOKEN_PROPERTY = "KIOSK_STATION_TOKEN";
+const KIOSK_NOTE = "Kiosk check-in";
+const KIOSK_MAX_RESULTS = 8;
+const KIOSK_MIN_QUERY_LENGTH = 3;
+const KIOSK_MAX_PIN_ATTEMPTS = 5;
+const KIOSK_LOCKOUT_SECONDS = 300;
+
+/**
+ * Web app entry point. ?page=scan serves the QR scan station (QRCheckIn.js) instead.
+ */
+function doGet(e) {
+  const params = (e && e.parameter) || {};
+  if (params.page === "scan") return showQrScanPage_(params.target, params.token);
+  if (!isStationToken_(KIOSK_STATION_TOKEN_PROPERTY, params.token)) {
+    return HtmlService.createHtmlOutput("<p>This kiosk link is not valid. An editor can get the current link from ⚙️ Config → Show Kiosk Link… in the spreadsheet.</p>")
+      .setTitle("Self Check-In");
+  }
+
+  const template = HtmlService.createTemplateFromFile("Kiosk");
+  template.token = params.token;
+  template.churchName = SpreadsheetApp.getActiveSpreadsheet().getName();
+  return template.evaluate()
+    .setTitle("Self Check-In")
+    .addMetaTag("viewport", "width=device-width, initial-scale=1, maximum-scale=1");
+}
+
+/**
+ * Called by the kiosk: Directory members whose name contains every typed word.
+ * @param {string} query At least KIOSK_MIN_QUERY_LENGTH characters.
+ * @param {string} token The kiosk station token from the page's link.
+ * @returns {Array<{key: number, fullName: string}>} key tells apart Directory people with the same name.
+ */
+function kioskSearch(query, token) {
+  verifyKioskStationToken_(token);
+  const terms = String(query || "").trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.join("").length < KIOSK_MIN_QUERY_LENGTH) return [];
+
+  const seen = new Map();
+  return (getDirectoryPeople_() || [])
+    .map(person => {
+      const name = normalizePersonName_(person.fullName);
+      const key = seen.get(name) || 0;
+      seen.set(name, key + 1);
+      return { key: key, fullName: person.fullName };
+    })
+    .filter(person => {
+      const words = person.fullName.toLowerCase().split(/\s+/);
+      return terms.every(term => words.some(word => word.startsWith(term)));
+    })
+    .slice(0, KIOSK_MAX_RESULTS);
+}
+
+/**
+ * Called by the kiosk: records today's check-in for a Directory member.
+ * @param {string} fullName The Directory name shown in the search result.
+ * @param {number} key The search result's key (see kioskSearch).
+ * @param {string} token The kiosk station token from the page's link.
+ * @returns {{status: string, firstName: string, message: string}} status is "checkedIn" or "already".
+ */
+function kioskCheckIn(fullName, key, token) {
+  verifyKioskStationToken_(token);
+  const directoryPerson = (getDirectoryPeople_() || [])
+    .filter(person => normalizePersonName_(person.fullName) === normalizePersonName_(fullName))[Number(key) || 0];
+  if (!directoryPerson) {
+    throw new Error("We couldn't find that name. Please ask a greeter for help.");
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const serviceSheet = ss.getSheetByName("Service Attendance");
+  if (!serviceSheet) throw new Error("'Service Attendance' sheet not found. Please ask a greeter for help.");
+  const formattedServiceDate = Utilities.formatDate(new Date(), ss.getSpreadsheetTimeZone(), "MM/dd/yyyy");
+  const service = findServiceForTime_(new Date());
+
+  const person = resolvePersonIdAndDetails_(directoryPerson.fullName, directoryPerson.email, getPersonRegistry_());
+  const firstName = person.firstName || splitFullName_(directoryPerson.fullName).firstName;
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(PERSON_ID_LOCK_TIMEOUT_MS)) {
+    throw new Error("The kiosk is busy. Please tap your name again.");
+  }
+  try {
+    const alreadyCheckedIn = findServiceAttendanceRowsForDate_(serviceSheet, formattedServiceDate).some(entry => entry.service === service && (
+      (person.id && entry.personId === String(person.id)) || normalizePersonName_(entry.fullName) === normalizePersonName_(directoryPerson.fullName)
+    ));
+    if (alreadyCheckedIn) {
+      return { status: "already", firstName: firstName, message: `${firstName}, you're already checked in for ${service}. Welcome!` };
+    }
+    appendServiceAttendanceRows_(serviceSheet, [
+      buildServiceAttendanceRow_(person.id, person.firstName, person.lastName, formattedServiceDate, person.email, KIOSK_NOTE, service)
+    ]);
+    SpreadsheetApp.flush();
+  } finally {
+    lock.releaseLock();
+  }
+
+  Logger.log(`✅ (Kiosk) ${directoryPerson.fullName} (ID: ${person.id}) checked in for ${service} on ${formattedServiceDate}.`);
+  return { status: "checkedIn", firstName: firstName, message: `Welcome, ${firstName}! You're checked in.` };
+}
+
+/**
+ * Called by the kiosk in admin mode: today's kiosk check-ins.
+ * @param {string} pin
+ * @param {string} token The kiosk station token from the page's link.
+ * @returns {{date: string, entries: Array<{row: number, personId: string, fullName: string, service: string, time: string}>}}
+ */
+function kioskAdminSummary(pin, token) {
+  verifyKioskStationToken_(token);
+  verifyKioskPin_(pin);
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const timeZone = ss.getSpreadsheetTimeZone();
+  const formattedServiceDate = Utilities.formatDate(new Date(), timeZone, "MM/dd/yyyy");
+  const serviceSheet = ss.getSheetByName("Service Attendance");
+  const entries = serviceSheet
+    ? findServiceAttendanceRowsForDate_(serviceSheet, formattedServiceDate)
+      .filter(entry => entry.notes === KIOSK_NOTE)
+      .map(entry => ({
+        row: entry.row,
+        personId: entry.personId,
+        fullName: entry.fullName,
+        service: entry.service,
+        time: entry.timestamp instanceof Date ? Utilities.formatDate(entry.timestamp, timeZone, "HH:mm") : ""
+      }))
+    : [];
+  return { date: formattedServiceDate, entries: entries };
+}
+
+/**
+ * Called by the kiosk in admin mode: deletes one of today's kiosk check-ins.
+ * The row must still hold the same person and the kiosk note.
+ * @returns {Object} The refreshed summary (see kioskAdminSummary).
+ */
+function kioskAdminUndo(pin, row, personId, fullName, token) {
+  verifyKioskStationToken_(token);
+  verifyKioskPin_(pin);
+  const serviceSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Service Attendance");
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(PERSON_ID_LOCK_TIMEOUT_MS)) throw new Error("The kiosk is busy. Please try again.");
+  try {
+    const values = serviceSheet.getRange(row, 1, 1, 9).getValues()[0];
+    if (String(values[0]).trim() !== String(personId) || String(values[1]).trim() !== fullName || values[7] !== KIOSK_NOTE) {
+      throw new Error("That check-in has moved or changed. Reload the list and try again.");
+    }
+    serviceSheet.deleteRow(row);
+  } finally {
+    lock.releaseLock();
+  }
+  Logger.log(`✅ (Kiosk) Admin removed the check-in of ${fullName} (ID: ${personId}).`);
+  return kioskAdminSummary(pin, token);
+}
+
+/**
+ * Throws unless the token matches the current kiosk link.
+ */
+function verifyKioskStationToken_(token) {
+  if (!isStationToken_(KIOSK_STATION_TOKEN_PROPERTY, token)) {
+    throw new Error("This kiosk link is no longer valid. Please ask a greeter for help.");
+  }
+}
+
+/**
+ * Throws unless the PIN matches. Wrong PINs are counted; too many lock admin mode for a while.
+ */
+function verifyKioskPin_(pin) {
+  const expected = PropertiesService.getScriptProperties().getProperty(KIOSK_ADMIN_PIN_PROPERTY);
+  if (!expected) throw new Error("No admin PIN is set. Use ⚙️ Config → Set Kiosk Admin PIN… in the spreadsheet.");
+
+  const cache = CacheService.getScriptCache();
+  const attempts = parseInt(cache.get("KIOSK_PIN_ATTEMPTS") || "0", 10);
+  if (attempts >= KIOSK_MAX_PIN_ATTEMPTS) {
+    throw new Error("Too many wrong PINs. Admin mode is locked for a few minutes.");
+  }
+  if (String(pin || "") !== expected) {
+    cache.put("KIOSK_PIN_ATTEMPTS", String(attempts + 1), KIOSK_LOCKOUT_SECONDS);
+    throw new Error("Wrong PIN.");
+  }
+  cache.remove("KIOSK_PIN_ATTEMPTS");
+}
+
+/**
+ * Menu command: sets the PIN that opens the kiosk's admin mode.
+ */
+function setKioskAdminPin() {
+  requireSpreadsheetEditor_();
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt('Kiosk Admin PIN', 'Enter a PIN of 4 to 8 digits for the kiosk\'s admin mode:', ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  const pin = response.getResponseText().trim();
+  if (!/^\d{4,8}$/.test(pin)) {
+    ui.alert('Invalid PIN', 'The PIN must be 4 to 8 digits.', ui.ButtonSet.OK);
+    return;
+  }
+  PropertiesService.getScriptProperties().setProperty(KIOSK_ADMIN_PIN_PROPERTY, pin);
+  Logger.log("✅ Kiosk admin PIN updated.");
+  ui.alert('✅ Kiosk admin PIN saved.');
+}
+
+/**
+ * Menu command: shows the kiosk link (with the kiosk station token) to open on the lobby tablet.
+ */
+function showKioskLink() {
+  requireSpreadsheetEditor_();
+  const ui = SpreadsheetApp.getUi();
+  const kioskUrl = ScriptApp.getService().getUrl();
+  if (!kioskUrl) {
+    ui.alert('Kiosk Link', 'Deploy the script as a web app to get the kiosk address.', ui.ButtonSet.OK);
+    return;
+  }
+  const link = `${kioskUrl}?token=${encodeURIComponent(getStationToken_(KIOSK_STATION_TOKEN_PROPERTY))}`;
+  ui.alert('Kiosk Link', `Open this link on the kiosk tablet. Keep it private: anyone with it can search member names.\n\n${link}`, ui.ButtonSet.OK);
+}
+
+/**
+ * Menu command: replaces the kiosk station token. Kiosks using the old link stop working.
+ */
+function resetKioskLink() {
+  requireSpreadsheetEditor_();
+  const ui = SpreadsheetApp.getUi();
+  const confirm = ui.alert(
+    'Reset Kiosk Link?',
+    'Kiosks opened with the current link will stop working until they open the new link.',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (confirm !== ui.Button.OK) return;
+
+  resetStationToken_(KIOSK_STATION_TOKEN_PROPERTY);
+  Logger.log("✅ (Kiosk) Station token reset.");
+  showKioskLink();
+}
+
+/**
+ * Service Attendance rows for one date (all services).
+ * @param {string} formattedServiceDate MM/dd/yyyy
+ * @returns {Array<{row: number, personId: string, fullName: string, notes: string, timestamp: any, service: string}>}
+ */
+function findServiceAttendanceRowsForDate_(serviceSheet, formattedServiceDate) {
+  const lastRow = serviceSheet.getLastRow();
+  if (lastRow < 2) return [];
+  const timeZone = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone();
+  const rows = [];
+  const width = Math.min(SERVICE_ATTENDANCE_ROLE_COL, serviceSheet.getMaxColumns());
+  serviceSheet.getRange(2, 1, lastRow - 1, width).getValues().forEach((row, index) => {
+    const date = getDateValue_(row[4]);
+    if (!date || Utilities.formatDate(date, timeZone, "MM/dd/yyyy") !== formattedServiceDate) return;
+    rows.push({ row: index + 2, personId: String(row[0] || "").trim(), fullName: String(row[1] || "").trim(), notes: String(row[7] || ""), timestamp: row[8],
+      service: serviceNameOrDefault_(row[SERVICE_ATTENDANCE_SERVICE_COL - 1]), role: String(row[SERVICE_ATTENDANCE_ROLE_COL - 1] || "").trim() });
+  });
+  return rows;
+}
@@ -19,6 +19,15 @@ function onOpen(e) {
     SpreadsheetApp.getUi()
       .createMenu('⚙️ Config')
       .addItem('Set Directory Spreadsheet URL…', 'showDirectoryDialog')
+      .addItem('Set Directory Columns…', 'configureDirectorySchema')
+      .addItem('Test Directory Connection', 'testDirectoryConnection')
+      .addItem('Turn Directory ID Write-Back On/Off…', 'toggleDirectoryIdWriteBack')
+      .addItem('Set Kiosk Admin PIN…', 'setKioskAdminPin')
+      .addItem('Show Kiosk Link…', 'showKioskLink')
+      .addItem('Reset Kiosk Link…', 'resetKioskLink')
+      .addItem('Turn QR Code Images On/Off…', 'toggleQrCodeImages')
+      .addItem('Reset QR Scan Station Link…', 'resetQrStationToken')
+      .addItem('Set Kids Check-In Team…', 'setKidsCheckInStaff')
       .addToUi();
     Logger.log("✅ Config menu added by onOpen.");
 
@@ -37,24 +46,31 @@ function onOpen(e) {
   // --- Other Menu Initializations ---
   // These are kept separate as they might have more complex logic.
   try {
-    addSundayRegistrationMenu();
-    Logger.log("Call to addSundayRegistrationMenu completed from onOpen.");
+    addSundayRegistrationMenu_();
+    Logger.log("Call to addSundayRegistrationMenu_ completed from onOpen.");
   } catch (error) {
-    Logger.log("Error during addSundayRegistrationMenu in onOpen: " + error.message);
+    Logger.log("Error during addSundayRegistrationMenu_ in onOpen: " + error.message);
   }
 
   try {
-    addEventRegistrationMenu();
-    Logger.log("Call to addEventRegistrationMenu completed from onOpen.");
+    addEventRegistrationMenu_();
+    Logger.log("Call to addEventRegistrationMenu_ completed from onOpen.");
   } catch (error) {
-    Logger.log("Error during addEventRegistrationMenu in onOpen: " + error.message);
+    Logger.log("Error during addEventRegistrationMenu_ in onOpen: " + error.message);
+  }
+
+  try {
+    addPeopleMenu_();
+    Logger.log("Call to addPeopleMenu_ completed from onOpen.");
+  } catch (error) {
+    Logger.log("Error during addPeopleMenu_ in onOpen: " + error.message);
   }
 
   // --- On-Open Data Updates ---
   try {
     const activeSheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
     if (activeSheet && activeSheet.getName() === "Event Registration") {
-      updateEventAttendanceCounts(activeSheet);
+      updateEventAttendanceCounts_(activeSheet);
       Logger.log("Event attendance counters updated on open for Event Registration sheet.");
     }
   } catch (error) {
@@ -67,6 +83,7 @@ function onOpen(e) {
  * This is the function executed when the menu item is clicked.
  */
 function openManualInNewTab() {
+  requireSpreadsheetEditor_();
   const html = `<script>window.open('${userManualUrl}', '_blank'); google.script.host.close();</script>`;
   const htmlOutput = HtmlService.createHtmlOutput(html).setWidth(100).setHeight(1);
   SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Opening...');
@@ -78,6 +95,7 @@ function openManualInNewTab() {
  * extracts the ID, and saves it as a script property.
  */
 function showDirectoryDialog() {
+  requireSpreadsheetEditor_();
   const ui = SpreadsheetApp.getUi();
   const resp = ui.prompt(
     'Configure Directory Spreadsheet',
@@ -87,7 +105,7 @@ function showDirectoryDialog() {
 
   if (resp.getSelectedButton() !== ui.Button.OK) return;
   const input = resp.getResponseText().trim();
-  const id = extractSpreadsheetId(input);
+  const id = extractSpreadsheetId_(input);
 
   if (!id) {
     ui.alert('❌ Invalid URL or ID. Please try again.');
@@ -106,7 +124,7 @@ function showDirectoryDialog() {
  * • a /d/URL segment, or
  * • a bare ID string
  */
-function extractSpreadsheetId(input) {
+function extractSpreadsheetId_(input) {
   const urlMatch = input.match(/\/d\/([a-zA-Z0-9-_]+)/);
   if (urlMatch && urlMatch[1]) {
     return urlMatch[1];
@@ -121,15 +139,16 @@ function extractSpreadsheetId(input) {
 /**
  * Fetches raw data from the required Google Sheets.
  * Reads "Service Attendance", "Event Attendance", and "Attendance Stats"
- * from the active spreadsheet, and "Directory" from an external spreadsheet.
+ * from the active spreadsheet. The external Directory is read through the
+ * shared snapshot instead (getDirectoryPeople_ in DirectoryCache.js).
  * Uses getDataRange() to fetch all data with content.
  * Includes error handling and logging for debugging.
  *
  * @returns {object} An object containing the data arrays:
- * { sData, eData, dData, statsData },
+ * { sData, eData, statsData },
  * or undefined on failure.
  */
-function getDataFromSheets() {
+function getDataFromSheets_() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const props = PropertiesService.getScriptProperties();
 
@@ -166,35 +185,10 @@ function getDataFromSheets() {
     return;
   }
 
-  // --- Load Directory from external spreadsheet by ID ---
-  let directorySS;
-  try {
-    directorySS = SpreadsheetApp.openById(directoryId);
-    Logger.log("✅ External spreadsheet opened via ID.");
-  } catch (err) {
-    Logger.log("❌ Could not open external spreadsheet ID=" + directoryId + " : " + err.message);
-    return;
-  }
-
-  const directorySheet = directorySS.getSheetByName("Directory");
-  if (!directorySheet) {
-    Logger.log("❌ 'Directory' sheet not found in external spreadsheet.");
-    return;
-  }
-
-  let dData;
-  try {
-    dData = directorySheet.getDataRange().getValues();
-    Logger.log("✅ Directory sheet loaded.");
-  } catch (err) {
-    Logger.log("❌ Error reading Directory sheet: " + err.message);
-    return;
-  }
-
   Logger.log("✅ All required sheets loaded successfully.");
-  return { sData, eData, dData, statsData };
+  return { sData, eData, statsData };
 }
 
-// NOTE: You will need to have the functions 'addSundayRegistrationMenu', 
-// 'addEventRegistrationMenu', and 'updateEventAttendanceCounts' defined elsewhere 
+// NOTE: You will need to have the functions 'addSundayRegistrationMenu_', 
+// 'addEventRegistrationMenu_', and 'updateEventAttendanceCounts_' defined elsewhere 
 // in your project for the script to run without errors.
@@ -0,0 +1,339 @@
+/**
+ * Merge People
+ * Folds one person ID into another once a duplicate has been confirmed.
+ * Every ID cell that holds the merged ID (the sheets of PERSON_ID_LOCATIONS, including Kids,
+ * Kids Check-ins and Aliases) is rewritten to the surviving ID, then Attendance Stats and
+ * Service Stats are recomputed.
+ *
+ * Each merge is written to the "Merge Log" sheet, and the exact cells it changes to the
+ * "Merge Log Cells" sheet (one row per cell, under the merge's key in Merge Log column F), so
+ * "Undo Last Merge" can put them back. Both are written before any ID is rewritten: a merge
+ * that fails halfway can still be undone. While a merge is active the Person Registry
+ * redirects the merged ID to the surviving one, which covers places this script cannot
+ * rewrite (the external Directory).
+ */
+
+const MERGE_LOG_SHEET_NAME = "Merge Log";
+const MERGE_LOG_HEADERS = ["Merged On", "Surviving ID", "Surviving Name", "Merged ID", "Merged Name", "Cells Changed", "Status"];
+const MERGE_STATUS_MERGED = "Merged";
+const MERGE_STATUS_UNDONE = "Undone";
+const MERGE_CELLS_SHEET_NAME = "Merge Log Cells";
+const MERGE_CELLS_HEADERS = ["Merge", "Sheet", "Row", "Name"];
+
+// Sheets of PERSON_ID_LOCATIONS that keep the merged ID: derived sheets (Attendance Stats,
+// Service Stats, QR Codes) are recomputed instead, and logs and duplicate pairs record history.
+const MERGE_SKIPPED_SHEETS = ["Attendance Stats", "Service Stats", "QR Codes", "Directory ID Log", "Merge Log", "Duplicate Decisions", "Possible Duplicates"];
+// 1-based name columns per sheet; they identify the row's person on undo.
+const MERGE_NAME_COLS = {
+  "Service Attendance": [2],
+  "Event Attendance": [2],
+  "Sunday Service": [2],
+  "Sunday Registration": [2, 3],
+  "Event Registration": [2, 3],
+  "Households": [2],
+  "Kids": [2],
+  "Kids Check-ins": [4],
+  "Aliases": [2]
+};
+
+/**
+ * Menu command: asks for the surviving ID and the ID to merge into it, then merges.
+ */
+function mergePeople() {
+  requireSpreadsheetEditor_();
+  const ui = SpreadsheetApp.getUi();
+
+  const keepResponse = ui.prompt('Merge People (1/2)', 'Enter the Person ID to KEEP:', ui.ButtonSet.OK_CANCEL);
+  if (keepResponse.getSelectedButton() !== ui.Button.OK) return;
+  const survivingId = keepResponse.getResponseText().trim();
+
+  const mergeResponse = ui.prompt('Merge People (2/2)', `Enter the Person ID to merge into ${survivingId}.\nThis ID will disappear from every sheet:`, ui.ButtonSet.OK_CANCEL);
+  if (mergeResponse.getSelectedButton() !== ui.Button.OK) return;
+  const mergedId = mergeResponse.getResponseText().trim();
+
+  if (extractNumericBel_(survivingId) === null || extractNumericBel_(mergedId) === null) {
+    ui.alert('Invalid ID', 'Both Person IDs must be valid IDs (numeric, or in the check-digit format if one is set up).', ui.ButtonSet.OK);
+    return;
+  }
+  if (survivingId === mergedId) {
+    ui.alert('Nothing to Merge', 'The two IDs are the same.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const records = getPersonRegistry_().records;
+  const survivingName = findPersonNameById_(records, survivingId);
+  const mergedName = findPersonNameById_(records, mergedId);
+  const confirm = ui.alert(
+    'Confirm Merge',
+    `Keep:  ${survivingId}  ${survivingName || "(name not found)"}\n` +
+    `Merge: ${mergedId}  ${mergedName || "(name not found)"}\n\n` +
+    `Every row with ID ${mergedId} will be changed to ${survivingId} and the stats will be recalculated. Continue?`,
+    ui.ButtonSet.YES_NO
+  );
+  if (confirm !== ui.Button.YES) return;
+
+  const changedCount = mergePersonIds_(survivingId, mergedId, survivingName, mergedName);
+  ui.alert(
+    'Merge Complete',
+    `${changedCount} row(s) changed from ${mergedId} to ${survivingId}. Attendance Stats and Service Stats have been recalculated.\n\n` +
+    'The Directory is not edited; its rows for the merged ID now resolve to the surviving ID. ' +
+    'Use "↩️ Undo Last Merge" from the 👥 People menu to reverse this.',
+    ui.ButtonSet.OK
+  );
+}
+
+/**
+ * Rewrites every reference to mergedId, logs the merge and recomputes the stats sheets.
+ * @param {string} survivingId The ID that remains.
+ * @param {string} mergedId The ID that is folded into survivingId.
+ * @param {string=} survivingName For the log only.
+ * @param {string=} mergedName For the log only.
+ * @returns {number} The number of cells changed.
+ */
+function mergePersonIds_(survivingId, mergedId, survivingName = "", mergedName = "") {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(PERSON_ID_LOCK_TIMEOUT_MS)) {
+    throw new Error("Could not start the merge: another run is still changing person IDs. Please try again.");
+  }
+
+  const changedCells = [];
+  try {
+    const pendingWrites = [];
+    getMergePeopleSheets_().forEach(config => {
+      const sheet = ss.getSheetByName(config.sheetName);
+      if (!sheet || sheet.getLastRow() < config.firstDataRow) return;
+
+      const numRows = sheet.getLastRow() - config.firstDataRow + 1;
+      const idRange = sheet.getRange(config.firstDataRow, config.idCol, numRows, 1);
+      const ids = idRange.getValues();
+      const rowValues = sheet.getRange(config.firstDataRow, 1, numRows, config.width).getValues();
+      let sheetChanged = false;
+
+      ids.forEach((idRow, index) => {
+        if (String(idRow[0]).trim() !== mergedId) return;
+        idRow[0] = survivingId;
+        sheetChanged = true;
+        changedCells.push({
+          sheet: config.sheetName,
+          row: config.firstDataRow + index,
+          name: mergeRowName_(rowValues[index], config.nameCols)
+        });
+      });
+
+      if (sheetChanged) pendingWrites.push({ range: idRange, values: ids });
+    });
+
+    // Logged first, so a failure while rewriting leaves an undoable merge rather than a half-merged person.
+    const mergeKey = `MERGE-${new Date().getTime()}`;
+    writeMergeCells_(mergeKey, changedCells);
+    getOrCreateMergeLogSheet_().appendRow([
+      new Date(), survivingId, survivingName, mergedId, mergedName, mergeKey, MERGE_STATUS_MERGED
+    ]);
+    SpreadsheetApp.flush();
+
+    pendingWrites.forEach(write => write.range.setValues(write.values));
+    SpreadsheetApp.flush();
+  } finally {
+    lock.releaseLock();
+  }
+
+  Logger.log(`✅ (Merge) ${mergedId} merged into ${survivingId}. ${changedCells.length} cells changed.`);
+  refreshStatsAfterMerge_();
+  return changedCells.length;
+}
+
+/**
+ * Menu command: reverses the most recent merge that has not been undone yet.
+ * A cell is only restored if it still holds the surviving ID and the same person's name.
+ */
+function undoLastMerge() {
+  requireSpreadsheetEditor_();
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const logSheet = ss.getSheetByName(MERGE_LOG_SHEET_NAME);
+  const logValues = logSheet && logSheet.getLastRow() > 1
+    ? logSheet.getRange(2, 1, logSheet.getLastRow() - 1, MERGE_LOG_HEADERS.length).getValues()
+    : [];
+
+  let logIndex = -1;
+  for (let i = logValues.length - 1; i >= 0; i--) {
+    if (logValues[i][6] === MERGE_STATUS_MERGED) { logIndex = i; break; }
+  }
+  if (logIndex === -1) {
+    ui.alert('Nothing to Undo', 'There is no active merge in the Merge Log.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const entry = logValues[logIndex];
+  const survivingId = String(entry[1]).trim();
+  const mergedId = String(entry[3]).trim();
+  const confirm = ui.alert(
+    'Undo Merge',
+    `Split ${mergedId} (${entry[4] || "unknown"}) back out of ${survivingId} (${entry[2] || "unknown"})?`,
+    ui.ButtonSet.YES_NO
+  );
+  if (confirm !== ui.Button.YES) return;
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(PERSON_ID_LOCK_TIMEOUT_MS)) {
+    throw new Error("Could not undo the merge: another run is still changing person IDs. Please try again.");
+  }
+
+  let restored = 0;
+  const skipped = [];
+  try {
+    const changedCells = loadMergeCells_(entry[5]);
+    changedCells.forEach(cell => {
+      const config = getMergePeopleSheets_().find(c => c.sheetName === cell.sheet);
+      const sheet = ss.getSheetByName(cell.sheet);
+      if (!config || !sheet || cell.row > sheet.getLastRow()) {
+        skipped.push(`${cell.sheet} row ${cell.row}`);
+        return;
+      }
+      const rowValues = sheet.getRange(cell.row, 1, 1, config.width).getValues()[0];
+      if (String(rowValues[config.idCol - 1]).trim() !== survivingId || mergeRowName_(rowValues, config.nameCols) !== cell.name) {
+        skipped.push(`${cell.sheet} row ${cell.row}`);
+        return;
+      }
+      sheet.getRange(cell.row, config.idCol).setValue(mergedId);
+      restored++;
+    });
+    logSheet.getRange(logIndex + 2, 7).setValue(MERGE_STATUS_UNDONE);
+    SpreadsheetApp.flush();
+  } finally {
+    lock.releaseLock();
+  }
+
+  Logger.log(`✅ (Merge) Undid merge of ${mergedId} into ${survivingId}. Restored ${restored} cells, skipped ${skipped.length}.`);
+  refreshStatsAfterMerge_();
+
+  let message = `${restored} row(s) changed back to ${mergedId}. Attendance Stats and Service Stats have been recalculated.`;
+  if (skipped.length > 0) {
+    message += `\n\n${skipped.length} row(s) had moved or changed since the merge and were left as ${survivingId}:\n${skipped.slice(0, 20).join("\n")}`;
+  }
+  ui.alert('Merge Undone', message, ui.ButtonSet.OK);
+}
+
+/**
+ * Reads the active merges so the registry can send merged IDs to their surviving ID.
+ * Chains (A merged into B, B merged into C) are followed to the end.
+ * @returns {Map<string, string>} Merged ID -> surviving ID.
+ */
+function loadMergedIdRedirects_() {
+  const redirects = new Map();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(MERGE_LOG_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return redirects;
+
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, MERGE_LOG_HEADERS.length).getValues().forEach(row => {
+    if (row[6] === MERGE_STATUS_MERGED) redirects.set(String(row[3]).trim(), String(row[1]).trim());
+  });
+
+  redirects.forEach((target, mergedId) => {
+    const seen = new Set([mergedId]);
+    while (redirects.has(target) && !seen.has(target)) {
+      seen.add(target);
+      target = redirects.get(target);
+    }
+    redirects.set(mergedId, target);
+  });
+  return redirects;
+}
+
+function refreshStatsAfterMerge_() {
+  try {
+    updateAttendanceStatsSheet_();
+  } catch (error) {
+    Logger.log(`❌ (Merge) Attendance Stats refresh failed: ${error.message}`);
+  }
+  try {
+    populateServiceStatsSheet_();
+  } catch (error) {
+    Logger.log(`❌ (Merge) Service Stats refresh failed: ${error.message}`);
+  }
+}
+
+/**
+ * The sheets whose ID cells a merge rewrites: PERSON_ID_LOCATIONS minus MERGE_SKIPPED_SHEETS.
+ * Built on demand because PERSON_ID_LOCATIONS lives in another file.
+ * @returns {Array<{sheetName: string, firstDataRow: number, idCol: number, nameCols: Array<number>, width: number}>}
+ */
+function getMergePeopleSheets_() {
+  return PERSON_ID_LOCATIONS
+    .filter(location => !MERGE_SKIPPED_SHEETS.includes(location.sheetName))
+    .map(location => {
+      const nameCols = MERGE_NAME_COLS[location.sheetName] || [];
+      return {
+        sheetName: location.sheetName,
+        firstDataRow: location.firstDataRow,
+        idCol: location.cols[0],
+        nameCols: nameCols,
+        width: Math.max(location.cols[0], ...nameCols)
+      };
+    });
+}
+
+function findPersonNameById_(records, id) {
+  const record = records.find(r => r.id === id);
+  return record ? record.fullName : "";
+}
+
+function mergeRowName_(rowValues, nameCols) {
+  return normalizePersonName_(nameCols.map(col => rowValues[col - 1]).join(" "));
+}
+
+/**
+ * Appends one "Merge Log Cells" row per changed cell.
+ * @param {string} mergeKey The key stored in the merge's Merge Log row.
+ * @param {Array<{sheet: string, row: number, name: string}>} changedCells
+ */
+function writeMergeCells_(mergeKey, changedCells) {
+  if (changedCells.length === 0) return;
+  const sheet = getOrCreateMergeCellsSheet_();
+  sheet.getRange(sheet.getLastRow() + 1, 1, changedCells.length, MERGE_CELLS_HEADERS.length)
+    .setValues(changedCells.map(cell => [mergeKey, cell.sheet, cell.row, cell.name]));
+}
+
+/**
+ * The cells a merge changed. Merges logged before "Merge Log Cells" existed keep them as JSON
+ * in Merge Log column F.
+ * @param {string} cellsChanged Merge Log column F: a merge key, or the JSON list.
+ * @returns {Array<{sheet: string, row: number, name: string}>}
+ */
+function loadMergeCells_(cellsChanged) {
+  const value = String(cellsChanged || "").trim();
+  if (!value) return [];
+  if (value.startsWith("[")) return JSON.parse(value);
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(MERGE_CELLS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, MERGE_CELLS_HEADERS.length).getValues()
+    .filter(row => String(row[0]).trim() === value)
+    .map(row => ({ sheet: String(row[1]), row: Number(row[2]), name: String(row[3]) }));
+}
+
+function getOrCreateMergeCellsSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(MERGE_CELLS_SHEET_NAME);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(MERGE_CELLS_SHEET_NAME);
+  sheet.getRange(1, 1, 1, MERGE_CELLS_HEADERS.length).setValues([MERGE_CELLS_HEADERS])
+    .setFontWeight("bold").setBackground("#e3f2fd").setFontColor("#202124");
+  sheet.setFrozenRows(1);
+  Logger.log(`✅ "${MERGE_CELLS_SHEET_NAME}" sheet created.`);
+  return sheet;
+}
+
+function getOrCreateMergeLogSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(MERGE_LOG_SHEET_NAME);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(MERGE_LOG_SHEET_NAME);
+  sheet.getRange(1, 1, 1, MERGE_LOG_HEADERS.length).setValues([MERGE_LOG_HEADERS])
+    .setFontWeight("bold").setBackground("#e3f2fd").setFontColor("#202124");
+  sheet.setFrozenRows(1);
+  Logger.log(`✅ "${MERGE_LOG_SHEET_NAME}" sheet created.`);
+  return sheet;
+}
@@ -3,6 +3,7 @@
  * FINAL LOGIC: A person is "First-Time" if their name appears only ONCE in the sheet.
  */
 function processEventAttendanceForFollowUpByName() {
+  requireSpreadsheetEditor_();
   Logger.log('Processing Event Attendance for follow-up by Name...');
 
   // --- Configuration ---
@@ -111,8 +112,8 @@ function processEventAttendanceForFollowUpByName() {
   Logger.log('Event Attendance follow-up script finished.');
 }
 
-// Helper function (getDateValue - kept for completeness)
-function getDateValue(value) {
+// Helper function (getDateValue_ - kept for completeness)
+function getDateValue_(value) {
   if (value instanceof Date) {
     return value;
   }
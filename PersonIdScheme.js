@@ -0,0 +1,235 @@
+/**
+ * Person ID Scheme
+ * Optional ID format with a prefix and a check digit, so a mistyped digit is caught
+ * instead of silently attaching attendance to someone else.
+ *
+ *   No scheme (default) ... 1004          plain sequential numbers, as before
+ *   Prefix "P" + Luhn ..... P10041        number 1004, Luhn check digit 1
+ *   Prefix "P" + mod-11 ... P10049        number 1004, mod-11 check digit 9 (a check of 10 is written "X")
+ *
+ * The scheme lives in script properties (PERSON_ID_PREFIX, PERSON_ID_CHECK_DIGIT) and is
+ * switched on by "Convert IDs to Check-Digit Format", which rewrites every local ID first.
+ * While a scheme is active, extractNumericBel_ rejects plain numbers and IDs whose check
+ * digit does not match. The external Directory cannot be rewritten from here, so its plain
+ * numeric IDs are converted to the scheme as they are read (see loadPersonRegistryRecords_).
+ */
+
+const PERSON_ID_PREFIX_PROPERTY = "PERSON_ID_PREFIX";
+const PERSON_ID_CHECK_DIGIT_PROPERTY = "PERSON_ID_CHECK_DIGIT";
+const PERSON_ID_CHECK_DIGIT_TYPES = ["luhn", "mod11"];
+
+// Every local place a person ID is stored. cols are 1-based; pairKeyCols hold "ID:123 | ID:456" keys.
+const PERSON_ID_LOCATIONS = [
+  { sheetName: "Service Attendance", firstDataRow: 2, cols: [1] },
+  { sheetName: "Event Attendance", firstDataRow: 2, cols: [1] },
+  { sheetName: "Sunday Service", firstDataRow: 2, cols: [1] },
+  { sheetName: "Sunday Registration", firstDataRow: 6, cols: [1] },
+  { sheetName: "Event Registration", firstDataRow: 6, cols: [1] },
+  { sheetName: "Households", firstDataRow: 2, cols: [1] },
+  { sheetName: "Kids", firstDataRow: 2, cols: [1] },
+  { sheetName: "Kids Check-ins", firstDataRow: 2, cols: [3] },
+  { sheetName: "Aliases", firstDataRow: 2, cols: [1] },
+  { sheetName: "Directory ID Log", firstDataRow: 2, cols: [4] },
+  { sheetName: "QR Codes", firstDataRow: 3, cols: [1] },
+  { sheetName: "Attendance Stats", firstDataRow: 2, cols: [1] },
+  { sheetName: "Service Stats", firstDataRow: 3, cols: [1] },
+  { sheetName: "Merge Log", firstDataRow: 2, cols: [2, 4] },
+  { sheetName: "Duplicate Decisions", firstDataRow: 2, cols: [2, 4], pairKeyCols: [1] },
+  { sheetName: "Possible Duplicates", firstDataRow: 3, cols: [2, 4], pairKeyCols: [8] }
+];
+
+let personIdSchemeCache = null; // Read once per execution; IDs are parsed thousands of times per run
+
+/**
+ * @returns {{prefix: string, checkDigit: string}} checkDigit is "" when no scheme is active.
+ */
+function getPersonIdScheme_() {
+  if (!personIdSchemeCache) {
+    const props = PropertiesService.getScriptProperties();
+    const checkDigit = String(props.getProperty(PERSON_ID_CHECK_DIGIT_PROPERTY) || "").trim().toLowerCase();
+    personIdSchemeCache = {
+      prefix: String(props.getProperty(PERSON_ID_PREFIX_PROPERTY) || "").trim().toUpperCase(),
+      checkDigit: PERSON_ID_CHECK_DIGIT_TYPES.includes(checkDigit) ? checkDigit : ""
+    };
+  }
+  return personIdSchemeCache;
+}
+
+/**
+ * Turns a person number into the ID written to the sheets.
+ * @param {number} number
+ * @param {{prefix: string, checkDigit: string}=} scheme Defaults to the active scheme.
+ * @returns {string}
+ */
+function formatPersonId_(number, scheme = getPersonIdScheme_()) {
+  if (!scheme.checkDigit) return String(number);
+  return `${scheme.prefix}${number}${computePersonIdCheckDigit_(String(number), scheme.checkDigit)}`;
+}
+
+/**
+ * Parses an ID written in the given scheme.
+ * @param {any} value
+ * @param {{prefix: string, checkDigit: string}} scheme An active scheme.
+ * @returns {{number: number|null, error: string}} number is null when the ID is rejected.
+ */
+function parseSchemePersonId_(value, scheme) {
+  const text = String(value === null || value === undefined ? "" : value).trim().toUpperCase();
+  const parts = splitSchemePersonId_(text, scheme);
+  if (!parts) return { number: null, error: `does not look like ${scheme.prefix}<number><check digit>` };
+  if (computePersonIdCheckDigit_(parts.digits, scheme.checkDigit) !== parts.check) {
+    return { number: null, error: "check digit does not match (possible typo)" };
+  }
+  return { number: parseInt(parts.digits, 10), error: "" };
+}
+
+/**
+ * Splits "P10041" into its number and check digit without validating the check digit.
+ * @returns {{digits: string, check: string}|null}
+ */
+function splitSchemePersonId_(text, scheme) {
+  if (!text.startsWith(scheme.prefix)) return null;
+  const match = text.slice(scheme.prefix.length).match(/^(\d+)([\dX])$/);
+  return match ? { digits: match[1], check: match[2] } : null;
+}
+
+/**
+ * Converts a plain numeric ID (as still used by the external Directory) to the active scheme.
+ * Anything else is returned unchanged.
+ * @param {string} id
+ * @returns {string}
+ */
+function normalizeLegacyPersonId_(id) {
+  const scheme = getPersonIdScheme_();
+  const text = String(id || "").trim();
+  return scheme.checkDigit && /^\d+$/.test(text) ? formatPersonId_(parseInt(text, 10), scheme) : text;
+}
+
+/**
+ * @param {string} digits The person number as a digit string.
+ * @param {string} type "luhn" or "mod11".
+ * @returns {string} A single character: 0-9, or "X" for a mod-11 remainder of 10.
+ */
+function computePersonIdCheckDigit_(digits, type) {
+  const values = digits.split("").reverse().map(Number);
+  if (type === "luhn") {
+    // Double every digit that will sit in an even position once the check digit is appended.
+    const sum = values.reduce((total, digit, index) => {
+      if (index % 2 === 0) {
+        const doubled = digit * 2;
+        return total + (doubled > 9 ? doubled - 9 : doubled);
+      }
+      return total + digit;
+    }, 0);
+    return String((10 - (sum % 10)) % 10);
+  }
+  // mod-11 with weights 2,3,4,5,6,7 repeating from the right.
+  const sum = values.reduce((total, digit, index) => total + digit * (2 + (index % 6)), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? "X" : String(check);
+}
+
+/**
+ * Menu command: asks for a prefix and a check-digit type, rewrites every plain numeric
+ * person ID in this spreadsheet to the new format, then switches the scheme on.
+ */
+function migratePersonIdsToScheme() {
+  requireSpreadsheetEditor_();
+  const ui = SpreadsheetApp.getUi();
+  const current = getPersonIdScheme_();
+  if (current.checkDigit) {
+    ui.alert('Already Converted', `Person IDs already use the "${current.prefix}" prefix with a ${current.checkDigit} check digit.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const prefixResponse = ui.prompt('Convert IDs (1/2)', 'Enter the ID prefix (letters only, e.g. "P"):', ui.ButtonSet.OK_CANCEL);
+  if (prefixResponse.getSelectedButton() !== ui.Button.OK) return;
+  const prefix = prefixResponse.getResponseText().trim().toUpperCase();
+  // A prefix is required: without one, "10041" could be a new ID or a plain legacy number.
+  if (!/^[A-Z]+$/.test(prefix)) {
+    ui.alert('Invalid Prefix', 'Please enter at least one letter, and letters only.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const typeResponse = ui.prompt('Convert IDs (2/2)', 'Check digit type: enter "luhn" or "mod11":', ui.ButtonSet.OK_CANCEL);
+  if (typeResponse.getSelectedButton() !== ui.Button.OK) return;
+  const checkDigit = typeResponse.getResponseText().trim().toLowerCase();
+  if (!PERSON_ID_CHECK_DIGIT_TYPES.includes(checkDigit)) {
+    ui.alert('Invalid Type', 'Please enter "luhn" or "mod11".', ui.ButtonSet.OK);
+    return;
+  }
+
+  const scheme = { prefix: prefix, checkDigit: checkDigit };
+  const confirm = ui.alert(
+    'Confirm Conversion',
+    `Every plain numeric person ID in this spreadsheet will be rewritten, e.g. 1004 -> ${formatPersonId_(1004, scheme)}.\n\n` +
+    'The external Directory is not changed; its IDs are converted as they are read. Continue?',
+    ui.ButtonSet.YES_NO
+  );
+  if (confirm !== ui.Button.YES) return;
+
+  const summary = convertPersonIdsInSheets_(scheme);
+  ui.alert(
+    'IDs Converted',
+    `${summary.converted} ID cell(s) converted.\n` +
+    `${summary.skipped} cell(s) were not plain numbers and were left as they are. Run "🩺 Run Identity Audit" to review them.`,
+    ui.ButtonSet.OK
+  );
+}
+
+/**
+ * Rewrites every plain numeric ID listed in PERSON_ID_LOCATIONS and saves the scheme.
+ * @param {{prefix: string, checkDigit: string}} scheme
+ * @returns {{converted: number, skipped: number}}
+ */
+function convertPersonIdsInSheets_(scheme) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(PERSON_ID_LOCK_TIMEOUT_MS)) {
+    throw new Error("Could not convert IDs: another run is still changing person IDs. Please try again.");
+  }
+
+  let converted = 0;
+  let skipped = 0;
+  try {
+    PERSON_ID_LOCATIONS.forEach(location => {
+      const sheet = ss.getSheetByName(location.sheetName);
+      if (!sheet || sheet.getLastRow() < location.firstDataRow) return;
+      const numRows = sheet.getLastRow() - location.firstDataRow + 1;
+
+      location.cols.forEach(col => {
+        const range = sheet.getRange(location.firstDataRow, col, numRows, 1);
+        const values = range.getValues();
+        values.forEach(row => {
+          const text = String(row[0]).trim();
+          if (!text) return;
+          if (/^\d+$/.test(text)) {
+            row[0] = formatPersonId_(parseInt(text, 10), scheme);
+            converted++;
+          } else {
+            skipped++;
+          }
+        });
+        range.setNumberFormat("@").setValues(values);
+      });
+
+      (location.pairKeyCols || []).forEach(col => {
+        const range = sheet.getRange(location.firstDataRow, col, numRows, 1);
+        const values = range.getValues().map(row => [
+          String(row[0]).replace(/ID:(\d+)\b/g, (_, digits) => `ID:${formatPersonId_(parseInt(digits, 10), scheme)}`)
+        ]);
+        range.setValues(values);
+      });
+    });
+
+    const props = PropertiesService.getScriptProperties();
+    props.setProperty(PERSON_ID_PREFIX_PROPERTY, scheme.prefix);
+    props.setProperty(PERSON_ID_CHECK_DIGIT_PROPERTY, scheme.checkDigit);
+    personIdSchemeCache = null;
+    SpreadsheetApp.flush();
+  } finally {
+    lock.releaseLock();
+  }
+
+  Logger.log(`✅ (ID Scheme) Converted ${converted} IDs to ${scheme.prefix}<n><${scheme.checkDigit}>. Skipped ${skipped}.`);
+  return { converted: converted, skipped: skipped };
+}
@@ -0,0 +1,399 @@
+/**
+ * Person Registry
+ * The single place where person IDs are looked up and new ones are allocated.
+ * Every menu, form trigger and stats job resolves people through getPersonRegistry_()
+ * so the same person always lands on the same ID, whichever entry point was used.
+ *
+ * MATCHING ORDER:
+ *   1. Email  (trimmed, lower-cased)
+ *   2. Phone  (digits only, last 9 digits so "+886 912-345-678" equals "0912345678")
+ *   3. Full name
+ * An email or phone only counts when exactly one ID is known for it, the submitted
+ * name is not already known under another ID, and the names are compatible (see
+ * contactMatchFitsName_). That keeps a family sharing one email from collapsing
+ * into a single person.
+ *
+ * LOOKUP ORDER (first source that knows a name wins):
+ *   0. Aliases              (every name a person has used; see Aliases.js)
+ *   1. Directory            (external spreadsheet, the authoritative member list)
+ *   2. new member form      (external spreadsheet)
+ *   3. Attendance Stats
+ *   4. Service Attendance
+ *   5. Event Attendance
+ *   6. Sunday Service       (form responses)
+ *   7. Sunday Registration  (checklist, data from row 6)
+ *   8. Event Registration   (checklist, data from row 6)
+ * Within one sheet the first row that carries a valid numeric ID for a name wins.
+ * Names are compared after trimming, collapsing inner spaces and upper-casing.
+ * A name found in Aliases resolves to that person's current name, not the old spelling.
+ *
+ * NEW IDS:
+ * New IDs come from a durable "next ID" counter kept in the script properties
+ * (NEXT_PERSON_ID). The counter is only read and advanced while the script lock is
+ * held, so overlapping form triggers can never hand out the same number. Before each
+ * allocation the counter is checked against the highest ID found in the sheets and
+ * moved forward if someone typed a higher ID by hand. IDs are written in the active
+ * check-digit scheme when one is configured (PersonIdScheme.js).
+ *
+ * MERGED IDS:
+ * IDs merged away with "Merge People" (MergePeople.js) are replaced by their surviving
+ * ID as the records are loaded, so the Directory's old ID cannot split a person again.
+ */
+
+// Columns are 1-based. Sources without a column for a field simply leave it blank.
+// The Directory's columns come from its header row (see DirectorySchema.js).
+const PERSON_REGISTRY_SOURCES = [
+  { sheetName: "Directory", external: true, headerRow: 1, directorySchema: true },
+  { sheetName: "new member form", external: true, headerRow: 1, idCol: 1, nameCol: 2, columnsFromHeaders: true },
+  { sheetName: "Attendance Stats", headerRow: 1, idCol: 1, nameCol: 2, firstNameCol: 3, lastNameCol: 4 },
+  { sheetName: "Service Attendance", headerRow: 1, idCol: 1, nameCol: 2, firstNameCol: 3, lastNameCol: 4, emailCol: 7 },
+  { sheetName: "Event Attendance", headerRow: 1, idCol: 1, nameCol: 2, firstNameCol: 5, lastNameCol: 6, emailCol: 7, phoneCol: 8 },
+  { sheetName: "Sunday Service", headerRow: 1, idCol: 1, nameCol: 2, firstNameCol: 3, lastNameCol: 4, emailCol: 7 },
+  { sheetName: "Sunday Registration", headerRow: 5, idCol: 1, firstNameCol: 2, lastNameCol: 3 },
+  { sheetName: "Event Registration", headerRow: 5, idCol: 1, firstNameCol: 2, lastNameCol: 3 }
+];
+
+const NEXT_PERSON_ID_PROPERTY = "NEXT_PERSON_ID";
+const PERSON_ID_LOCK_TIMEOUT_MS = 30000;
+
+/**
+ * Builds a registry snapshot from every source sheet. Build it once per run and
+ * reuse it: IDs allocated through it are remembered for the rest of the run.
+ *
+ * @param {Object=} options
+ * @param {Array<Object>=} options.records Preloaded records instead of reading the sheets.
+ * @param {Object=} options.idStore Where the next-ID counter lives (anything with
+ *     getProperty/setProperty). Defaults to the script properties.
+ * @param {Array<Object>=} options.aliases Preloaded aliases instead of reading the Aliases sheet.
+ * @returns {{
+ *   resolve: function(string, string=, string=): {id: string, source: string, matchedBy: string, fullName: string, firstName: string, lastName: string, email: string, phone: string},
+ *   allocate: function(): string,
+ *   remember: function(string, string, Object=): void,
+ *   currentName: function(string): string,
+ *   directoryPeople: function(): Array<Object>,
+ *   records: Array<Object>,
+ *   highestId: function(): number
+ * }}
+ */
+function getPersonRegistry_(options = {}) {
+  const records = options.records ? options.records.slice() : loadPersonRegistryRecords_();
+  const idStore = options.idStore || PropertiesService.getScriptProperties();
+  const aliases = options.aliases || loadPersonAliases_();
+  const currentAliasNames = getCurrentAliasNames_(aliases);
+
+  const idByName = new Map();      // normalized name -> first record carrying an ID
+  const recordById = new Map();    // ID -> first record carrying it
+  const idsByEmail = new Map();    // normalized email -> Set of IDs
+  const idsByPhone = new Map();    // normalized phone -> Set of IDs
+  const profileByName = new Map(); // normalized name -> Directory record (may have no ID)
+  const directoryPeople = [];
+  let highestId = 0;
+
+  records.forEach(record => {
+    const key = normalizePersonName_(record.fullName);
+    if (record.source === "Directory" && key && !profileByName.has(key)) {
+      profileByName.set(key, record);
+      directoryPeople.push(record);
+    }
+    if (!record.id) return;
+
+    // Legacy IDs such as "BEL123" still reserve their number, but only valid IDs are handed out.
+    const number = extractNumberFromId_(record.id);
+    if (!isNaN(number)) highestId = Math.max(highestId, number);
+    if (extractNumericBel_(record.id) === null) return;
+
+    if (key && !idByName.has(key)) idByName.set(key, record);
+    if (!recordById.has(record.id)) recordById.set(record.id, record);
+    indexContacts(record);
+  });
+
+  // Aliases are consulted first: every name a person has used points at their current name.
+  aliases.forEach(alias => {
+    if (extractNumericBel_(alias.id) === null) return;
+    const known = recordById.get(alias.id) || {};
+    const fullName = currentAliasNames.get(alias.id) || alias.fullName;
+    const { firstName, lastName } = splitFullName_(fullName);
+    idByName.set(normalizePersonName_(alias.fullName), {
+      source: ALIASES_SHEET_NAME, row: alias.row, id: alias.id, fullName: fullName, firstName: firstName, lastName: lastName,
+      email: known.email || "", phone: known.phone || "", household: known.household || ""
+    });
+  });
+  Logger.log(`(Registry) Loaded ${records.length} records, ${aliases.length} aliases, ${idByName.size} named IDs. Highest ID: ${highestId}.`);
+
+  function indexContacts(record) {
+    const addTo = (index, contactKey) => {
+      if (!contactKey) return;
+      if (!index.has(contactKey)) index.set(contactKey, new Set());
+      index.get(contactKey).add(record.id);
+    };
+    addTo(idsByEmail, normalizeEmail_(record.email));
+    addTo(idsByPhone, normalizePhone_(record.phone));
+  }
+
+  const findByContact = (index, contactKey, fullName) => {
+    const ids = contactKey ? index.get(contactKey) : null;
+    if (!ids || ids.size !== 1) return null; // Unknown, or shared by several people
+    const id = ids.values().next().value;
+    const nameMatch = idByName.get(normalizePersonName_(fullName));
+    if (nameMatch && nameMatch.id !== id) return null; // The name belongs to someone else
+    const match = nameMatch || recordById.get(id);
+    return match && contactMatchFitsName_(match.fullName, fullName) ? match : null;
+  };
+
+  return {
+    records: records,
+
+    highestId: () => highestId,
+
+    directoryPeople: () => directoryPeople.slice(),
+
+    resolve(fullName, email = "", phone = "") {
+      const key = normalizePersonName_(fullName);
+      let matchedBy = "email";
+      let match = findByContact(idsByEmail, normalizeEmail_(email), fullName);
+      if (!match) { matchedBy = "phone"; match = findByContact(idsByPhone, normalizePhone_(phone), fullName); }
+      if (!match) { matchedBy = "name"; match = (key && idByName.get(key)) || null; }
+      if (!match) matchedBy = "";
+
+      // Directory details win, so a person who typed their name differently still gets the Directory spelling.
+      // An alias match keeps the current name even if the Directory still lists the old one.
+      const profile = (match && match.source === ALIASES_SHEET_NAME)
+        ? profileByName.get(normalizePersonName_(match.fullName)) || null
+        : profileByName.get(key) || (match ? profileByName.get(normalizePersonName_(match.fullName)) : null) || null;
+      const details = profile || match || {};
+      const resolvedFullName = details.fullName || String(fullName || "").trim();
+      let firstName = details.firstName || "";
+      let lastName = details.lastName || "";
+      if (!firstName && !lastName) {
+        ({ firstName, lastName } = splitFullName_(resolvedFullName));
+      }
+      return {
+        id: match ? match.id : "",
+        source: match ? match.source : "",
+        matchedBy: matchedBy,
+        fullName: resolvedFullName,
+        firstName: firstName,
+        lastName: lastName,
+        email: details.email || String(email || "").trim(),
+        phone: details.phone || String(phone || "").trim()
+      };
+    },
+
+    currentName(id) {
+      const record = recordById.get(String(id || "").trim());
+      return currentAliasNames.get(String(id || "").trim()) || (record ? record.fullName : "");
+    },
+
+    allocate() {
+      const id = reservePersonId_(idStore, highestId);
+      highestId = Math.max(highestId, id);
+      return formatPersonId_(id);
+    },
+
+    remember(fullName, id, details = {}) {
+      const key = normalizePersonName_(fullName);
+      if (!key || !id) return;
+      const record = Object.assign({ source: "New", fullName: String(fullName).trim(), firstName: "", lastName: "", email: "", phone: "" }, details, { id: String(id) });
+      idByName.set(key, record);
+      if (!recordById.has(record.id)) recordById.set(record.id, record);
+      indexContacts(record);
+      records.push(record);
+      const number = extractNumberFromId_(record.id);
+      if (!isNaN(number)) highestId = Math.max(highestId, number);
+    }
+  };
+}
+
+/**
+ * Hands out the next person ID while holding the script lock.
+ * The stored counter wins unless the sheets already contain a higher ID.
+ *
+ * @param {Object} idStore Holder of the counter (getProperty/setProperty).
+ * @param {number} highestKnownId Highest ID the caller has seen in the sheets.
+ * @returns {number} The reserved ID.
+ */
+function reservePersonId_(idStore, highestKnownId) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(PERSON_ID_LOCK_TIMEOUT_MS)) {
+    throw new Error("Could not reserve a new person ID: another run is still allocating IDs. Please try again.");
+  }
+  try {
+    const stored = parseInt(idStore.getProperty(NEXT_PERSON_ID_PROPERTY), 10);
+    const id = Math.max(isNaN(stored) ? 1 : stored, (highestKnownId || 0) + 1);
+    idStore.setProperty(NEXT_PERSON_ID_PROPERTY, String(id + 1));
+    return id;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Reads every registry source in lookup order into flat person records.
+ * @returns {Array<{source: string, row: number, id: string, fullName: string, firstName: string, lastName: string, email: string, phone: string, household: string}>}
+ */
+function loadPersonRegistryRecords_() {
+  const currentSs = SpreadsheetApp.getActiveSpreadsheet();
+  // Both external sheets come from the shared Directory snapshot (DirectoryCache.js).
+  const directoryPeople = getDirectoryPeople_();
+  if (!directoryPeople) Logger.log("⚠️ (Registry) Directory unavailable. Resolving from local sheets only.");
+
+  const records = [];
+  PERSON_REGISTRY_SOURCES.forEach(source => {
+    let sourceRecords;
+    if (source.directorySchema) {
+      sourceRecords = (directoryPeople || []).map(person => Object.assign({ source: source.sheetName }, person));
+    } else {
+      const data = source.external ? getNewMemberFormValues_() : getSheetData_(currentSs, source.sheetName);
+      sourceRecords = readPersonRegistrySource_(source, data);
+    }
+    // The Directory keeps plain numeric IDs until it is rewritten; read them in the active ID scheme.
+    if (source.external) sourceRecords.forEach(record => { record.id = normalizeLegacyPersonId_(record.id); });
+    records.push(...sourceRecords);
+  });
+
+  // IDs folded into another person by "Merge People" resolve to the surviving ID.
+  const redirects = loadMergedIdRedirects_();
+  records.forEach(record => {
+    if (redirects.has(record.id)) {
+      record.mergedFromId = record.id;
+      record.id = redirects.get(record.id);
+    }
+  });
+  return records;
+}
+
+/**
+ * Converts the raw values of one source sheet into person records.
+ * @param {Object} source An entry of PERSON_REGISTRY_SOURCES.
+ * @param {Array<Array<any>>} data All values of the sheet, header rows included.
+ * @returns {Array<Object>} Records with a name (an ID is optional).
+ */
+function readPersonRegistrySource_(source, data) {
+  const records = [];
+  if (!data || data.length <= source.headerRow) return records;
+
+  const col = {
+    id: source.idCol - 1,
+    name: source.nameCol ? source.nameCol - 1 : -1,
+    firstName: source.firstNameCol ? source.firstNameCol - 1 : -1,
+    lastName: source.lastNameCol ? source.lastNameCol - 1 : -1,
+    email: source.emailCol ? source.emailCol - 1 : -1,
+    phone: source.phoneCol ? source.phoneCol - 1 : -1
+  };
+  if (source.columnsFromHeaders) {
+    const headers = data[source.headerRow - 1].map(h => String(h || "").trim().toLowerCase());
+    col.firstName = headers.indexOf("first name");
+    col.lastName = headers.indexOf("last name");
+    col.email = headers.indexOf("email");
+    col.phone = headers.findIndex(h => h === "phone" || h === "phone number");
+  }
+
+  const cell = (row, index) => index >= 0 ? String(row[index] || "").trim() : "";
+  for (let i = source.headerRow; i < data.length; i++) {
+    const row = data[i];
+    const firstName = cell(row, col.firstName);
+    const lastName = cell(row, col.lastName);
+    const fullName = col.name >= 0 ? cell(row, col.name) : `${firstName} ${lastName}`.trim();
+    if (!fullName) continue;
+    records.push({
+      source: source.sheetName,
+      row: i + 1,
+      id: cell(row, col.id),
+      fullName: fullName,
+      firstName: firstName,
+      lastName: lastName,
+      email: cell(row, col.email),
+      phone: cell(row, col.phone),
+      household: ""
+    });
+  }
+  return records;
+}
+
+/**
+ * Normalizes a full name into the registry's lookup key.
+ * "  john   smith " -> "JOHN SMITH"
+ * @param {any} name
+ * @returns {string}
+ */
+function normalizePersonName_(name) {
+  return String(name || "").trim().replace(/\s+/g, " ").toUpperCase();
+}
+
+/**
+ * Normalizes an email for matching. Returns "" for anything that is not an address.
+ * @param {any} email
+ * @returns {string}
+ */
+function normalizeEmail_(email) {
+  const value = String(email || "").trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+$/.test(value) ? value : "";
+}
+
+/**
+ * Normalizes a phone number to its last 9 digits so local and international
+ * spellings of the same number match. Returns "" for numbers that are too short.
+ * @param {any} phone
+ * @returns {string}
+ */
+function normalizePhone_(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length >= 7 ? digits.slice(-9) : "";
+}
+
+/**
+ * Decides whether an email/phone match is plausible for the name that was typed.
+ * Words both names share (usually the family name) are ignored; what is left must
+ * start with a common letter, nicknames expanded. "Jon Smith" fits "Jonathan Smith",
+ * "Xiaoming Wang" fits "Wang Xiao Ming", but "Mary Smith" does not fit "John Smith".
+ * @param {string} knownName Name on the matched record.
+ * @param {string} typedName Name that came with the email or phone.
+ * @returns {boolean}
+ */
+function contactMatchFitsName_(knownName, typedName) {
+  const known = canonicalNameTokens_(knownName);
+  const typed = canonicalNameTokens_(typedName);
+  const knownRest = known.filter(token => !typed.includes(token));
+  const typedRest = typed.filter(token => !known.includes(token));
+  if (knownRest.length === 0 || typedRest.length === 0) return true;
+  const knownInitials = new Set(knownRest.map(token => token[0]));
+  return typedRest.some(token => knownInitials.has(token[0]));
+}
+
+/**
+ * Splits a full name into first name and the remainder as last name.
+ * @param {any} fullName
+ * @returns {{firstName: string, lastName: string}}
+ */
+function splitFullName_(fullName) {
+  const nameParts = String(fullName || "").trim().split(/\s+/).filter(Boolean);
+  return {
+    firstName: nameParts[0] || "",
+    lastName: nameParts.length > 1 ? nameParts.slice(1).join(" ") : ""
+  };
+}
+
+/**
+ * Adds the "👥 People" menu with the identity maintenance commands.
+ */
+function addPeopleMenu_() {
+  const ui = SpreadsheetApp.getUi();
+  ui.createMenu('👥 People')
+    .addItem('🔍 Find Possible Duplicates', 'findPossibleDuplicates')
+    .addItem('💾 Save Duplicate Decisions', 'saveDuplicateDecisions')
+    .addSeparator()
+    .addItem('🔗 Merge People…', 'mergePeople')
+    .addItem('↩️ Undo Last Merge', 'undoLastMerge')
+    .addItem('✏️ Rename Person…', 'renamePerson')
+    .addSeparator()
+    .addItem('🩺 Run Identity Audit', 'runIdentityAudit')
+    .addItem('🔢 Convert IDs to Check-Digit Format…', 'migratePersonIdsToScheme')
+    .addSeparator()
+    .addItem('🏠 Open Households Sheet', 'openHouseholdsSheet')
+    .addItem('🔳 Generate QR Code Sheet', 'generateQrCodeSheet')
+    .addSeparator()
+    .addItem('🌱 List Guests to Promote', 'listGuestsToPromote')
+    .addItem('📇 Promote Selected Guests…', 'promoteSelectedGuests')
+    .addToUi();
+  Logger.log("✅ People menu definition attempted by addPeopleMenu_.");
+}
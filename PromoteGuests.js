@@ -0,0 +1,227 @@
+/**
+ * Promote Guests
+ * Turns people tagged "Guest (need to add in Directory)" in Attendance Stats into
+ * Directory members without copy-and-paste.
+ *
+ *   1. "List Guests to Promote" fills the "Promote Guests" sheet with every tagged guest
+ *      and their latest email and phone from Service Attendance and Event Attendance.
+ *   2. Tick "✓ Add" for the people to promote (the contact details may be edited first).
+ *   3. "Promote Selected Guests" appends them, with their existing IDs, to the Directory
+ *      or to its "new member form" tab, then re-runs the guest tagging.
+ * People whose ID is already in the target sheet are skipped.
+ */
+
+const PROMOTE_GUESTS_SHEET_NAME = "Promote Guests";
+const PROMOTE_GUESTS_HEADERS = ["✓ Add", "Person ID", "Full Name", "First Name", "Last Name", "Email", "Phone", "Last Seen"];
+const PROMOTE_GUESTS_DATA_START_ROW = 3; // Title in row 1, headers in row 2
+const GUEST_TAG = "Guest (need to add in Directory)"; // Written to Attendance Stats column M by tagAndHighlightGuests_
+
+/**
+ * Menu command: lists the tagged guests with their latest contact details.
+ */
+function listGuestsToPromote() {
+  requireSpreadsheetEditor_();
+  const sheet = getOrCreatePromoteGuestsSheet_();
+  const guestCount = writeGuestsToPromote_(sheet);
+  sheet.activate();
+  SpreadsheetApp.getUi().alert(
+    'Guests Listed',
+    guestCount > 0
+      ? `${guestCount} guest(s) listed. Tick "✓ Add" for the people to add, then use "📇 Promote Selected Guests…".`
+      : 'No guests are tagged in Attendance Stats.',
+    SpreadsheetApp.getUi().ButtonSet.OK
+  );
+}
+
+/**
+ * Replaces the list on the Promote Guests sheet with the currently tagged guests.
+ * @returns {number} The number of guests listed.
+ */
+function writeGuestsToPromote_(sheet) {
+  const guests = findTaggedGuests_();
+  const lastRow = sheet.getLastRow();
+  if (lastRow >= PROMOTE_GUESTS_DATA_START_ROW) {
+    sheet.getRange(PROMOTE_GUESTS_DATA_START_ROW, 1, lastRow - PROMOTE_GUESTS_DATA_START_ROW + 1, PROMOTE_GUESTS_HEADERS.length)
+      .clearContent().clearDataValidations();
+  }
+
+  if (guests.length > 0) {
+    const rows = guests.map(guest => [
+      false, guest.id, guest.fullName, guest.firstName, guest.lastName, guest.email, guest.phone, guest.lastSeen || ""
+    ]);
+    sheet.getRange(PROMOTE_GUESTS_DATA_START_ROW, 1, rows.length, PROMOTE_GUESTS_HEADERS.length).setValues(rows);
+    sheet.getRange(PROMOTE_GUESTS_DATA_START_ROW, 1, rows.length, 1).insertCheckboxes();
+    sheet.getRange(PROMOTE_GUESTS_DATA_START_ROW, 8, rows.length, 1).setNumberFormat("MM/dd/yyyy");
+  }
+  Logger.log(`✅ (Promote Guests) Listed ${guests.length} guests.`);
+  return guests.length;
+}
+
+/**
+ * Menu command: appends the ticked guests to the Directory or to "new member form".
+ */
+function promoteSelectedGuests() {
+  requireSpreadsheetEditor_();
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PROMOTE_GUESTS_SHEET_NAME);
+  const lastRow = sheet ? sheet.getLastRow() : 0;
+  const selected = lastRow < PROMOTE_GUESTS_DATA_START_ROW ? [] : sheet
+    .getRange(PROMOTE_GUESTS_DATA_START_ROW, 1, lastRow - PROMOTE_GUESTS_DATA_START_ROW + 1, PROMOTE_GUESTS_HEADERS.length)
+    .getValues()
+    .filter(row => row[0] === true && String(row[1]).trim() && String(row[2]).trim())
+    .map(row => ({
+      id: String(row[1]).trim(), fullName: String(row[2]).trim(), firstName: String(row[3]).trim(),
+      lastName: String(row[4]).trim(), email: String(row[5]).trim(), phone: String(row[6]).trim()
+    }));
+  if (selected.length === 0) {
+    ui.alert('Nobody Selected', 'Run "🌱 List Guests to Promote" and tick "✓ Add" for the people to promote first.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const target = ui.alert(
+    'Where Should They Go?',
+    `Add ${selected.length} person(s) directly to the Directory?\n\n` +
+    'YES = Directory\nNO = "new member form" tab (for review before they join the Directory)',
+    ui.ButtonSet.YES_NO_CANCEL
+  );
+  if (target === ui.Button.CANCEL || target === ui.Button.CLOSE) return;
+  const targetSheetName = target === ui.Button.YES ? "Directory" : "new member form";
+
+  const result = appendGuestsToDirectory_(selected, targetSheetName);
+  invalidateDirectoryCache_();
+  tagAndHighlightGuests_();
+  writeGuestsToPromote_(sheet);
+
+  let message = `${result.added.length} person(s) added to "${targetSheetName}". Guest tags have been refreshed.`;
+  if (result.skipped.length > 0) {
+    message += `\n\nAlready in "${targetSheetName}", not added again:\n${result.skipped.join("\n")}`;
+  }
+  ui.alert('Guests Promoted', message, ui.ButtonSet.OK);
+}
+
+/**
+ * Appends people to a sheet of the Directory spreadsheet, placing each field under its header.
+ * @param {Array<{id: string, fullName: string, firstName: string, lastName: string, email: string, phone: string}>} people
+ * @param {string} targetSheetName "Directory" or "new member form".
+ * @returns {{added: Array<string>, skipped: Array<string>}} Display names.
+ */
+function appendGuestsToDirectory_(people, targetSheetName) {
+  const directorySs = SpreadsheetApp.openById(getDirectorySpreadsheetIdFromProperties_());
+  const targetSheet = directorySs.getSheetByName(targetSheetName);
+  if (!targetSheet) {
+    throw new Error(`The "${targetSheetName}" sheet was not found in the Directory spreadsheet.`);
+  }
+
+  const width = Math.max(targetSheet.getLastColumn(), 1);
+  const headerRow = targetSheet.getRange(1, 1, 1, width).getValues()[0];
+  const columns = getGuestTargetColumns_(targetSheetName, headerRow);
+
+  const existingIds = new Set();
+  if (targetSheet.getLastRow() > 1) {
+    targetSheet.getRange(2, columns.id + 1, targetSheet.getLastRow() - 1, 1).getValues()
+      .forEach(row => existingIds.add(normalizeLegacyPersonId_(String(row[0]).trim())));
+  }
+
+  const added = [];
+  const skipped = [];
+  people.forEach(person => {
+    if (existingIds.has(normalizeLegacyPersonId_(person.id))) {
+      skipped.push(`${person.fullName} (${person.id})`);
+      return;
+    }
+    const row = Array(width).fill("");
+    Object.keys(columns).forEach(field => {
+      if (columns[field] >= 0 && person[field] !== undefined) row[columns[field]] = person[field];
+    });
+    targetSheet.appendRow(row);
+    existingIds.add(normalizeLegacyPersonId_(person.id));
+    added.push(`${person.fullName} (${person.id})`);
+  });
+
+  Logger.log(`✅ (Promote Guests) Added ${added.length} to "${targetSheetName}", skipped ${skipped.length}.`);
+  return { added: added, skipped: skipped };
+}
+
+/**
+ * Column positions (0-based, -1 when absent) of each field in the target sheet.
+ * The Directory follows its schema; "new member form" keeps ID in A and Full Name in B.
+ */
+function getGuestTargetColumns_(targetSheetName, headerRow) {
+  if (targetSheetName === "Directory") return getDirectoryColumnMap_(headerRow);
+  const headers = headerRow.map(h => String(h || "").trim().toLowerCase());
+  return {
+    id: 0,
+    fullName: 1,
+    firstName: headers.indexOf("first name"),
+    lastName: headers.indexOf("last name"),
+    email: headers.indexOf("email"),
+    phone: headers.findIndex(h => h === "phone" || h === "phone number")
+  };
+}
+
+/**
+ * Reads the guests tagged in Attendance Stats and fills in their latest contact details.
+ * @returns {Array<{id: string, fullName: string, firstName: string, lastName: string, email: string, phone: string, lastSeen: Date|null}>}
+ */
+function findTaggedGuests_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const statsSheet = ss.getSheetByName("Attendance Stats");
+  if (!statsSheet || statsSheet.getLastRow() < 2) return [];
+
+  const guests = new Map(); // ID (or name key when blank) -> guest
+  statsSheet.getRange(2, 1, statsSheet.getLastRow() - 1, 13).getValues().forEach(row => {
+    if (row[12] !== GUEST_TAG) return;
+    const id = String(row[0] || "").trim();
+    const fullName = String(row[1] || "").trim();
+    if (!fullName) return;
+    const { firstName, lastName } = splitFullName_(fullName);
+    guests.set(id || `NAME:${normalizePersonName_(fullName)}`, {
+      id: id, fullName: fullName, firstName: firstName, lastName: lastName, email: "", phone: "", lastSeen: null
+    });
+  });
+
+  const findGuest = (id, name) => guests.get(String(id || "").trim()) || guests.get(`NAME:${normalizePersonName_(name)}`);
+  const noteContact = (guest, date, details) => {
+    if (!guest) return;
+    if (!guest.lastSeen || (date && date >= guest.lastSeen)) {
+      if (details.firstName) guest.firstName = details.firstName;
+      if (details.lastName) guest.lastName = details.lastName;
+      if (details.email) guest.email = details.email;
+      if (details.phone) guest.phone = details.phone;
+      if (date) guest.lastSeen = date;
+    }
+  };
+
+  // Service Attendance: A=ID, B=Full Name, C=First, D=Last, E=Service Date, G=Email
+  getSheetData_(ss, "Service Attendance").slice(1).forEach(row => {
+    noteContact(findGuest(row[0], row[1]), getDateValue_(row[4]), {
+      firstName: String(row[2] || "").trim(), lastName: String(row[3] || "").trim(), email: String(row[6] || "").trim()
+    });
+  });
+  // Event Attendance: A=ID, B=Full Name, E=First, F=Last, G=Email, H=Phone, K=Event Date
+  getSheetData_(ss, "Event Attendance").slice(1).forEach(row => {
+    noteContact(findGuest(row[0], row[1]), getDateValue_(row[10]), {
+      firstName: String(row[4] || "").trim(), lastName: String(row[5] || "").trim(),
+      email: String(row[6] || "").trim(), phone: String(row[7] || "").trim()
+    });
+  });
+
+  return Array.from(guests.values()).sort((a, b) => a.lastName.localeCompare(b.lastName) || a.firstName.localeCompare(b.firstName));
+}
+
+function getOrCreatePromoteGuestsSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PROMOTE_GUESTS_SHEET_NAME);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(PROMOTE_GUESTS_SHEET_NAME);
+  sheet.getRange("A1").setValue("🌱 PROMOTE GUESTS TO THE DIRECTORY").setFontSize(16).setFontWeight("bold");
+  sheet.getRange(2, 1, 1, PROMOTE_GUESTS_HEADERS.length).setValues([PROMOTE_GUESTS_HEADERS])
+    .setFontWeight("bold").setBackground("#e3f2fd").setFontColor("#202124");
+  sheet.setColumnWidth(1, 60); sheet.setColumnWidth(2, 100); sheet.setColumnWidth(3, 200);
+  sheet.setColumnWidth(4, 120); sheet.setColumnWidth(5, 140); sheet.setColumnWidth(6, 220);
+  sheet.setColumnWidth(7, 140); sheet.setColumnWidth(8, 110);
+  sheet.setFrozenRows(2);
+  Logger.log(`✅ "${PROMOTE_GUESTS_SHEET_NAME}" sheet created.`);
+  return sheet;
+}
@@ -4,6 +4,7 @@
  */
 
 function pullSundayServiceToServiceAttendance() {
+  requireSpreadsheetEditor_();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sundayServiceSheet = ss.getSheetByName("Sunday Service");
   const serviceAttendanceSheet = ss.getSheetByName("Service Attendance");
@@ -32,8 +33,7 @@ function pullSundayServiceToServiceAttendance() {
   for (let i = 1; i < serviceData.length; i++) {
     if (serviceData[i][1] && serviceData[i][4]) { // Full Name and Timestamp
       try {
-        const key = `${String(serviceData[i][1]).trim().toLowerCase()}_${new Date(serviceData[i][4]).getTime()}`;
-        existingEntries.add(key);
+        existingEntries.add(attendanceEntryKey_(serviceData[i][1], serviceData[i][4]));
       } catch (e) {
         Logger.log(`Error processing existing entry key at serviceData row ${i+1}: ${e.toString()}`);
       }
@@ -65,7 +65,7 @@ function pullSundayServiceToServiceAttendance() {
     }
 
     try {
-      const entryKey = `${String(fullName).trim().toLowerCase()}_${new Date(timestamp).getTime()}`;
+      const entryKey = attendanceEntryKey_(fullName, timestamp);
       if (existingEntries.has(entryKey)) {
         skippedCount++;
         continue;
@@ -80,7 +80,8 @@ function pullSundayServiceToServiceAttendance() {
         firstTime || "No",
         email || "",
         "", // Assuming an empty 8th column (e.g., for Notes)
-        timestamp // Assuming 9th column is also a timestamp (e.g., Date Added)
+        timestamp, // Assuming 9th column is also a timestamp (e.g., Date Added)
+        findServiceForTime_(timestamp) // Column J: Service
       ]);
     } catch (e) {
         Logger.log(`Error processing new entry key at sundayData row ${i+1} for '${fullName}': ${e.toString()}`);
@@ -94,7 +95,7 @@ function pullSundayServiceToServiceAttendance() {
     // If sheet has content, start at lastRow + 1.
     const startRow = (lastRow === 0 && serviceAttendanceSheet.getRange("A1").isBlank()) ? 1 : lastRow + 1;
 
-    serviceAttendanceSheet.getRange(startRow, 1, newEntries.length, 9) // Assuming 9 columns for newEntries
+    serviceAttendanceSheet.getRange(startRow, 1, newEntries.length, newEntries[0].length)
       .setValues(newEntries);
 
     Logger.log(`✅ Successfully added ${newEntries.length} new entries to 'Service Attendance'.`);
@@ -121,6 +122,7 @@ function pullSundayServiceToServiceAttendance() {
 }
 
 function setupFormSubmitTrigger() {
+  requireSpreadsheetEditor_();
   // This function is typically run manually, so SpreadsheetApp.getUi() is fine here.
   const ui = SpreadsheetApp.getUi(); 
 
@@ -146,6 +148,7 @@ function setupFormSubmitTrigger() {
 }
 
 function onFormSubmitTransfer(e) {
+    requireTriggerOrEditor_(e);
     Utilities.sleep(5000); 
 
     if (!e || !e.range) { // Check if e and e.range exist
@@ -255,7 +258,8 @@ function onFormSubmitTransfer(e) {
         firstTime || "No",
         email || "",
         "", 
-        timestamp 
+        timestamp,
+        findServiceForTime_(timestamp)
     ];
 
     const lastRowSA = serviceAttendanceSheet.getLastRow();
@@ -265,20 +269,32 @@ function onFormSubmitTransfer(e) {
     Logger.log(`✅ Auto-transferred new form submission for '${fullName}' (ID: ${personalId}) from '${sheet.getName()}' to 'Service Attendance' sheet, row ${targetRow}.`);
 }
 
+/**
+ * The duplicate key of an attendance row: its full name and its Service Date (column E)
+ * timestamp. Shared with the CSV import (AttendanceImport.js) so both skip the same rows.
+ * @param {any} fullName
+ * @param {any} timestamp
+ * @returns {string}
+ */
+function attendanceEntryKey_(fullName, timestamp) {
+  return `${String(fullName).trim().toLowerCase()}_${new Date(timestamp).getTime()}`;
+}
+
 /**
  * Adds the "Data Transfer" menu.
  * This function will be called by the master onOpen(e) function in another script file
  * within the same project.
  */
-function addTransferMenu() {
+function addTransferMenu_() {
   const ui = SpreadsheetApp.getUi();
   ui.createMenu('📊 Data Transfer')
     .addItem('📥 Pull Sunday Service → Service Attendance', 'pullSundayServiceToServiceAttendance')
+    .addItem('📄 Import Attendance from CSV…', 'openAttendanceImportDialog')
     // The 'Set Up Automatic Transfer' item has been removed from here
     .addToUi();
-  Logger.log("✅ Data Transfer menu definition attempted by addTransferMenu. 'Set Up Automatic Transfer' item removed.");
+  Logger.log("✅ Data Transfer menu definition attempted by addTransferMenu_. 'Set Up Automatic Transfer' item removed.");
 }
 
 // Removed the onOpen() function from this file.
 // It will be handled by a single onOpen() in the project,
-// which will call addTransferMenu().
\ No newline at end of file
+// which will call addTransferMenu_().
\ No newline at end of file
@@ -0,0 +1,302 @@
+/**
+ * QR Code Check-In
+ * Every Directory member can get a personal QR code that encodes just their Person ID.
+ * "👥 People → 🔳 Generate QR Code Sheet" builds the printable "QR Codes" sheet (print it,
+ * or File → Download → PDF). A scanning station opens the web app with ?page=scan
+ * (&target=event for the event on the Event Registration sheet); each scanned ID is checked
+ * against the Person Registry and appended to Service Attendance or Event Attendance.
+ *
+ * The scan station link carries a secret token (script property QR_STATION_TOKEN), shown in A1
+ * of the "QR Codes" sheet; without it the page and recordQrCheckIn refuse to work, so knowing
+ * the web app address is not enough to record attendance. ⚙️ Config → Reset QR Scan Station
+ * Link… replaces the token when a link has been shared too widely.
+ *
+ * The codes are drawn with an IMAGE() formula that sends every Person ID to the third-party
+ * service at QR_CODE_IMAGE_URL, so the first 🔳 Generate QR Code Sheet asks for consent and
+ * saves the answer (script property QR_CODE_IMAGES_ENABLED; change it later with ⚙️ Config →
+ * Turn QR Code Images On/Off…). Declining lists IDs and names only, to be turned into codes
+ * with any QR tool. The formula reads the ID cell, so converting IDs to the
+ * check-digit format updates the codes. Scanned IDs of merged people go to the surviving ID.
+ */
+
+const QR_CODES_SHEET_NAME = "QR Codes";
+const QR_CODES_HEADERS = ["Person ID", "Full Name", "QR Code"];
+const QR_CODE_IMAGE_URL = "https://api.qrserver.com/v1/create-qr-code/?size=150x150&margin=4&data=";
+const QR_CODE_ROW_HEIGHT = 160;
+const QR_SCAN_NOTE = "QR check-in";
+const QR_STATION_TOKEN_PROPERTY = "QR_STATION_TOKEN";
+const QR_CODE_IMAGES_PROPERTY = "QR_CODE_IMAGES_ENABLED";
+
+/**
+ * Menu command: (re)builds the "QR Codes" sheet from the Directory.
+ * Members without a Directory ID only get a code when their ID is stable: already on a
+ * local sheet, or written back to the Directory (see DirectoryIdSync.js).
+ */
+function generateQrCodeSheet() {
+  requireSpreadsheetEditor_();
+  const ui = SpreadsheetApp.getUi();
+  const registry = getPersonRegistry_();
+  const directoryPeople = registry.directoryPeople();
+  if (directoryPeople.length === 0) {
+    ui.alert('No Directory Members', 'The Directory could not be read. Use ⚙️ Config → Test Directory Connection to see why.', ui.ButtonSet.OK);
+    return;
+  }
+  const drawImages = PropertiesService.getScriptProperties().getProperty(QR_CODE_IMAGES_PROPERTY) === null
+    ? askQrCodeImagesConsent_(ui)
+    : areQrCodeImagesEnabled_();
+  if (drawImages === null) return;
+
+  const writeBack = isDirectoryIdWriteBackEnabled_();
+  const rows = [];
+  const skipped = [];
+  const pendingDirectoryIds = [];
+  directoryPeople.forEach(directoryEntry => {
+    if (!writeBack && !registry.resolve(directoryEntry.fullName, directoryEntry.email).id) {
+      skipped.push(directoryEntry.fullName);
+      return;
+    }
+    const person = resolvePersonIdAndDetails_(directoryEntry.fullName, directoryEntry.email, registry);
+    notePendingDirectoryId_(directoryEntry, person.id, pendingDirectoryIds);
+    rows.push([person.id, registry.currentName(person.id) || directoryEntry.fullName]);
+  });
+  syncDirectoryIdsIfEnabled_(pendingDirectoryIds);
+  rows.sort((a, b) => a[1].localeCompare(b[1]));
+
+  const sheet = getOrCreateQrCodesSheet_();
+  if (sheet.getLastRow() > 2) {
+    sheet.getRange(3, 1, sheet.getLastRow() - 2, QR_CODES_HEADERS.length).clearContent();
+  }
+  if (rows.length > 0) {
+    sheet.getRange(3, 1, rows.length, 2).setValues(rows);
+    if (drawImages) {
+      sheet.getRange(3, 3, rows.length, 1).setFormulas(rows.map((row, index) =>
+        [`=IMAGE("${QR_CODE_IMAGE_URL}"&ENCODEURL(A${index + 3}))`]
+      ));
+      sheet.setRowHeights(3, rows.length, QR_CODE_ROW_HEIGHT);
+    }
+    sheet.getRange(3, 1, rows.length, QR_CODES_HEADERS.length).setVerticalAlignment("middle").setFontSize(14);
+  }
+  sheet.activate();
+
+  Logger.log(`✅ (QR) ${rows.length} QR code(s) generated (images ${drawImages ? "on" : "off"}), ${skipped.length} skipped without a stable ID.`);
+  let message = drawImages
+    ? `${rows.length} QR code(s) are on the "${QR_CODES_SHEET_NAME}" sheet. Print it, or use File → Download → PDF.`
+    : `${rows.length} Person ID(s) are on the "${QR_CODES_SHEET_NAME}" sheet. QR code images are off, so no ID left ` +
+      'this spreadsheet: make the codes from column A with a QR tool of your choice, or turn images on with ' +
+      '⚙️ Config → Turn QR Code Images On/Off….';
+  if (skipped.length > 0) {
+    message += `\n\n${skipped.length} member(s) were skipped because they have no Person ID yet ` +
+      `(${skipped.slice(0, 5).join(", ")}${skipped.length > 5 ? ", …" : ""}). ` +
+      'Turn on ⚙️ Config → Turn Directory ID Write-Back On/Off… and run this again to include them.';
+  }
+  ui.alert('🔳 QR Codes Ready', message, ui.ButtonSet.OK);
+}
+
+/**
+ * Called by the scan page: records attendance for the person whose code was scanned.
+ * @param {string} scannedId The text read from the QR code.
+ * @param {string} target "service" for today's service, "event" for the Event Registration event.
+ * @param {string} token The station token from the scan page's link.
+ * @returns {{status: string, fullName: string, message: string}} status is "checkedIn" or "already".
+ */
+function recordQrCheckIn(scannedId, target, token) {
+  verifyQrStationToken_(token);
+  const registry = getPersonRegistry_();
+  const person = findPersonByScannedId_(scannedId, registry);
+  if (!person) {
+    throw new Error(`"${String(scannedId || "").trim()}" is not a known person ID.`);
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const timeZone = ss.getSpreadsheetTimeZone();
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(PERSON_ID_LOCK_TIMEOUT_MS)) {
+    throw new Error("The scanner is busy. Please scan again.");
+  }
+  try {
+    if (target === "event") {
+      const event = getCurrentQrEvent_();
+      const attendanceSheet = ss.getSheetByName("Event Attendance");
+      if (!attendanceSheet) throw new Error("'Event Attendance' sheet not found.");
+      const formattedEventDate = Utilities.formatDate(event.date, timeZone, "MM/dd/yyyy");
+      if (isAlreadyAtEvent_(attendanceSheet, person.id, event.name, formattedEventDate)) {
+        return { status: "already", fullName: person.fullName, message: `${person.fullName} is already checked in to ${event.name}.` };
+      }
+      appendEventAttendanceRows_(attendanceSheet, [
+        buildEventAttendanceRow_(person.id, person.firstName, person.lastName, event.name, "", formattedEventDate, person.email)
+      ]);
+      Logger.log(`✅ (QR) ${person.fullName} (ID: ${person.id}) checked in to ${event.name} on ${formattedEventDate}.`);
+      return { status: "checkedIn", fullName: person.fullName, message: `${person.fullName} is checked in to ${event.name}.` };
+    }
+
+    const serviceSheet = ss.getSheetByName("Service Attendance");
+    if (!serviceSheet) throw new Error("'Service Attendance' sheet not found.");
+    const formattedServiceDate = Utilities.formatDate(new Date(), timeZone, "MM/dd/yyyy");
+    const service = findServiceForTime_(new Date());
+    if (findServiceAttendanceRowsForDate_(serviceSheet, formattedServiceDate).some(entry => entry.personId === person.id && entry.service === service)) {
+      return { status: "already", fullName: person.fullName, message: `${person.fullName} is already checked in for ${service}.` };
+    }
+    appendServiceAttendanceRows_(serviceSheet, [
+      buildServiceAttendanceRow_(person.id, person.firstName, person.lastName, formattedServiceDate, person.email, QR_SCAN_NOTE, service)
+    ]);
+    Logger.log(`✅ (QR) ${person.fullName} (ID: ${person.id}) checked in for ${service} on ${formattedServiceDate}.`);
+    return { status: "checkedIn", fullName: person.fullName, message: `${person.fullName} is checked in. Welcome!` };
+  } finally {
+    SpreadsheetApp.flush();
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Serves the scan page (see doGet), or a notice when the link's token is wrong.
+ * @param {string} target "service" or "event".
+ * @param {string} token The token from the link.
+ */
+function showQrScanPage_(target, token) {
+  if (!isStationToken_(QR_STATION_TOKEN_PROPERTY, token)) {
+    return HtmlService.createHtmlOutput("<p>This scan station link is not valid. Copy the current link from cell A1 of the \"QR Codes\" sheet.</p>")
+      .setTitle("QR Check-In");
+  }
+  const template = HtmlService.createTemplateFromFile("QRScan");
+  template.target = target === "event" ? "event" : "service";
+  template.token = token;
+  template.targetLabel = target === "event" ? getCurrentQrEvent_().name : "Today's Service";
+  return template.evaluate()
+    .setTitle("QR Check-In")
+    .addMetaTag("viewport", "width=device-width, initial-scale=1, maximum-scale=1");
+}
+
+/**
+ * Validates a scanned ID and finds the person it belongs to.
+ * @returns {{id: string, fullName: string, firstName: string, lastName: string, email: string}|null}
+ */
+function findPersonByScannedId_(scannedId, registry) {
+  let id = normalizeLegacyPersonId_(String(scannedId || "").trim().toUpperCase());
+  if (!id || extractNumericBel_(id) === null) return null;
+  id = loadMergedIdRedirects_().get(id) || id;
+
+  const fullName = registry.currentName(id);
+  if (!fullName) return null;
+  const details = registry.resolve(fullName);
+  const { firstName, lastName } = (details.id === id) ? details : splitFullName_(fullName);
+  return { id: id, fullName: fullName, firstName: firstName, lastName: lastName, email: details.id === id ? details.email : "" };
+}
+
+/**
+ * @returns {{name: string, date: Date}} The event set up on the Event Registration sheet (A1 and B2).
+ */
+function getCurrentQrEvent_() {
+  const regSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Event Registration");
+  if (!regSheet) throw new Error("Event Registration sheet not found. Set up the event there first.");
+  const eventDate = regSheet.getRange("B2").getValue();
+  if (!(eventDate instanceof Date) || isNaN(eventDate.getTime())) {
+    throw new Error("Please enter a valid event date in cell B2 of the Event Registration sheet.");
+  }
+  return { name: String(regSheet.getRange("A1").getValue()).replace(/^🏛️\s*/, "").trim(), date: eventDate };
+}
+
+function isAlreadyAtEvent_(attendanceSheet, personId, eventName, formattedEventDate) {
+  return findEventAttendanceRows_(attendanceSheet, eventName, formattedEventDate).some(entry => entry.personId === personId);
+}
+
+function getOrCreateQrCodesSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(QR_CODES_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(QR_CODES_SHEET_NAME);
+    sheet.getRange(2, 1, 1, QR_CODES_HEADERS.length).setValues([QR_CODES_HEADERS])
+      .setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
+    sheet.setColumnWidth(1, 120); sheet.setColumnWidth(2, 260); sheet.setColumnWidth(3, 170);
+    sheet.setFrozenRows(2);
+    Logger.log(`✅ "${QR_CODES_SHEET_NAME}" sheet created.`);
+  }
+  writeQrScanStationLink_(sheet);
+  return sheet;
+}
+
+/**
+ * Writes the scan station addresses, with the station token, into A1 of the QR Codes sheet.
+ */
+function writeQrScanStationLink_(sheet) {
+  const scanUrl = ScriptApp.getService().getUrl();
+  const link = `${scanUrl}?page=scan&token=${encodeURIComponent(getStationToken_(QR_STATION_TOKEN_PROPERTY))}`;
+  sheet.getRange("A1").setValue(scanUrl
+    ? `🔳 Scan station: ${link} (events: ${link}&target=event)`
+    : "🔳 Deploy the script as a web app to get the scan station address.").setFontWeight("bold");
+}
+
+/**
+ * Throws unless the token matches the current scan station link.
+ */
+function verifyQrStationToken_(token) {
+  if (!isStationToken_(QR_STATION_TOKEN_PROPERTY, token)) {
+    throw new Error("This scan station link is no longer valid. Open the current link from the \"QR Codes\" sheet.");
+  }
+}
+
+/**
+ * Menu command: replaces the station token. Stations using the old link stop working.
+ */
+function resetQrStationToken() {
+  requireSpreadsheetEditor_();
+  const ui = SpreadsheetApp.getUi();
+  const confirm = ui.alert(
+    'Reset QR Scan Station Link?',
+    'Scan stations opened with the current link will stop working until they open the new link ' +
+      `from cell A1 of the "${QR_CODES_SHEET_NAME}" sheet.`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (confirm !== ui.Button.OK) return;
+
+  resetStationToken_(QR_STATION_TOKEN_PROPERTY);
+  getOrCreateQrCodesSheet_().activate();
+  Logger.log("✅ (QR) Scan station token reset.");
+  ui.alert(`✅ The new scan station link is in cell A1 of the "${QR_CODES_SHEET_NAME}" sheet.`);
+}
+
+function areQrCodeImagesEnabled_() {
+  return PropertiesService.getScriptProperties().getProperty(QR_CODE_IMAGES_PROPERTY) === "true";
+}
+
+/**
+ * Asks once whether the QR Codes sheet may draw its codes with the third-party service, and
+ * saves the answer.
+ * @returns {boolean|null} Whether to draw the codes, or null when the dialog was cancelled.
+ */
+function askQrCodeImagesConsent_(ui) {
+  const response = ui.alert(
+    'Draw the QR Codes?',
+    'The QR Codes sheet draws each code with an IMAGE() formula. This sends every Person ID on the sheet ' +
+      `to ${QR_CODE_IMAGE_URL.split("/").slice(0, 3).join("/")}, a third-party service outside Google.\n\n` +
+      'Yes: draw the codes, ready to print.\nNo: list IDs and names only, to be turned into codes with a QR tool of your choice.\n\n' +
+      'Your answer is saved; change it later with ⚙️ Config → Turn QR Code Images On/Off….',
+    ui.ButtonSet.YES_NO_CANCEL
+  );
+  if (response !== ui.Button.YES && response !== ui.Button.NO) return null;
+  const enable = response === ui.Button.YES;
+  PropertiesService.getScriptProperties().setProperty(QR_CODE_IMAGES_PROPERTY, enable ? "true" : "false");
+  Logger.log(`✅ (QR) Code images turned ${enable ? "on" : "off"} on first use.`);
+  return enable;
+}
+
+/**
+ * Menu command: switches the QR code images (drawn by a third-party service) on or off.
+ */
+function toggleQrCodeImages() {
+  requireSpreadsheetEditor_();
+  const ui = SpreadsheetApp.getUi();
+  const enable = !areQrCodeImagesEnabled_();
+  const confirm = ui.alert(
+    enable ? 'Turn On QR Code Images?' : 'Turn Off QR Code Images?',
+    enable
+      ? 'The QR Codes sheet will draw each code with an IMAGE() formula. This sends every Person ID on the sheet ' +
+        `to ${QR_CODE_IMAGE_URL.split("/").slice(0, 3).join("/")}, a third-party service outside Google.`
+      : 'The next 🔳 Generate QR Code Sheet will list IDs and names only. Codes already on the sheet stay until then.',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (confirm !== ui.Button.OK) return;
+
+  PropertiesService.getScriptProperties().setProperty(QR_CODE_IMAGES_PROPERTY, enable ? "true" : "false");
+  Logger.log(`✅ (QR) Code images turned ${enable ? "on" : "off"}.`);
+  ui.alert(`QR code images are now ${enable ? "ON" : "OFF"}. Run 🔳 Generate QR Code Sheet to update the sheet.`);
+}
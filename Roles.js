@@ -0,0 +1,149 @@
+/**
+ * Volunteer Roles
+ * The roles people serve in (usher, worship, kids, tech…) live on the "Roles" sheet, one per
+ * row in column A. Column F of both registration sheets (REGISTRATION_ROLE_COL) offers them
+ * as a dropdown, and "✅ Submit Attendance" writes the chosen role into the attendance row:
+ *
+ *   - Service Attendance: column K (SERVICE_ATTENDANCE_ROLE_COL), added when missing;
+ *   - Event Attendance: the existing Role column J (EVENT_ATTENDANCE_ROLE_COL).
+ *
+ * Service Stats and Attendance Stats count volunteering per role (volunteerRoleOf_), one column
+ * per role in listRoleNamesInUse_(). Rows recorded before roles existed still count when their
+ * Notes (Service Attendance) or Role (Event Attendance) mention "volunteer"; they are counted
+ * under LEGACY_VOLUNTEER_ROLE.
+ */
+
+const ROLES_SHEET_NAME = "Roles";
+const ROLES_HEADERS = ["Role"];
+const DEFAULT_ROLES = ["Usher", "Greeter", "Worship", "Kids", "Tech"];
+const LEGACY_VOLUNTEER_ROLE = "Volunteer";
+const SERVICE_ATTENDANCE_ROLE_COL = 11; // Column K of Service Attendance
+const EVENT_ATTENDANCE_ROLE_COL = 10;   // Column J of Event Attendance
+
+/**
+ * Menu command: opens the Roles sheet, creating it with DEFAULT_ROLES.
+ */
+function openRolesSheet() {
+  requireSpreadsheetEditor_();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(ROLES_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(ROLES_SHEET_NAME);
+    sheet.getRange(1, 1, 1, ROLES_HEADERS.length).setValues([ROLES_HEADERS])
+      .setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
+    sheet.getRange(2, 1, DEFAULT_ROLES.length, 1).setValues(DEFAULT_ROLES.map(role => [role]));
+    sheet.setColumnWidth(1, 200);
+    sheet.setFrozenRows(1);
+    Logger.log(`✅ "${ROLES_SHEET_NAME}" sheet created.`);
+  }
+  sheet.activate();
+  SpreadsheetApp.getUi().alert(
+    '🙋 Roles',
+    'List one volunteer role per row. The Role dropdowns in column F of the registration sheets ' +
+    'are refreshed the next time you use "📁 Get Names from Directory" or "🔲 Add/Reformat Checkboxes".',
+    SpreadsheetApp.getUi().ButtonSet.OK
+  );
+}
+
+/**
+ * @returns {Array<string>} The configured roles, or DEFAULT_ROLES when the Roles sheet does not exist.
+ */
+function loadRoles_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(ROLES_SHEET_NAME);
+  if (!sheet) return DEFAULT_ROLES.slice();
+  const roles = [];
+  if (sheet.getLastRow() >= 2) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues().forEach(row => {
+      const role = String(row[0] || "").trim();
+      if (role && !roles.includes(role)) roles.push(role);
+    });
+  }
+  return roles;
+}
+
+/**
+ * Puts the Role dropdown on every data row of column F of a registration sheet, and the
+ * header in F5 on sheets created before the column existed.
+ * Unlisted values are allowed (with a warning), so an old role never blocks a submission.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} regSheet
+ */
+function addRoleDropdown_(regSheet) {
+  const header = regSheet.getRange(5, REGISTRATION_ROLE_COL);
+  if (header.isBlank()) {
+    header.setValue("🙋 Role").setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
+    regSheet.setColumnWidth(REGISTRATION_ROLE_COL, 130);
+  }
+  const roles = loadRoles_();
+  const range = regSheet.getRange(6, REGISTRATION_ROLE_COL, Math.max(regSheet.getMaxRows() - 5, 1), 1);
+  if (roles.length === 0) {
+    range.clearDataValidations();
+    return;
+  }
+  range.setDataValidation(SpreadsheetApp.newDataValidation().requireValueInList(roles, true).setAllowInvalid(true).build());
+}
+
+/**
+ * @param {Array<Array<any>>} regData Registration rows (see REGISTRATION_COLUMN_COUNT).
+ * @returns {Array<string>} The role on each row, trimmed.
+ */
+function readRegistrationRoles_(regData) {
+  return regData.map(row => String(row[REGISTRATION_ROLE_COL - 1] || "").trim());
+}
+
+/**
+ * Writes corrected roles into attendance rows that were already recorded.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet Service Attendance or Event Attendance.
+ * @param {number} roleCol SERVICE_ATTENDANCE_ROLE_COL or EVENT_ATTENDANCE_ROLE_COL.
+ * @param {Array<{row: number, role: string}>} changes
+ */
+function updateAttendanceRoles_(sheet, roleCol, changes) {
+  changes.forEach(change => sheet.getRange(change.row, roleCol).setValue(change.role));
+}
+
+/**
+ * The volunteer role a recorded row counts under.
+ * @param {any} role The Role cell (may be blank).
+ * @param {any} legacyText Free text checked for "volunteer" (the Notes of Service Attendance rows).
+ * @param {Array<string>} roleNames From listRoleNamesInUse_().
+ * @returns {string} The role (in its listed spelling), LEGACY_VOLUNTEER_ROLE, or "" when the row is not volunteering.
+ */
+function volunteerRoleOf_(role, legacyText, roleNames) {
+  const text = String(role || "").trim();
+  const listed = text ? roleNames.find(name => name.toLowerCase() === text.toLowerCase()) : undefined;
+  if (listed) return listed;
+  return `${text} ${legacyText || ""}`.toLowerCase().includes("volunteer") ? LEGACY_VOLUNTEER_ROLE : "";
+}
+
+/**
+ * The configured roles followed by any other role found in Service Attendance (column K), and
+ * LEGACY_VOLUNTEER_ROLE when older rows still mention "volunteer" (Service Attendance Notes or
+ * Event Attendance Role). Event Attendance roles only count when they are listed here, since
+ * form imports may fill that column with other text.
+ * @returns {Array<string>}
+ */
+function listRoleNamesInUse_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const names = loadRoles_();
+  const known = new Set(names.map(name => name.toLowerCase()));
+  let legacy = false;
+
+  const serviceSheet = ss.getSheetByName("Service Attendance");
+  if (serviceSheet && serviceSheet.getLastRow() >= 2) {
+    const width = Math.min(SERVICE_ATTENDANCE_ROLE_COL, serviceSheet.getMaxColumns());
+    serviceSheet.getRange(2, 1, serviceSheet.getLastRow() - 1, width).getValues().forEach(row => {
+      const role = String(row[SERVICE_ATTENDANCE_ROLE_COL - 1] || "").trim();
+      if (role && !known.has(role.toLowerCase())) {
+        names.push(role);
+        known.add(role.toLowerCase());
+      }
+      if (!role && String(row[7] || "").toLowerCase().includes("volunteer")) legacy = true;
+    });
+  }
+  const eventSheet = ss.getSheetByName("Event Attendance");
+  if (!legacy && eventSheet && eventSheet.getLastRow() >= 2) {
+    legacy = eventSheet.getRange(2, EVENT_ATTENDANCE_ROLE_COL, eventSheet.getLastRow() - 1, 1).getValues()
+      .some(row => String(row[0] || "").toLowerCase().includes("volunteer"));
+  }
+  if (legacy && !known.has(LEGACY_VOLUNTEER_ROLE.toLowerCase())) names.push(LEGACY_VOLUNTEER_ROLE);
+  return names;
+}
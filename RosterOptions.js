@@ -0,0 +1,186 @@
+/**
+ * Roster Options
+ * Optional views applied when "📁 Get Names from Directory" loads a registration sheet:
+ *   - hide people whose Activity Level (Attendance Stats column L, see updateActivityLevels_)
+ *     is "Archive", or "Inactive";
+ *   - list likely attendees first, ranked by their Service Attendance over the last
+ *     ROSTER_RECENT_WEEKS weeks (a household ranks by its most regular member and stays together);
+ *   - group the rest by first letter, with jump links in E4 (row 4 stays frozen on screen).
+ *
+ * The choices are saved per sheet in the script property ROSTER_OPTIONS_<sheet name>, so
+ * every greeter gets the same view each week. With nothing chosen, the list loads as before.
+ */
+
+const ROSTER_OPTIONS_PROPERTY_PREFIX = "ROSTER_OPTIONS_";
+const ROSTER_DEFAULT_OPTIONS = { hideArchived: false, hideInactive: false, likelyFirst: false, letterGroups: false };
+const ROSTER_OPTION_QUESTIONS = [
+  { key: "hideArchived", question: 'Hide people whose Activity Level is "Archive" (not seen for 12 months)?' },
+  { key: "hideInactive", question: 'Hide people whose Activity Level is "Inactive"?' },
+  { key: "likelyFirst", question: "List likely attendees first (ranked by attendance over the last 8 weeks)?" },
+  { key: "letterGroups", question: "Group everyone else by first letter, with jump links in cell E4?" }
+];
+const ROSTER_RECENT_WEEKS = 8;
+const ROSTER_JUMP_LINKS_CELL = "E4";
+
+function configureSundayRosterOptions() {
+  requireSpreadsheetEditor_();
+  configureRosterOptions_("Sunday Registration", populateSundayRegistrationList);
+}
+
+function configureEventRosterOptions() {
+  requireSpreadsheetEditor_();
+  configureRosterOptions_("Event Registration", populateEventRegistrationList);
+}
+
+/**
+ * Asks each option in turn, saves the answers for the sheet and offers to reload the list.
+ * @param {string} sheetName
+ * @param {Function} reload The sheet's "Get Names from Directory" command.
+ */
+function configureRosterOptions_(sheetName, reload) {
+  const ui = SpreadsheetApp.getUi();
+  const options = getRosterOptions_(sheetName);
+
+  for (const spec of ROSTER_OPTION_QUESTIONS) {
+    const response = ui.alert(
+      `Roster Options — ${sheetName}`,
+      `${spec.question}\n\nCurrently: ${options[spec.key] ? "YES" : "NO"}`,
+      ui.ButtonSet.YES_NO_CANCEL
+    );
+    if (response === ui.Button.CANCEL || response === ui.Button.CLOSE) return;
+    options[spec.key] = response === ui.Button.YES;
+  }
+
+  PropertiesService.getScriptProperties().setProperty(ROSTER_OPTIONS_PROPERTY_PREFIX + sheetName, JSON.stringify(options));
+  Logger.log(`✅ Roster options for ${sheetName} saved: ${JSON.stringify(options)}`);
+
+  if (ui.alert('Roster Options Saved', 'Reload the list from the Directory now?', ui.ButtonSet.YES_NO) === ui.Button.YES) {
+    reload();
+  }
+}
+
+/**
+ * @param {string} sheetName
+ * @returns {{hideArchived: boolean, hideInactive: boolean, likelyFirst: boolean, letterGroups: boolean}}
+ */
+function getRosterOptions_(sheetName) {
+  const saved = PropertiesService.getScriptProperties().getProperty(ROSTER_OPTIONS_PROPERTY_PREFIX + sheetName);
+  if (!saved) return Object.assign({}, ROSTER_DEFAULT_OPTIONS);
+  try {
+    return Object.assign({}, ROSTER_DEFAULT_OPTIONS, JSON.parse(saved));
+  } catch (err) {
+    Logger.log(`⚠️ Ignoring unreadable roster options for ${sheetName}: ${err.message}`);
+    return Object.assign({}, ROSTER_DEFAULT_OPTIONS);
+  }
+}
+
+/**
+ * Filters and orders registration rows that are already sorted by household.
+ * @param {Array<Array<any>>} rows Rows in the registration layout (see REGISTRATION_COLUMN_COUNT).
+ * @param {Object} options See getRosterOptions_.
+ * @returns {{rows: Array<Array<any>>, hidden: number, likelyCount: number}} likelyCount rows at the top are the likely attendees.
+ */
+function arrangeRoster_(rows, options) {
+  let kept = rows;
+  if (options.hideArchived || options.hideInactive) {
+    const levels = loadActivityLevelsById_();
+    kept = rows.filter(row => {
+      const level = levels.get(rosterIdKey_(row[0]));
+      return !(options.hideArchived && level === "Archive") && !(options.hideInactive && level === "Inactive");
+    });
+  }
+  const hidden = rows.length - kept.length;
+  if (!options.likelyFirst) return { rows: kept, hidden: hidden, likelyCount: 0 };
+
+  // A household's score is its most regular member's, so households stay together.
+  const recent = countRecentServiceAttendance_(ROSTER_RECENT_WEEKS);
+  const groupOf = row => String(row[REGISTRATION_HOUSEHOLD_COL - 1] || "") || `#${row[0]}`;
+  const groupScores = new Map();
+  kept.forEach(row => {
+    const score = recent.get(rosterIdKey_(row[0])) || 0;
+    groupScores.set(groupOf(row), Math.max(groupScores.get(groupOf(row)) || 0, score));
+  });
+  const likely = kept.filter(row => groupScores.get(groupOf(row)) > 0)
+    .sort((a, b) => groupScores.get(groupOf(b)) - groupScores.get(groupOf(a))); // Stable: household order is kept within a score
+  const others = kept.filter(row => !(groupScores.get(groupOf(row)) > 0));
+  return { rows: likely.concat(others), hidden: hidden, likelyCount: likely.length };
+}
+
+/**
+ * Writes the letter jump links into E4, or clears them when letter groups are off.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} regSheet
+ * @param {{rows: Array<Array<any>>, likelyCount: number}} roster From arrangeRoster_, as written from row 6.
+ * @param {Object} options See getRosterOptions_.
+ */
+function writeRosterJumpLinks_(regSheet, roster, options) {
+  const cell = regSheet.getRange(ROSTER_JUMP_LINKS_CELL);
+  if (!options.letterGroups) {
+    cell.clearContent();
+    return;
+  }
+
+  const targets = []; // {label, row}
+  if (roster.likelyCount > 0) targets.push({ label: "⭐", row: 6 });
+  roster.rows.forEach((row, index) => {
+    if (index < roster.likelyCount) return;
+    const groupName = String(row[REGISTRATION_HOUSEHOLD_COL - 1] || row[2] || row[1] || "");
+    const letter = groupName.replace(/^[^A-Za-z0-9]+/, "").charAt(0).toUpperCase() || "#";
+    if (!targets.some(target => target.label === letter)) targets.push({ label: letter, row: index + 6 });
+  });
+
+  const prefix = "Jump to: ";
+  const text = prefix + targets.map(target => target.label).join("  ");
+  const builder = SpreadsheetApp.newRichTextValue().setText(text);
+  let position = prefix.length;
+  targets.forEach(target => {
+    builder.setLinkUrl(position, position + target.label.length, `#gid=${regSheet.getSheetId()}&range=A${target.row}`);
+    position += target.label.length + 2;
+  });
+  cell.setRichTextValue(builder.build());
+}
+
+/**
+ * @returns {Map<string, string>} Person ID -> Activity Level, from Attendance Stats (A and L).
+ *     Column L is refreshed by every stats update (updateAttendanceStatsSheet_ → updateActivityLevels_).
+ */
+function loadActivityLevelsById_() {
+  const levels = new Map();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Attendance Stats");
+  if (!sheet || sheet.getLastRow() < 2 || sheet.getMaxColumns() < 12) return levels;
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, 12).getValues().forEach(row => {
+    if (row[0] !== "") levels.set(rosterIdKey_(row[0]), String(row[11] || "").trim());
+  });
+  return levels;
+}
+
+/**
+ * @param {number} weeks
+ * @returns {Map<string, number>} Person ID -> services attended (distinct date and service) in the last `weeks` weeks.
+ */
+function countRecentServiceAttendance_(weeks) {
+  const counts = new Map();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Service Attendance");
+  if (!sheet || sheet.getLastRow() < 2) return counts;
+
+  const since = new Date();
+  since.setDate(since.getDate() - weeks * 7);
+  const width = Math.min(SERVICE_ATTENDANCE_SERVICE_COL, sheet.getMaxColumns());
+  const seen = new Set();
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues().forEach(row => {
+    const id = rosterIdKey_(row[0]);
+    const date = getDateValue_(row[4]);
+    if (!id || !date || date < since) return;
+    const key = `${id}|${date.toDateString()}|${serviceNameOrDefault_(row[SERVICE_ATTENDANCE_SERVICE_COL - 1])}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    counts.set(id, (counts.get(id) || 0) + 1);
+  });
+  return counts;
+}
+
+/**
+ * IDs from different sheets (numbers, plain strings, check-digit IDs) compared as one key.
+ */
+function rosterIdKey_(id) {
+  return normalizeLegacyPersonId_(String(id === null || id === undefined ? "" : id).trim());
+}
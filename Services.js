@@ -0,0 +1,140 @@
+/**
+ * Services
+ * The list of services held each Sunday (e.g. "9am Service" at 09:00, "11am Service" at 11:00)
+ * lives on the "Services" sheet: A = Service Name, B = Start Time. Column J of
+ * Service Attendance records which service a row belongs to, so two services on one date
+ * no longer count as one.
+ *
+ *   - Sunday Registration: the service is picked from the dropdown in C2, next to the date.
+ *   - Forms, the kiosk and QR scans: the service is picked by the time of the check-in
+ *     (the latest service starting no more than SERVICE_EARLY_ARRIVAL_MINUTES later).
+ *   - Rows without a service (recorded before this column existed) count as DEFAULT_SERVICE_NAME.
+ */
+
+const SERVICES_SHEET_NAME = "Services";
+const SERVICES_HEADERS = ["Service Name", "Start Time"];
+const DEFAULT_SERVICE_NAME = "Sunday Service";
+const SERVICE_SELECTOR_CELL = "C2";
+const SERVICE_ATTENDANCE_SERVICE_COL = 10; // Column J of Service Attendance
+const SERVICE_EARLY_ARRIVAL_MINUTES = 30;
+
+/**
+ * Menu command: opens the Services sheet, creating it with one default service.
+ */
+function openServicesSheet() {
+  requireSpreadsheetEditor_();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(SERVICES_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(SERVICES_SHEET_NAME);
+    sheet.getRange(1, 1, 1, SERVICES_HEADERS.length).setValues([SERVICES_HEADERS])
+      .setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
+    sheet.getRange(2, 1, 1, 2).setValues([[DEFAULT_SERVICE_NAME, "10:00"]]);
+    sheet.getRange("B:B").setNumberFormat("@"); // Keep "09:00" as typed
+    sheet.setColumnWidth(1, 200); sheet.setColumnWidth(2, 100);
+    sheet.setFrozenRows(1);
+    Logger.log(`✅ "${SERVICES_SHEET_NAME}" sheet created.`);
+  }
+  sheet.activate();
+  SpreadsheetApp.getUi().alert(
+    '⛪ Services',
+    'List one service per row with its start time (e.g. 09:00). ' +
+    'The Sunday Registration dropdown in C2 is refreshed the next time you use "📁 Get Names from Directory".',
+    SpreadsheetApp.getUi().ButtonSet.OK
+  );
+}
+
+/**
+ * @returns {Array<{name: string, startMinutes: number|null}>} The configured services,
+ *     or just DEFAULT_SERVICE_NAME when none are configured.
+ */
+function loadServices_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SERVICES_SHEET_NAME);
+  const services = [];
+  if (sheet && sheet.getLastRow() >= 2) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, SERVICES_HEADERS.length).getValues().forEach(row => {
+      const name = String(row[0] || "").trim();
+      if (name && !services.some(s => s.name === name)) {
+        services.push({ name: name, startMinutes: parseServiceStartTime_(row[1]) });
+      }
+    });
+  }
+  return services.length > 0 ? services : [{ name: DEFAULT_SERVICE_NAME, startMinutes: null }];
+}
+
+/**
+ * @param {any} value A time cell: "09:00", "9:30 AM", "11am", or a time value.
+ * @returns {number|null} Minutes after midnight.
+ */
+function parseServiceStartTime_(value) {
+  if (value instanceof Date && !isNaN(value)) return value.getHours() * 60 + value.getMinutes();
+  const match = String(value || "").trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+  let hours = parseInt(match[1], 10) % (match[3] ? 12 : 24);
+  if (match[3] === "pm") hours += 12;
+  return hours * 60 + (match[2] ? parseInt(match[2], 10) : 0);
+}
+
+/**
+ * The service a check-in at the given time belongs to.
+ * @param {Date} when
+ * @returns {string}
+ */
+function findServiceForTime_(when) {
+  const services = loadServices_();
+  const timed = services.filter(s => s.startMinutes !== null).sort((a, b) => a.startMinutes - b.startMinutes);
+  const date = getDateValue_(when);
+  if (timed.length === 0 || !date) return services[0].name;
+
+  const hhmm = Utilities.formatDate(date, SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone(), "HH:mm").split(":");
+  const minutes = parseInt(hhmm[0], 10) * 60 + parseInt(hhmm[1], 10);
+  const started = timed.filter(s => s.startMinutes <= minutes + SERVICE_EARLY_ARRIVAL_MINUTES);
+  return (started.length > 0 ? started[started.length - 1] : timed[0]).name;
+}
+
+/**
+ * @param {any} value A Service cell from Service Attendance.
+ * @returns {string} The service name, DEFAULT_SERVICE_NAME for blank cells.
+ */
+function serviceNameOrDefault_(value) {
+  return String(value || "").trim() || DEFAULT_SERVICE_NAME;
+}
+
+/**
+ * The configured services followed by any other service found in Service Attendance
+ * (including DEFAULT_SERVICE_NAME for rows recorded before the Service column existed).
+ * @returns {Array<string>}
+ */
+function listServiceNamesInUse_() {
+  const names = loadServices_().map(s => s.name);
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Service Attendance");
+  if (sheet && sheet.getLastRow() >= 2 && sheet.getMaxColumns() >= SERVICE_ATTENDANCE_SERVICE_COL) {
+    sheet.getRange(2, SERVICE_ATTENDANCE_SERVICE_COL, sheet.getLastRow() - 1, 1).getValues().forEach(row => {
+      const name = serviceNameOrDefault_(row[0]);
+      if (!names.includes(name)) names.push(name);
+    });
+  }
+  return names;
+}
+
+/**
+ * Puts the service dropdown in C2 of a registration sheet, keeping the current choice if it is still listed.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} regSheet
+ */
+function addServiceSelector_(regSheet) {
+  const names = loadServices_().map(s => s.name);
+  const cell = regSheet.getRange(SERVICE_SELECTOR_CELL);
+  const current = String(cell.getValue() || "").trim();
+  cell.setDataValidation(SpreadsheetApp.newDataValidation().requireValueInList(names, true).setAllowInvalid(false).build())
+    .setValue(names.includes(current) ? current : names[0])
+    .setBackground("#e3f2fd").setFontWeight("bold")
+    .setNote("⛪ Service: choose which service this list is for. Edit the choices on the Services sheet.");
+}
+
+/**
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} regSheet
+ * @returns {string} The service chosen in C2, or the first service when C2 is blank.
+ */
+function getSelectedService_(regSheet) {
+  return String(regSheet.getRange(SERVICE_SELECTOR_CELL).getValue() || "").trim() || loadServices_()[0].name;
+}
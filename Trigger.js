@@ -3,6 +3,7 @@
  * when a change occurs in the spreadsheet.
  */
 function onAttendanceSheetsChange(e) {
+  requireTriggerOrEditor_(e);
   // Optional: You could add checks here based on the event object 'e'
   // to see what type of change occurred (e.g., edit, insert_row).
   // However, for simplicity and to ensure it runs after IMPORTRANGE updates,
@@ -11,7 +12,7 @@ function onAttendanceSheetsChange(e) {
   Logger.log("Trigger detected a change. Updating attendance stats...");
 
   // Call your main function to update the stats sheet
-  updateAttendanceStatsSheet();
+  updateAttendanceStatsSheet_();
 
   Logger.log("Attendance stats update triggered.");
 }
\ No newline at end of file
@@ -4,20 +4,16 @@
  * @param {Object} e The event object from an onFormSubmit trigger.
  */
 function processSundayServiceIds(e) {
+  requireTriggerOrEditor_(e);
   const functionStartTime = new Date();
   Logger.log('processSundayServiceIds script started.');
 
   // --- Configuration ---
-  // DIRECTORY_SPREADSHEET_ID will now be fetched from Script Properties via getDirectorySpreadsheetIdFromProperties()
+  // Sheets consulted for existing IDs are listed in PERSON_REGISTRY_SOURCES (PersonRegistry.js).
   const SUNDAY_SERVICE_SHEET_NAME = 'sunday service';
-  const EVENT_ATTENDANCE_SHEET_NAME = 'Event attendance'; // Used for highest ID and map
-  const SUNDAY_REGISTRATION_SHEET_NAME = 'sunday registration'; // ADDED FOR ID MAPPING
-  const EVENT_REGISTRATION_SHEET_NAME = 'event registration';   // ADDED FOR ID MAPPING
-  const DIRECTORY_TAB_NAME = 'directory';       // Used for highest ID and map
-  const NEW_MEMBER_FORM_TAB_NAME = 'new member form';     // Used for highest ID and map
-  const SERVICE_ATTENDANCE_SHEET_NAME = 'Service Attendance'; // Used for mapping
   const ID_COLUMN = 1;        // Personal ID is in Column A
   const NAME_COLUMN = 2;        // Full Name is in Column B (this is what combineNamesOnFormSubmit populates)
+  const EMAIL_COLUMN = 7;       // Email is in Column G
   const MAX_ROWS_TO_PROCESS_MANUALLY = 1500; // Max rows for manual run
 
   // --- Determine Mode (Trigger or Manual) ---
@@ -55,25 +51,8 @@ function processSundayServiceIds(e) {
     return;
   }
 
-  let directorySs;
-  let DIRECTORY_SPREADSHEET_ID; // Declare it here to be used in this function scope
-  try {
-    // Fetch DIRECTORY_SPREADSHEET_ID from Script Properties
-    DIRECTORY_SPREADSHEET_ID = getDirectorySpreadsheetIdFromProperties();
-    directorySs = SpreadsheetApp.openById(DIRECTORY_SPREADSHEET_ID);
-  } catch (err) {
-    Logger.log(`Error opening directory spreadsheet (ID: ${DIRECTORY_SPREADSHEET_ID || 'not set'}): ${err.toString()}. Some ID data might be incomplete or property not set.`);
-    directorySs = null; // Allow script to continue but be aware some data might be missing
-  }
-
-  Logger.log('Fetching data from all source sheets for ID processing...');
-  const sundayServiceDataAll = getSheetData(currentSs, SUNDAY_SERVICE_SHEET_NAME);
-  const eventAttendanceData = getSheetData(currentSs, EVENT_ATTENDANCE_SHEET_NAME);
-  const sundayRegistrationData = getSheetData(currentSs, SUNDAY_REGISTRATION_SHEET_NAME);
-  const eventRegistrationData = getSheetData(currentSs, EVENT_REGISTRATION_SHEET_NAME);
-  const directoryData = directorySs ? getSheetData(directorySs, DIRECTORY_TAB_NAME) : [];
-  const newMemberFormData = directorySs ? getSheetData(directorySs, NEW_MEMBER_FORM_TAB_NAME) : [];
-  const serviceAttendanceData = getSheetData(currentSs, SERVICE_ATTENDANCE_SHEET_NAME);
+  Logger.log(`Fetching "${SUNDAY_SERVICE_SHEET_NAME}" data for ID processing...`);
+  const sundayServiceDataAll = getSheetData_(currentSs, SUNDAY_SERVICE_SHEET_NAME);
 
   if (sundayServiceDataAll.length === 0 && isTriggerMode) {
     Logger.log(`"${SUNDAY_SERVICE_SHEET_NAME}" sheet is critically empty or could not be read, but in trigger mode. Will attempt to process the specific event row.`);
@@ -82,65 +61,8 @@ function processSundayServiceIds(e) {
     return;
   }
 
-  Logger.log('Calculating highest existing numeric ID...');
-  let highestExistingNumber = 0;
-  
-  function updateHighestNumberFromSheetData(data, sheetNameForLog) {
-    if (!data || data.length === 0) {
-      Logger.log(`No data from "${sheetNameForLog}" to scan for highest ID.`);
-      return;
-    }
-    for (let i = 1; i < data.length; i++) { // Assumes header in row 0
-      if (data[i] && data[i].length >= ID_COLUMN) {
-        const idCell = data[i][ID_COLUMN - 1];
-        if (idCell !== null && idCell !== undefined && String(idCell).trim() !== "") {
-          const number = extractNumberFromId(String(idCell)); 
-          if (!isNaN(number)) {
-            highestExistingNumber = Math.max(highestExistingNumber, number);
-          }
-        }
-      }
-    }
-    Logger.log(`After scanning "${sheetNameForLog}", current max ID number is: ${highestExistingNumber}`);
-  }
-
-  updateHighestNumberFromSheetData(sundayServiceDataAll, SUNDAY_SERVICE_SHEET_NAME);
-  updateHighestNumberFromSheetData(eventAttendanceData, EVENT_ATTENDANCE_SHEET_NAME);
-  updateHighestNumberFromSheetData(sundayRegistrationData, SUNDAY_REGISTRATION_SHEET_NAME);
-  updateHighestNumberFromSheetData(eventRegistrationData, EVENT_REGISTRATION_SHEET_NAME);
-  updateHighestNumberFromSheetData(newMemberFormData, NEW_MEMBER_FORM_TAB_NAME);
-  updateHighestNumberFromSheetData(directoryData, DIRECTORY_TAB_NAME);
-  updateHighestNumberFromSheetData(serviceAttendanceData, SERVICE_ATTENDANCE_SHEET_NAME);
-  Logger.log(`Initial highest existing numeric ID across all sheets: ${highestExistingNumber}`);
-
-  Logger.log('Building master Name-ID lookup map...');
-  const masterNameIdMap = new Map();
-  
-  function populateMapFromSheetData(data, sheetNameForLog) {
-    if (!data || data.length === 0) {
-      Logger.log(`No data from "${sheetNameForLog}" to populate map.`);
-      return;
-    }
-    for (let i = 1; i < data.length; i++) { // Assumes header
-      if (data[i] && data[i].length >= NAME_COLUMN && data[i].length >= ID_COLUMN) {
-        const nameCell = data[i][NAME_COLUMN - 1];
-        const idCell = data[i][ID_COLUMN - 1];
-        if (nameCell && String(nameCell).trim() !== "" && idCell !== null && idCell !== undefined && String(idCell).trim() !== "") {
-          masterNameIdMap.set(String(nameCell).trim().toUpperCase(), String(idCell).trim());
-        }
-      }
-    }
-    Logger.log(`Populated map from "${sheetNameForLog}". Map size now: ${masterNameIdMap.size}`);
-  }
-  
-  populateMapFromSheetData(sundayServiceDataAll, SUNDAY_SERVICE_SHEET_NAME);
-  populateMapFromSheetData(eventAttendanceData, EVENT_ATTENDANCE_SHEET_NAME);
-  populateMapFromSheetData(sundayRegistrationData, SUNDAY_REGISTRATION_SHEET_NAME);
-  populateMapFromSheetData(eventRegistrationData, EVENT_REGISTRATION_SHEET_NAME);
-  populateMapFromSheetData(newMemberFormData, NEW_MEMBER_FORM_TAB_NAME);
-  populateMapFromSheetData(directoryData, DIRECTORY_TAB_NAME);
-  populateMapFromSheetData(serviceAttendanceData, SERVICE_ATTENDANCE_SHEET_NAME);
-  Logger.log(`Master Name-ID map built. Total unique names with IDs: ${masterNameIdMap.size}`);
+  // Every known Name-ID pair and the highest existing ID come from the shared Person Registry.
+  const registry = getPersonRegistry_();
 
   const sundayServiceSheet = currentSs.getSheetByName(SUNDAY_SERVICE_SHEET_NAME);
   if (!sundayServiceSheet) {
@@ -218,17 +140,15 @@ function processSundayServiceIds(e) {
     const existingIdInSheet = currentRowData[ID_COLUMN - 1]; // Array is 0-indexed
 
     if (currentName && String(currentName).trim() !== "") {
-      const formattedName = String(currentName).trim().toUpperCase();
-      let determinedId = "";
+      const currentEmail = currentRowData.length >= EMAIL_COLUMN ? currentRowData[EMAIL_COLUMN - 1] : "";
+      let determinedId = registry.resolve(currentName, currentEmail).id;
 
-      if (masterNameIdMap.has(formattedName)) {
-        determinedId = masterNameIdMap.get(formattedName);
-        Logger.log(`Sheet Row ${actualSheetRowNumber}: Name "${currentName}" found in master map. ID from map: "${determinedId}". Existing ID in sheet: "${existingIdInSheet}"`);
+      if (determinedId) {
+        Logger.log(`Sheet Row ${actualSheetRowNumber}: Name "${currentName}" found in registry. ID from registry: "${determinedId}". Existing ID in sheet: "${existingIdInSheet}"`);
       } else {
-        highestExistingNumber++;
-        determinedId = String(highestExistingNumber);
-        Logger.log(`Sheet Row ${actualSheetRowNumber}: Name "${currentName}" NOT found in map. Generating new ID: "${determinedId}". Existing ID in sheet: "${existingIdInSheet}"`);
-        masterNameIdMap.set(formattedName, determinedId); // Update map for future consistency within this run
+        determinedId = registry.allocate();
+        Logger.log(`Sheet Row ${actualSheetRowNumber}: Name "${currentName}" NOT found in registry. Generating new ID: "${determinedId}". Existing ID in sheet: "${existingIdInSheet}"`);
+        registry.remember(currentName, determinedId, { email: String(currentEmail || "").trim() }); // Keep IDs consistent within this run
       }
 
       determinedId = String(determinedId).trim();
@@ -291,6 +211,58 @@ function processSundayServiceIds(e) {
   }
 }
 
+/**
+ * Manual check for concurrent ID allocation. Run it from the script editor.
+ * Adds two test rows for new people to "Sunday Service" and runs processSundayServiceIds
+ * for each with a stub form-submit event, so both go through the real script lock and the
+ * real NEXT_PERSON_ID counter exactly as two overlapping triggers would. Both rows must get
+ * an ID, the IDs must differ from each other and from every existing person, and the counter
+ * must have moved past both. The test rows are deleted afterwards; the two IDs stay used.
+ * Throws when the check fails, so the execution log shows it as failed.
+ */
+function checkOverlappingSundayServiceIds() {
+  requireSpreadsheetEditor_();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Sunday Service");
+  if (!sheet) throw new Error("'Sunday Service' sheet not found.");
+
+  const stamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyyMMddHHmmss");
+  const testNames = ["A", "B"].map(run => `Check${stamp} Run${run}`);
+  const firstRow = sheet.getLastRow() + 1;
+  // First and last name only: combineNamesOnFormSubmit fills B, and the blank timestamp (E)
+  // makes onFormSubmitTransfer skip the rows instead of copying them to Service Attendance.
+  sheet.getRange(firstRow, 1, testNames.length, 4).setValues(testNames.map(name => ["", "", ...name.split(" ")]));
+  SpreadsheetApp.flush();
+
+  const properties = PropertiesService.getScriptProperties();
+  const counterBefore = parseInt(properties.getProperty(NEXT_PERSON_ID_PROPERTY) || "0", 10);
+  let ids = [];
+  try {
+    testNames.forEach((name, index) => {
+      processSundayServiceIds({ range: sheet.getRange(firstRow + index, 1, 1, sheet.getLastColumn()) });
+    });
+    ids = sheet.getRange(firstRow, 1, testNames.length, 1).getValues().map(row => String(row[0] || "").trim());
+  } finally {
+    sheet.deleteRows(firstRow, testNames.length);
+    SpreadsheetApp.flush();
+  }
+  const counterAfter = parseInt(properties.getProperty(NEXT_PERSON_ID_PROPERTY) || "0", 10);
+
+  const existingIds = new Set(getPersonRegistry_().records.map(record => record.id));
+  const problems = [];
+  if (ids.some(id => !id)) problems.push(`a test row got no ID (${ids.join(", ")})`);
+  if (ids[0] && ids[0] === ids[1]) problems.push(`both test rows got ID ${ids[0]}`);
+  ids.filter(id => id && existingIds.has(id)).forEach(id => problems.push(`ID ${id} already belongs to someone`));
+  if (ids.some(id => id && extractNumericBel_(id) >= counterAfter) || counterAfter < counterBefore + testNames.length) {
+    problems.push(`NEXT_PERSON_ID went from ${counterBefore} to ${counterAfter}, not past ${ids.join(" and ")}`);
+  }
+
+  if (problems.length > 0) {
+    Logger.log(`❌ Overlapping ID check failed: ${problems.join("; ")}.`);
+    throw new Error(`Overlapping ID check failed: ${problems.join("; ")}.`);
+  }
+  Logger.log(`✅ Overlapping ID check passed: ${testNames.join(" and ")} got ${ids.join(" and ")}; NEXT_PERSON_ID ${counterBefore} -> ${counterAfter}.`);
+}
+
 //------------------------------------------------------------------
 // HELPER FUNCTIONS (ensure these are in your script project)
 //------------------------------------------------------------------
@@ -303,7 +275,7 @@ function processSundayServiceIds(e) {
  * @returns {string} The ID of the directory spreadsheet.
  * @throws {Error} If the DIRECTORY_SPREADSHEET_ID property is not set.
  */
-function getDirectorySpreadsheetIdFromProperties() {
+function getDirectorySpreadsheetIdFromProperties_() {
   const props = PropertiesService.getScriptProperties();
   const directoryId = props.getProperty('DIRECTORY_SPREADSHEET_ID');
   if (!directoryId) {
@@ -320,9 +292,9 @@ function getDirectorySpreadsheetIdFromProperties() {
  * @param {string} sheetName The name of the sheet.
  * @return {Array<Array>} The sheet data, or an empty array if sheet not found or empty.
  */
-function getSheetData(spreadsheet, sheetName) {
+function getSheetData_(spreadsheet, sheetName) {
   if (!spreadsheet) {
-    Logger.log(`getSheetData: Spreadsheet object is null for sheet name "${sheetName}". Returning empty data.`);
+    Logger.log(`getSheetData_: Spreadsheet object is null for sheet name "${sheetName}". Returning empty data.`);
     return [];
   }
   try {
@@ -350,12 +322,19 @@ function getSheetData(spreadsheet, sheetName) {
 
 /**
  * Helper function to extract a number from an ID string, typically the trailing number.
+ * IDs in the active check-digit scheme (PersonIdScheme.js) return their person number
+ * without the check digit, even when the check digit is wrong, so the number stays reserved.
  * @param {string} idString The ID string.
  * @return {number} The extracted number, or NaN if not found.
  */
-function extractNumberFromId(idString) {
+function extractNumberFromId_(idString) {
   if (idString === null || idString === undefined) return NaN;
   const str = String(idString).trim();
+  const scheme = getPersonIdScheme_();
+  if (scheme.checkDigit) {
+    const parts = splitSchemePersonId_(str.toUpperCase(), scheme);
+    if (parts) return parseInt(parts.digits, 10);
+  }
   if (/^\d+$/.test(str)) { // If the string is purely numeric
     return parseInt(str, 10);
   }
@@ -372,6 +351,7 @@ function extractNumberFromId(idString) {
  * @param {Object} e The event object from an onFormSubmit trigger (optional).
  */
 function combineNamesOnFormSubmit(e) {
+  requireTriggerOrEditor_(e);
   var ss = SpreadsheetApp.getActiveSpreadsheet();
   var sheet = ss.getSheetByName("Sunday Service");
 
@@ -424,103 +404,39 @@ function combineNamesOnFormSubmit(e) {
 // function onFormSubmitTransfer(e) { ... }
 
 
+/**
+ * Run list and time-driven trigger entry point for processServiceAttendanceIds_.
+ * @param {Object} e The trigger's event object, if any.
+ */
+function processServiceAttendanceIds(e) {
+  requireTriggerOrEditor_(e);
+  processServiceAttendanceIds_();
+}
+
 /**
  * Scans the 'Service Attendance' sheet for rows with a name but no ID.
  * Fills in the missing ID by either finding an existing one from all data sources
- * or generating a new one based on the highest available ID.
- * This is intended to be run manually or on a time-driven trigger.
+ * or reserving a new one from the shared person ID counter.
+ * Run it through processServiceAttendanceIds, manually or on a time-driven trigger.
  */
-function processServiceAttendanceIds() {
+function processServiceAttendanceIds_() {
   const functionStartTime = new Date();
-  Logger.log('processServiceAttendanceIds script started.');
+  Logger.log('processServiceAttendanceIds_ script started.');
 
   // --- Configuration ---
-  // These must match the sheets used for the master ID map in your other functions to ensure consistency
-  const SUNDAY_SERVICE_SHEET_NAME = 'sunday service';
-  const EVENT_ATTENDANCE_SHEET_NAME = 'Event attendance';
-  const SUNDAY_REGISTRATION_SHEET_NAME = 'sunday registration';
-  const EVENT_REGISTRATION_SHEET_NAME = 'event registration';
-  const DIRECTORY_TAB_NAME = 'directory';
-  const NEW_MEMBER_FORM_TAB_NAME = 'new member form';
+  // Sheets consulted for existing IDs are listed in PERSON_REGISTRY_SOURCES (PersonRegistry.js).
   const TARGET_SHEET_NAME = 'Service Attendance'; // The sheet we are processing
-  const ATTENDANCE_STATS_SHEET_NAME = 'attendance stats'; // ADDED a new source sheet
 
   const ID_COLUMN = 1;      // Personal ID is in Column A
   const NAME_COLUMN = 2;    // Full Name is in Column B
+  const EMAIL_COLUMN = 7;   // Email is in Column G
 
   // --- Get Spreadsheet Objects ---
   const currentSs = SpreadsheetApp.getActiveSpreadsheet();
-  let directorySs;
-  let DIRECTORY_SPREADSHEET_ID;
-  try {
-    // This relies on your existing getDirectorySpreadsheetIdFromProperties() helper function
-    DIRECTORY_SPREADSHEET_ID = getDirectorySpreadsheetIdFromProperties();
-    directorySs = SpreadsheetApp.openById(DIRECTORY_SPREADSHEET_ID);
-  } catch (err) {
-    Logger.log(`Error opening directory spreadsheet (ID: ${DIRECTORY_SPREADSHEET_ID || 'not set'}): ${err.toString()}. Some ID data might be incomplete.`);
-    directorySs = null; // Allow script to continue with a warning
-  }
 
   // --- Build Master ID Map & Find Highest ID (Consistent Logic) ---
-  Logger.log('Fetching data from all source sheets for ID processing...');
-  // This logic is reused from your original function to ensure consistency across your entire system.
-  // It reads all relevant sheets to build a complete picture of all people and their IDs.
-  const allSheetNames = [
-      SUNDAY_SERVICE_SHEET_NAME,
-      EVENT_ATTENDANCE_SHEET_NAME,
-      SUNDAY_REGISTRATION_SHEET_NAME,
-      EVENT_REGISTRATION_SHEET_NAME,
-      DIRECTORY_TAB_NAME,
-      NEW_MEMBER_FORM_TAB_NAME,
-      TARGET_SHEET_NAME, // We also read the target sheet itself
-      ATTENDANCE_STATS_SHEET_NAME // ADDED the new sheet name to the list
-  ];
-  const allDataSources = [
-    getSheetData(currentSs, SUNDAY_SERVICE_SHEET_NAME),
-    getSheetData(currentSs, EVENT_ATTENDANCE_SHEET_NAME),
-    getSheetData(currentSs, SUNDAY_REGISTRATION_SHEET_NAME),
-    getSheetData(currentSs, EVENT_REGISTRATION_SHEET_NAME),
-    directorySs ? getSheetData(directorySs, DIRECTORY_TAB_NAME) : [],
-    directorySs ? getSheetData(directorySs, NEW_MEMBER_FORM_TAB_NAME) : [],
-    getSheetData(currentSs, TARGET_SHEET_NAME),
-    getSheetData(currentSs, ATTENDANCE_STATS_SHEET_NAME) // ADDED the new sheet's data
-  ];
-  
-  Logger.log('Calculating highest existing numeric ID and building master map...');
-  let highestExistingNumber = 0;
-  const masterNameIdMap = new Map();
-
-  allDataSources.forEach((data, index) => {
-    const sheetNameForLog = allSheetNames[index];
-    if (!data || data.length === 0) {
-      Logger.log(`No data from "${sheetNameForLog}" to process.`);
-      return;
-    }
-    // Start from i = 1 to skip header row
-    for (let i = 1; i < data.length; i++) {
-      const row = data[i];
-      if (row && row.length >= NAME_COLUMN) {
-        const idCell = row[ID_COLUMN - 1];
-        const nameCell = row[NAME_COLUMN - 1];
-
-        // Update highest number using your helper function
-        if (idCell !== null && idCell !== undefined && String(idCell).trim() !== "") {
-          const number = extractNumberFromId(String(idCell));
-          if (!isNaN(number)) {
-            highestExistingNumber = Math.max(highestExistingNumber, number);
-          }
-        }
-
-        // Populate map
-        if (nameCell && String(nameCell).trim() !== "" && idCell !== null && idCell !== undefined && String(idCell).trim() !== "") {
-          masterNameIdMap.set(String(nameCell).trim().toUpperCase(), String(idCell).trim());
-        }
-      }
-    }
-    Logger.log(`After scanning "${sheetNameForLog}", max ID is ${highestExistingNumber} and map size is ${masterNameIdMap.size}`);
-  });
-
-  Logger.log(`Final initial highest ID: ${highestExistingNumber}. Final map size: ${masterNameIdMap.size}.`);
+  // The shared Person Registry reads every source sheet, so IDs match every other entry point.
+  const registry = getPersonRegistry_();
 
   // --- Process the 'Service Attendance' Sheet ---
   const targetSheet = currentSs.getSheetByName(TARGET_SHEET_NAME);
@@ -545,20 +461,18 @@ function processServiceAttendanceIds() {
 
     // This is the main condition: Process row only if ID is blank AND Name is present
     if ((existingId === null || String(existingId).trim() === "") && (currentName !== null && String(currentName).trim() !== "")) {
-      const formattedName = String(currentName).trim().toUpperCase();
-      let determinedId = "";
+      const currentEmail = rowData[EMAIL_COLUMN - 1];
+      let determinedId = registry.resolve(currentName, currentEmail).id;
 
-      if (masterNameIdMap.has(formattedName)) {
-        // Name found in the master map, use the existing ID
-        determinedId = masterNameIdMap.get(formattedName);
+      if (determinedId) {
+        // Name found in the registry, use the existing ID
         Logger.log(`Row ${sheetRowNumber}: Name "${currentName}" found. Assigning existing ID: "${determinedId}".`);
       } else {
         // Name is new, generate a new ID
-        highestExistingNumber++;
-        determinedId = String(highestExistingNumber);
+        determinedId = registry.allocate();
         Logger.log(`Row ${sheetRowNumber}: Name "${currentName}" is new. Generating new ID: "${determinedId}".`);
-        // Add the new person to the map for this run to avoid assigning them another new ID if they appear again
-        masterNameIdMap.set(formattedName, determinedId);
+        // Add the new person to the registry for this run to avoid assigning them another new ID if they appear again
+        registry.remember(currentName, determinedId, { email: String(currentEmail || "").trim() });
       }
 
       // Add this update to our batch list for efficient writing
@@ -590,5 +504,5 @@ function processServiceAttendanceIds() {
 
   const functionEndTime = new Date();
   const duration = (functionEndTime.getTime() - functionStartTime.getTime()) / 1000;
-  Logger.log(`processServiceAttendanceIds script finished. Duration: ${duration} seconds.`);
+  Logger.log(`processServiceAttendanceIds_ script finished. Duration: ${duration} seconds.`);
 }